@@ -2,6 +2,8 @@ import json from '@rollup/plugin-json';
 
 export default {
   input: 'src/index.js',
+  // Only loaded when reading REBASE files under Node.js
+  external: ['fs/promises'],
   output: {
     file: 'dist/c6-sim.min.js',
     format: 'umd',
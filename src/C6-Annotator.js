@@ -21,7 +21,7 @@
 // Future extensions to this system may map additional feature types from broader ontologies
 // into these bins without disrupting the core logic.
 
-import { cleanup, revcomp, translate } from './C6-Seq.js';
+import { cleanup, revcomp, translate, findIUPAC } from './C6-Seq.js';
 
 // Feature Ontology Bins:
 const dnaFeatures = new Set([
@@ -58,8 +58,12 @@ function buildFeatureIndex(features, k = 10) {
   return index;
 }
 
-// Smart matching using full exact matching (no k-mer seeding)
-function annotateSequence(sequence, featureDb = null) {
+// Matches features on both strands. Degenerate bases in a feature match any base they stand for; degenerate
+// bases in the sequence only match if the feature fits whatever they turn out to be. Reverse-strand features
+// are placed by their position in the reverse complement, and palindromic features are reported once per
+// strand. With { topStrand: true }, every feature is placed in top-strand coordinates and a palindromic
+// feature is reported once, on the top strand.
+function annotateSequence(sequence, featureDb = null, options = {}) {
   //   console.log("🔍 Starting annotation...");
   sequence = cleanup(sequence);
   const detectedFeatures = [];
@@ -67,26 +71,28 @@ function annotateSequence(sequence, featureDb = null) {
   const db = featureDb || featureDbGlobal;
   if (!db) throw new Error("No feature database loaded yet.");
 
-  const seqVariants = [sequence, revcomp(sequence)];
-  //   console.log("🧬 Scanning sequence and reverse complement with full exact matching...");
-
-  seqVariants.forEach((seq, strandIndex) => {
-    db.forEach(feature => {
-      const pattern = cleanup(feature.Sequence || '');
-      if (pattern.length < 10) return; // Ignore very short patterns
-
-      let pos = seq.indexOf(pattern);
-      while (pos !== -1) {
-        detectedFeatures.push({
-          start: pos,
-          end: pos + pattern.length,
-          strand: strandIndex === 0 ? +1 : -1,
-          label: feature.Name,
-          type: feature.Type,
-          color: feature.Color
-        });
-        pos = seq.indexOf(pattern, pos + 1);
+  //   console.log("🧬 Scanning sequence and reverse complement...");
+  db.forEach(feature => {
+    const pattern = cleanup(feature.Sequence || '');
+    if (pattern.length < 10) return; // Ignore very short patterns
+
+    const record = (start, strand) => detectedFeatures.push({
+      start,
+      end: start + pattern.length,
+      strand,
+      label: feature.Name,
+      type: feature.Type,
+      color: feature.Color
+    });
+
+    findIUPAC(sequence, pattern).forEach(({ index, strand }) => {
+      if (options.topStrand) {
+        record(index, strand);
+        return;
       }
+      const reverseIndex = sequence.length - index - pattern.length;
+      if (strand === 1) record(index, 1);
+      if (strand === -1 || pattern === revcomp(pattern)) record(reverseIndex, -1);
     });
   });
 
@@ -0,0 +1,528 @@
+// C6-Enzymes.js - Restriction Enzyme Database
+//
+// One source of restriction enzyme data for the whole library: digests, Golden Gate assembly and
+// silent site removal all look enzymes up here.
+//
+// Sites are written in REBASE notation. A caret marks the cut in the top strand of the site, and the
+// bottom strand is cut at the mirror-image position (G^AATTC). Enzymes that cut outside their site give
+// the cut positions after the end of the site as (top/bottom), counted in bases along the top strand,
+// with negative numbers inside or before the site (GGTCTC(1/5), CCGC(-3/-1)). IUPAC codes such as R, Y,
+// W and N stand for degenerate positions.
+//
+// Each enzyme record holds the parsed site as `recognitionSequence` plus `cut5` and `cut3`, the top- and
+// bottom-strand cut positions relative to the end of the site. A site found at index i of the top strand
+// is cut at i + length + cut5 on the top strand and i + length + cut3 on the bottom strand. The sticky end
+// is a 5' overhang when cut5 < cut3, a 3' overhang when cut5 > cut3, and blunt when they are equal.
+//
+// Enzymes also record their sensitivity to dam, dcm and CpG methylation, so digests of DNA isolated from a
+// methylating strain can tell which sites are blocked.
+//
+// More enzymes can be added with registerEnzyme, or loaded from REBASE "withrefm" (format #31) and
+// "bairoch" (format #19) files with loadRebaseFile.
+
+import { revcomp, findIUPAC } from './C6-Seq.js';
+import { loadTextFile } from './C6-Utils.js';
+
+// Commercially available enzymes, by name, with their REBASE site
+const commercialEnzymes = {
+  AarI: 'CACCTGC(4/8)', AatII: 'GACGT^C', Acc65I: 'G^GTACC', AccI: 'GT^MKAC', AciI: 'CCGC(-3/-1)',
+  AclI: 'AA^CGTT', AcuI: 'CTGAAG(16/14)', AfeI: 'AGC^GCT', AflII: 'C^TTAAG', AflIII: 'A^CRYGT',
+  AgeI: 'A^CCGGT', AhdI: 'GACNNN^NNGTC', AleI: 'CACNN^NNGTG', AluI: 'AG^CT', AlwI: 'GGATC(4/5)',
+  AlwNI: 'CAGNNN^CTG', ApaI: 'GGGCC^C', ApaLI: 'G^TGCAC', ApeKI: 'G^CWGC', ApoI: 'R^AATTY',
+  AscI: 'GG^CGCGCC', AseI: 'AT^TAAT', AsiSI: 'GCGAT^CGC', AvaI: 'C^YCGRG', AvaII: 'G^GWCC',
+  AvrII: 'C^CTAGG', BaeGI: 'GKGCM^C', BamHI: 'G^GATCC', BanI: 'G^GYRCC', BanII: 'GRGCY^C',
+  BbsI: 'GAAGAC(2/6)', BbvCI: 'CC^TCAGC', BbvI: 'GCAGC(8/12)', BccI: 'CCATC(4/5)', BceAI: 'ACGGC(12/14)',
+  BciVI: 'GTATCC(6/5)', BclI: 'T^GATCA', BcoDI: 'GTCTC(1/5)', BfaI: 'C^TAG', BfuAI: 'ACCTGC(4/8)',
+  BglI: 'GCCNNNN^NGGC', BglII: 'A^GATCT', BlpI: 'GC^TNAGC', BmgBI: 'CAC^GTC', BmrI: 'ACTGGG(5/4)',
+  BmtI: 'GCTAG^C', BpiI: 'GAAGAC(2/6)', BpmI: 'CTGGAG(16/14)', Bpu10I: 'CC^TNAGC', BpuEI: 'CTTGAG(16/14)',
+  BsaAI: 'YAC^GTR', BsaBI: 'GATNN^NNATC', BsaHI: 'GR^CGYC', BsaI: 'GGTCTC(1/5)', BsaJI: 'C^CNNGG',
+  BsaWI: 'W^CCGGW', BseRI: 'GAGGAG(10/8)', BseYI: 'C^CCAGC', BsgI: 'GTGCAG(16/14)', BsiEI: 'CGRY^CG',
+  BsiHKAI: 'GWGCW^C', BsiWI: 'C^GTACG', BslI: 'CCNNNNN^NNGG', BsmAI: 'GTCTC(1/5)', BsmBI: 'CGTCTC(1/5)',
+  BsmFI: 'GGGAC(10/14)', BsmI: 'GAATGC(1/-1)', BsoBI: 'C^YCGRG', Bsp1286I: 'GDGCH^C', BspCNI: 'CTCAG(9/7)',
+  BspDI: 'AT^CGAT', BspEI: 'T^CCGGA', BspHI: 'T^CATGA', BspMI: 'ACCTGC(4/8)', BspQI: 'GCTCTTC(1/4)',
+  BsrBI: 'CCGCTC(-3/-3)', BsrDI: 'GCAATG(2/0)', BsrFI: 'R^CCGGY', BsrGI: 'T^GTACA', BsrI: 'ACTGG(1/-1)',
+  BssHII: 'G^CGCGC', BssSI: 'C^ACGAG', BstAPI: 'GCANNNN^NTGC', BstBI: 'TT^CGAA', BstEII: 'G^GTNACC',
+  BstNI: 'CC^WGG', BstUI: 'CG^CG', BstXI: 'CCANNNNN^NTGG', BstYI: 'R^GATCY', BstZ17I: 'GTA^TAC',
+  Bsu15I: 'AT^CGAT', Bsu36I: 'CC^TNAGG', BtgI: 'C^CRYGG', BtgZI: 'GCGATG(10/14)', BtsCI: 'GGATG(2/0)',
+  BtsI: 'GCAGTG(2/0)', BveI: 'ACCTGC(4/8)', Cac8I: 'GCN^NGC', ClaI: 'AT^CGAT', CviAII: 'C^ATG',
+  'CviKI-1': 'RG^CY', CviQI: 'G^TAC', DdeI: 'C^TNAG', DpnI: 'GA^TC', DpnII: '^GATC', DraI: 'TTT^AAA',
+  DraIII: 'CACNNN^GTG', DrdI: 'GACNNNN^NNGTC', EaeI: 'Y^GGCCR', EagI: 'C^GGCCG', EarI: 'CTCTTC(1/4)',
+  EciI: 'GGCGGA(11/9)', Eco31I: 'GGTCTC(1/5)', Eco32I: 'GAT^ATC', Eco53kI: 'GAG^CTC', EcoNI: 'CCTNN^NNNAGG',
+  EcoO109I: 'RG^GNCCY', EcoRI: 'G^AATTC', EcoRV: 'GAT^ATC', Esp3I: 'CGTCTC(1/5)', FatI: '^CATG',
+  FauI: 'CCCGC(4/6)', Fnu4HI: 'GC^NGC', FokI: 'GGATG(9/13)', FseI: 'GGCCGG^CC', FspI: 'TGC^GCA',
+  HaeII: 'RGCGC^Y', HaeIII: 'GG^CC', HgaI: 'GACGC(5/10)', HhaI: 'GCG^C', HincII: 'GTY^RAC',
+  HindIII: 'A^AGCTT', HinfI: 'G^ANTC', HinP1I: 'G^CGC', HpaI: 'GTT^AAC', HpaII: 'C^CGG',
+  HphI: 'GGTGA(8/7)', Hpy166II: 'GTN^NAC', Hpy188I: 'TCN^GA', Hpy188III: 'TC^NNGA', Hpy99I: 'CGWCG^',
+  HpyAV: 'CCTTC(6/5)', HpyCH4III: 'ACN^GT', HpyCH4IV: 'A^CGT', HpyCH4V: 'TG^CA', KasI: 'G^GCGCC',
+  KpnI: 'GGTAC^C', LguI: 'GCTCTTC(1/4)', MboI: '^GATC', MboII: 'GAAGA(8/7)', MfeI: 'C^AATTG',
+  MluCI: '^AATT', MluI: 'A^CGCGT', MlyI: 'GAGTC(5/5)', MmeI: 'TCCRAC(20/18)', MnlI: 'CCTC(7/6)',
+  MscI: 'TGG^CCA', MseI: 'T^TAA', MslI: 'CAYNN^NNRTG', MspA1I: 'CMG^CKG', MspI: 'C^CGG',
+  MwoI: 'GCNNNNN^NNGC', NaeI: 'GCC^GGC', NarI: 'GG^CGCC', NciI: 'CC^SGG', NcoI: 'C^CATGG',
+  NdeI: 'CA^TATG', NgoMIV: 'G^CCGGC', NheI: 'G^CTAGC', NlaIII: 'CATG^', NlaIV: 'GGN^NCC',
+  NmeAIII: 'GCCGAG(21/19)', NotI: 'GC^GGCCGC', NruI: 'TCG^CGA', NsiI: 'ATGCA^T', NspI: 'RCATG^Y',
+  PacI: 'TTAAT^TAA', PaeR7I: 'C^TCGAG', PaqCI: 'CACCTGC(4/8)', PciI: 'A^CATGT', PflFI: 'GACN^NNGTC',
+  PflMI: 'CCANNNN^NTGG', PleI: 'GAGTC(4/5)', PluTI: 'GGCGC^C', PmeI: 'GTTT^AAAC', PmlI: 'CAC^GTG',
+  PpuMI: 'RG^GWCCY', PshAI: 'GACNN^NNGTC', PsiI: 'TTA^TAA', PspGI: '^CCWGG', PspOMI: 'G^GGCCC',
+  PspXI: 'VC^TCGAGB', PstI: 'CTGCA^G', PvuI: 'CGAT^CG', PvuII: 'CAG^CTG', RsaI: 'GT^AC',
+  RsrII: 'CG^GWCCG', SacI: 'GAGCT^C', SacII: 'CCGC^GG', SalI: 'G^TCGAC', SapI: 'GCTCTTC(1/4)',
+  Sau3AI: '^GATC', Sau96I: 'G^GNCC', SbfI: 'CCTGCA^GG', ScaI: 'AGT^ACT', ScrFI: 'CC^NGG',
+  SexAI: 'A^CCWGGT', SfaNI: 'GCATC(5/9)', SfcI: 'C^TRYAG', SfiI: 'GGCCNNNN^NGGCC', SfoI: 'GGC^GCC',
+  SgrAI: 'CR^CCGGYG', SmaI: 'CCC^GGG', SmlI: 'C^TYRAG', SnaBI: 'TAC^GTA', SpeI: 'A^CTAGT',
+  SphI: 'GCATG^C', SrfI: 'GCCC^GGGC', SspI: 'AAT^ATT', StuI: 'AGG^CCT', StyD4I: '^CCNGG',
+  StyI: 'C^CWWGG', SwaI: 'ATTT^AAAT', TaqI: 'T^CGA', TfiI: 'G^AWTC', TseI: 'G^CWGC',
+  Tsp45I: '^GTSAC', TspMI: 'C^CCGGG', Tth111I: 'GACN^NNGTC', XbaI: 'T^CTAGA', XcmI: 'CCANNNNN^NNNNTGG',
+  XhoI: 'C^TCGAG', XmaI: 'C^CCGGG', XmnI: 'GAANN^NNTTC', ZraI: 'GAC^GTC'
+};
+
+// In vivo methylation systems. Each modifies both strands of a palindromic motif; `offsets` gives the
+// positions in the motif of the modified base pairs, one per strand.
+const methylationSystems = {
+  dam: { motif: 'GATC', offsets: [1, 2] },   // N6-methyladenine
+  dcm: { motif: 'CCWGG', offsets: [1, 3] },  // C5-methylcytosine
+  cpg: { motif: 'CG', offsets: [0, 1] }      // C5-methylcytosine, e.g. from M.SssI or mammalian DNA
+};
+
+// How methylation within a site affects commercial enzymes, after NEB's methylation sensitivity tables.
+// 'blocked' sites are not cut, 'impaired' ones are cut slowly, and 'required' enzymes only cut methylated sites.
+const methylationSensitivity = {
+  AatII: { cpg: 'blocked' }, Acc65I: { dcm: 'impaired' }, ApaI: { dcm: 'impaired', cpg: 'blocked' },
+  AscI: { cpg: 'blocked' }, AsiSI: { cpg: 'blocked' }, AvaII: { dcm: 'blocked' }, BclI: { dam: 'blocked' },
+  BsaBI: { dam: 'blocked' }, BsaHI: { cpg: 'blocked' }, BsaI: { dcm: 'impaired', cpg: 'impaired' },
+  BspDI: { dam: 'blocked', cpg: 'blocked' }, BspHI: { dam: 'blocked' }, BssHII: { cpg: 'blocked' },
+  ClaI: { dam: 'blocked', cpg: 'blocked' }, DpnI: { dam: 'required' }, DpnII: { dam: 'blocked' },
+  EagI: { cpg: 'blocked' }, EcoO109I: { dcm: 'blocked' }, FseI: { cpg: 'blocked' }, HpaII: { cpg: 'blocked' },
+  HphI: { dam: 'blocked' }, MboI: { dam: 'blocked' }, MboII: { dam: 'blocked' }, MluI: { cpg: 'blocked' },
+  NaeI: { cpg: 'blocked' }, NarI: { cpg: 'blocked' }, NotI: { cpg: 'blocked' }, NruI: { dam: 'blocked', cpg: 'blocked' },
+  PflMI: { dcm: 'blocked' }, PspGI: { dcm: 'blocked' }, PvuI: { cpg: 'blocked' }, SacII: { cpg: 'blocked' },
+  SalI: { cpg: 'impaired' }, SfiI: { dcm: 'impaired', cpg: 'impaired' }, SmaI: { cpg: 'blocked' },
+  StuI: { dcm: 'blocked' }, TaqI: { dam: 'impaired' }, XbaI: { dam: 'blocked' }, XhoI: { cpg: 'impaired' }
+};
+
+// The IUPAC codes a recognition site may be written in
+const siteCodes = /^[ACGTRYSWKMBDHVN]+$/;
+
+// The enzyme database, by name
+const restrictionEnzymes = {};
+
+/**
+ * Parses a recognition site written in REBASE notation.
+ *
+ * @param {string} site - e.g. 'G^AATTC', 'GGTCTC(1/5)' or 'CCGC(-3/-1)'.
+ * @returns {{recognitionSequence: string, cut5: number, cut3: number}}
+ * @throws {Error} If the site is malformed, has no cut position, or is cut on both sides of the site.
+ */
+function parseSite(site) {
+  const text = String(site).trim().toUpperCase();
+  if (/^\(/.test(text)) {
+    throw new Error(`Site ${site} is cut on both sides, which is not supported`);
+  }
+
+  const external = text.match(/^([A-Z]+)\((-?\d+)\/(-?\d+)\)$/);
+  let recognitionSequence, cut5, cut3;
+  if (external) {
+    recognitionSequence = external[1];
+    cut5 = parseInt(external[2], 10);
+    cut3 = parseInt(external[3], 10);
+  } else {
+    const caret = text.indexOf('^');
+    if (caret === -1 || text.indexOf('^', caret + 1) !== -1) {
+      throw new Error(`Site ${site} does not give a single cut position`);
+    }
+    recognitionSequence = text.replace('^', '');
+    // The bottom strand is cut at the mirror image of the top-strand cut
+    cut5 = caret - recognitionSequence.length;
+    cut3 = -caret;
+  }
+
+  if (!siteCodes.test(recognitionSequence)) {
+    throw new Error(`Site ${site} contains characters that are not IUPAC bases`);
+  }
+  return { recognitionSequence, cut5, cut3 };
+}
+
+// Builds the full record for an enzyme from its name and parsed site
+function enzymeRecord(name, site, details = {}) {
+  const parsed = typeof site === 'string' ? parseSite(site) : site;
+  const { recognitionSequence, cut5, cut3 } = parsed;
+  const recognitionRC = revcomp(recognitionSequence);
+  return {
+    name,
+    site: typeof site === 'string' ? site : formatSite(parsed),
+    recognitionSequence,
+    recognitionRC,
+    cut5,
+    cut3,
+    isFivePrime: cut5 < cut3,
+    isBlunt: cut5 === cut3,
+    overhang: Math.abs(cut3 - cut5),
+    isPalindromic: recognitionSequence === recognitionRC,
+    isDegenerate: /[^ACGT]/.test(recognitionSequence),
+    methylation: {},
+    ...details
+  };
+}
+
+// Writes a parsed site back in REBASE notation, using a caret when the cut is symmetric and inside the site
+function formatSite({ recognitionSequence, cut5, cut3 }) {
+  const L = recognitionSequence.length;
+  const caret = cut5 + L;
+  if (cut3 === -caret && caret >= 0 && caret <= L) {
+    return recognitionSequence.slice(0, caret) + '^' + recognitionSequence.slice(caret);
+  }
+  return `${recognitionSequence}(${cut5}/${cut3})`;
+}
+
+/**
+ * Adds an enzyme to the database, replacing any enzyme of the same name.
+ *
+ * @param {string} name - The enzyme's name, e.g. 'BsaI'.
+ * @param {string|{recognitionSequence: string, cut5: number, cut3: number}} site - The site in REBASE notation,
+ *        or already parsed.
+ * @param {Object} [details] - Extra fields to keep on the record, e.g. `{ commercial: true }`, or the enzyme's
+ *        `methylation` sensitivity, e.g. `{ dam: 'blocked' }` (see siteMethylation).
+ * @returns {Object} The enzyme record.
+ */
+function registerEnzyme(name, site, details = {}) {
+  const record = enzymeRecord(name, site, details);
+  restrictionEnzymes[name] = record;
+  return record;
+}
+
+/**
+ * Looks up an enzyme by name. An exact match is preferred, but case is ignored if there is none.
+ *
+ * @param {string} name
+ * @returns {Object|null} The enzyme record `{name, site, recognitionSequence, recognitionRC, cut5, cut3,
+ *          isFivePrime, isBlunt, overhang, isPalindromic, isDegenerate, methylation}`, or null if the enzyme is
+ *          unknown. `methylation` maps each methylation system the enzyme is sensitive to ('dam', 'dcm' or 'cpg')
+ *          to 'blocked', 'impaired' or 'required'.
+ */
+function getEnzyme(name) {
+  if (restrictionEnzymes.hasOwnProperty(name)) {
+    return restrictionEnzymes[name];
+  }
+  const lower = String(name).toLowerCase();
+  const match = Object.keys(restrictionEnzymes).find(key => key.toLowerCase() === lower);
+  return match ? restrictionEnzymes[match] : null;
+}
+
+/**
+ * Lists the names of the enzymes in the database.
+ *
+ * @param {Object} [filter]
+ * @param {boolean} [filter.commercial] - Only enzymes that are (or are not) commercially available.
+ * @returns {Array<string>}
+ */
+function listEnzymes(filter = {}) {
+  return Object.keys(restrictionEnzymes).filter(name =>
+    filter.commercial === undefined || !!restrictionEnzymes[name].commercial === filter.commercial);
+}
+
+// Same recognition site, read in either orientation
+function sameSite(a, b) {
+  return a.recognitionSequence === b.recognitionSequence || a.recognitionSequence === b.recognitionRC;
+}
+
+// Same cuts, allowing for the site being written on the other strand
+function sameCut(a, b) {
+  if (a.recognitionSequence === b.recognitionSequence && a.cut5 === b.cut5 && a.cut3 === b.cut3) return true;
+  const L = a.recognitionSequence.length;
+  return a.recognitionSequence === b.recognitionRC && a.cut5 === -(b.cut3 + L) && a.cut3 === -(b.cut5 + L);
+}
+
+/**
+ * Finds the enzymes that recognize the same site as a given enzyme.
+ *
+ * @param {string} name - The enzyme to match.
+ * @param {Object} [options]
+ * @param {boolean} [options.sameCut=false] - Only true isoschizomers, which also cut at the same positions. Without
+ *        this, neoschizomers (same site, different cut, e.g. SmaI and XmaI) are included too.
+ * @returns {Array<string>} The other enzymes' names.
+ * @throws {Error} If the enzyme is unknown.
+ */
+function isoschizomers(name, options = {}) {
+  const enzyme = getEnzyme(name);
+  if (!enzyme) {
+    throw new Error(`Enzyme "${name}" not found.`);
+  }
+  return Object.values(restrictionEnzymes)
+    .filter(other => other !== enzyme && sameSite(enzyme, other) && (!options.sameCut || sameCut(enzyme, other)))
+    .map(other => other.name);
+}
+
+/**
+ * Finds every occurrence of an enzyme's recognition site in a sequence, on both strands. Overlapping
+ * occurrences are all found, and degenerate sites are matched base by base. A palindromic site is only
+ * reported once, on the top strand.
+ *
+ * Degenerate bases in the sequence are handled explicitly: a site is only reported if the enzyme cuts there
+ * whatever the ambiguous bases turn out to be. Sites it may or may not cut are left out unless asked for.
+ *
+ * @param {string} sequence - The top strand to search (case is ignored).
+ * @param {string} name - The enzyme's name.
+ * @param {Object} [options]
+ * @param {boolean} [options.possible=false] - Also report sites the enzyme only maybe cuts, flagged `possible: true`.
+ * @returns {Array<{index: number, strand: number, possible?: boolean}>} The index of each site on the top strand,
+ *          with strand 1 if the site reads on the top strand and -1 if it reads on the bottom, sorted by index.
+ * @throws {Error} If the enzyme is unknown.
+ */
+function findSites(sequence, name, options = {}) {
+  const enzyme = getEnzyme(name);
+  if (!enzyme) {
+    throw new Error(`Enzyme "${name}" not found.`);
+  }
+  return findIUPAC(sequence, enzyme.recognitionSequence, { possible: options.possible })
+    .map(({ index, strand, match }) => (match === 'possible' ? { index, strand, possible: true } : { index, strand }));
+}
+
+// Reads a stretch of a circular sequence that may run past either end
+function circularWindow(seq, from, to) {
+  let window = '';
+  for (let i = from; i < to; i++) {
+    window += seq[((i % seq.length) + seq.length) % seq.length];
+  }
+  return window;
+}
+
+/**
+ * Works out how methylation affects an enzyme at one of its sites. A site counts as methylated by a system
+ * when one of the base pairs the system modifies lies inside the recognition sequence, including motifs that
+ * only overlap the site (such as the GATC in TCTAGATC, which blocks XbaI).
+ *
+ * @param {string} sequence - The top strand of the DNA.
+ * @param {string} name - The enzyme's name.
+ * @param {number} index - Where the site starts on the top strand, as returned by findSites.
+ * @param {Array<string>} systems - The methylation systems that have modified the DNA, e.g. ['dam', 'dcm'].
+ * @param {Object} [options]
+ * @param {boolean} [options.circular=false] - Whether the DNA is circular, so motifs can span the origin.
+ * @returns {Array<{system: string, sensitivity: string, methylated: boolean, motif: string, position: number}>} One
+ *          entry per system the enzyme is sensitive to: its sensitivity ('blocked', 'impaired' or 'required'), whether
+ *          the site is methylated by it, the system's motif, and where the methylated motif starts (null if it is not).
+ * @throws {Error} If the enzyme or a methylation system is unknown.
+ */
+function siteMethylation(sequence, name, index, systems, options = {}) {
+  const enzyme = getEnzyme(name);
+  if (!enzyme) {
+    throw new Error(`Enzyme "${name}" not found.`);
+  }
+  for (const system of systems) {
+    if (!methylationSystems[system]) {
+      throw new Error(`Unknown methylation system "${system}"; expected one of ${Object.keys(methylationSystems).join(', ')}`);
+    }
+  }
+  const seq = sequence.toUpperCase();
+  const L = enzyme.recognitionSequence.length;
+
+  return Object.entries(enzyme.methylation).map(([system, sensitivity]) => {
+    const { motif, offsets } = methylationSystems[system];
+    const effect = { system, sensitivity, methylated: false, motif, position: null };
+    if (!systems.includes(system)) return effect;
+
+    let from = index - motif.length + 1;
+    let to = index + L + motif.length - 1;
+    if (!options.circular) {
+      from = Math.max(0, from);
+      to = Math.min(seq.length, to);
+    }
+    const window = options.circular ? circularWindow(seq, from, to) : seq.slice(from, to);
+    const hit = findIUPAC(window, motif, { bothStrands: false })
+      .find(({ index: m }) => offsets.some(offset => from + m + offset >= index && from + m + offset < index + L));
+    if (hit) {
+      effect.methylated = true;
+      effect.position = ((from + hit.index) % seq.length + seq.length) % seq.length;
+    }
+    return effect;
+  });
+}
+
+/**
+ * Parses a REBASE file in "withrefm" format (#31). Records list the enzyme name on a <1> line, its
+ * prototype and isoschizomers on <2>, its site on <3>, and its commercial sources on <7>.
+ *
+ * @param {string} text - The contents of the file.
+ * @returns {{enzymes: Array<Object>, skipped: Array<{name: string, site: string, reason: string}>}} The parsed
+ *          enzymes as `{name, site, recognitionSequence, cut5, cut3, prototype, commercial, suppliers}`, and the
+ *          records that were left out (unknown or two-sided cuts).
+ */
+function parseWithrefm(text) {
+  const enzymes = [];
+  const skipped = [];
+  let record = null;
+
+  const finish = () => {
+    if (!record || !record.name) return;
+    const site = record.site || '';
+    try {
+      if (!site || site === '?') throw new Error('the site is not known');
+      const parsed = parseSite(site);
+      const suppliers = record.suppliers || '';
+      enzymes.push({
+        name: record.name,
+        site,
+        ...parsed,
+        prototype: record.prototype || null,
+        commercial: suppliers.length > 0,
+        suppliers
+      });
+    } catch (err) {
+      skipped.push({ name: record.name, site, reason: err.message });
+    }
+  };
+
+  for (const line of String(text).split(/\r?\n/)) {
+    const field = line.match(/^<(\d)>(.*)$/);
+    if (!field) continue;
+    const value = field[2].trim();
+    switch (field[1]) {
+      case '1':
+        finish();
+        record = { name: value };
+        break;
+      case '2':
+        if (record) record.prototype = value.split(',')[0] || null;
+        break;
+      case '3':
+        if (record) record.site = value;
+        break;
+      case '7':
+        if (record) record.suppliers = value;
+        break;
+    }
+  }
+  finish();
+  return { enzymes, skipped };
+}
+
+/**
+ * Parses a REBASE file in "bairoch" format (#19), the Swiss-Prot style format with ID, PT, RS and CR lines
+ * and records ending in //. An RS line gives the site and the cut position counted from the start of the
+ * site, e.g. "RS   GAATTC, 1;". Sites that are not palindromic also give the site and cut on the other
+ * strand, e.g. "RS   GGTCTC, 7; GAGACC, -5;".
+ *
+ * @param {string} text - The contents of the file.
+ * @returns {{enzymes: Array<Object>, skipped: Array<{name: string, site: string, reason: string}>}} As parseWithrefm.
+ */
+function parseBairoch(text) {
+  const enzymes = [];
+  const skipped = [];
+  let record = {};
+
+  const finish = () => {
+    if (!record.name) return;
+    const rs = record.rs || '';
+    try {
+      const parts = rs.split(';').map(part => part.trim()).filter(Boolean)
+        .map(part => part.split(',').map(item => item.trim()));
+      if (parts.length === 0 || parts[0].length < 2 || parts[0][1] === '?') {
+        throw new Error('the site is not known');
+      }
+      const recognitionSequence = parts[0][0].toUpperCase();
+      if (!siteCodes.test(recognitionSequence)) {
+        throw new Error('the site contains characters that are not IUPAC bases');
+      }
+      const L = recognitionSequence.length;
+      const top = parseInt(parts[0][1], 10);
+      // Without a second strand the cut is symmetric
+      const bottom = parts[1] && parts[1].length > 1 ? parseInt(parts[1][1], 10) : top;
+      if (isNaN(top) || isNaN(bottom)) {
+        throw new Error('the cut position is not a number');
+      }
+      const cut5 = top - L;
+      const cut3 = -bottom;
+      const suppliers = record.suppliers || '';
+      enzymes.push({
+        name: record.name,
+        site: formatSite({ recognitionSequence, cut5, cut3 }),
+        recognitionSequence,
+        cut5,
+        cut3,
+        prototype: record.prototype || null,
+        commercial: suppliers.length > 0 && suppliers !== '.',
+        suppliers: suppliers === '.' ? '' : suppliers
+      });
+    } catch (err) {
+      skipped.push({ name: record.name, site: rs, reason: err.message });
+    }
+  };
+
+  for (const line of String(text).split(/\r?\n/)) {
+    if (line.startsWith('//')) {
+      finish();
+      record = {};
+      continue;
+    }
+    const tag = line.slice(0, 2);
+    const value = line.slice(5).trim();
+    switch (tag) {
+      case 'ID': record.name = value; break;
+      case 'PT': record.prototype = value.replace(/[;.]$/, ''); break;
+      case 'RS': record.rs = (record.rs ? record.rs + ' ' : '') + value; break;
+      case 'CR': record.suppliers = value.replace(/[;.]$/, '') || '.'; break;
+    }
+  }
+  finish();
+  return { enzymes, skipped };
+}
+
+/**
+ * Parses a REBASE file, detecting whether it is in "withrefm" or "bairoch" format.
+ *
+ * @param {string} text - The contents of the file.
+ * @returns {{format: string, enzymes: Array<Object>, skipped: Array<Object>}}
+ * @throws {Error} If the format is not recognized.
+ */
+function parseRebase(text) {
+  if (/^<1>/m.test(text)) {
+    return { format: 'withrefm', ...parseWithrefm(text) };
+  }
+  if (/^ID {3}/m.test(text)) {
+    return { format: 'bairoch', ...parseBairoch(text) };
+  }
+  throw new Error("Unrecognized REBASE format: expected a withrefm (<1>...) or bairoch (ID   ...) file");
+}
+
+/**
+ * Reads a REBASE file from disk and adds its enzymes to the database. Only available under Node.js.
+ *
+ * @param {string} path - Path to a withrefm or bairoch file, as downloaded from rebase.neb.com.
+ * @param {Object} [options]
+ * @param {boolean} [options.commercialOnly=false] - Only load enzymes that have a commercial source.
+ * @param {boolean} [options.register=true] - Add the enzymes to the database (otherwise they are only returned).
+ * @returns {Promise<{format: string, enzymes: Array<Object>, skipped: Array<Object>}>} What was parsed.
+ *
+ * @example
+ * const { enzymes, skipped } = await loadRebaseFile('./withrefm.511', { commercialOnly: true });
+ */
+function loadRebaseFile(path, options = {}) {
+  const parse = (text) => {
+    const result = parseRebase(text);
+    if (options.commercialOnly) {
+      result.enzymes = result.enzymes.filter(enzyme => enzyme.commercial);
+    }
+    return result;
+  };
+  const register = ({ enzymes }) => {
+    for (const { name, site, recognitionSequence, cut5, cut3, ...details } of enzymes) {
+      registerEnzyme(name, { recognitionSequence, cut5, cut3 }, details);
+    }
+  };
+  return loadTextFile(path, parse, register, options);
+}
+
+for (const name in commercialEnzymes) {
+  registerEnzyme(name, commercialEnzymes[name], { commercial: true, methylation: methylationSensitivity[name] || {} });
+}
+
+export {
+  parseSite,
+  registerEnzyme,
+  getEnzyme,
+  listEnzymes,
+  isoschizomers,
+  findSites,
+  siteMethylation,
+  parseWithrefm,
+  parseBairoch,
+  parseRebase,
+  loadRebaseFile
+};
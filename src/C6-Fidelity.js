@@ -0,0 +1,193 @@
+// C6-Fidelity.js - Overhang Ligation Fidelity
+//
+// How reliably a set of sticky ends assembles in the intended order, from measured ligation frequencies.
+// Ligase joins an overhang to its Watson-Crick partner most of the time, but also to partners with a
+// mismatch (G:T pairs and mismatches at the outer bases especially), so overhangs that differ by a base,
+// or pairs such as GGTA/GGAA, can join the wrong fragments. Published datasets (e.g. Potapov et al., 2018,
+// ACS Synth. Biol. 7:2665, for T4 DNA ligase and 4-nt overhangs) count every pairing seen in a ligation
+// reaction as a matrix, with overhangs (5' to 3') as the rows and the overhangs they were joined to, read
+// 5' to 3' on the other strand, as the columns. The correct partner of an overhang is therefore its
+// reverse complement.
+//
+// No dataset is bundled. Load one with loadLigationFile (or parse one with parseLigationMatrix and make it
+// the default with setLigationData) before scoring overhangs.
+
+import { revcomp } from './C6-Seq.js';
+import { loadTextFile } from './C6-Utils.js';
+
+// The ligation data used when none is given, set by setLigationData or loadLigationFile
+let defaultLigationData = null;
+
+/**
+ * Parses a ligation frequency matrix. The first line holds the column overhangs, after a label for the
+ * row overhangs (e.g. "Overhang"); each following line holds an overhang and the number of times (or the
+ * frequency with which) it ligated to each column's overhang. Values may be separated by commas, tabs or
+ * spaces. Blank lines and lines starting with '#' are ignored.
+ *
+ * @param {string} text - The contents of the file.
+ * @returns {{overhangs: Array<string>, frequencies: Object<string, Object<string, number>>,
+ *          skipped: Array<{line: number, text: string, reason: string}>}} The column overhangs, the
+ *          frequencies by row overhang then column overhang, and the rows that could not be read.
+ * @throws {Error} If there is no header line of overhangs.
+ *
+ * @example
+ * parseLigationMatrix("Overhang,AATT,GGAG,CTCC\nAATT,1200,0,0\nGGAG,0,3,950\nCTCC,0,950,1");
+ */
+function parseLigationMatrix(text) {
+  const lines = String(text).split(/\r?\n/)
+    .map((line, i) => ({ line: i + 1, text: line }))
+    .filter(({ text }) => text.trim() && !text.trim().startsWith('#'));
+  const split = (line) => /[,\t]/.test(line) ? line.split(/[,\t]/).map(value => value.trim()) : line.trim().split(/\s+/);
+
+  if (lines.length === 0) {
+    throw new Error("The ligation matrix is empty");
+  }
+  const overhangs = split(lines[0].text).slice(1).map(overhang => overhang.toUpperCase());
+  if (overhangs.length === 0 || !overhangs.every(overhang => /^[ACGT]+$/.test(overhang))) {
+    throw new Error("The first line of a ligation matrix must list the overhangs of its columns");
+  }
+
+  const frequencies = {};
+  const skipped = [];
+  for (const { line, text: row } of lines.slice(1)) {
+    const [overhang, ...values] = split(row);
+    if (!/^[ACGT]+$/i.test(overhang)) {
+      skipped.push({ line, text: row, reason: `${overhang} is not an overhang` });
+      continue;
+    }
+    if (values.length !== overhangs.length) {
+      skipped.push({ line, text: row, reason: `expected ${overhangs.length} values, found ${values.length}` });
+      continue;
+    }
+    const counts = values.map(Number);
+    if (counts.some(count => !(count >= 0))) {
+      skipped.push({ line, text: row, reason: 'the frequencies must be numbers of at least 0' });
+      continue;
+    }
+    const entry = {};
+    overhangs.forEach((partner, i) => { entry[partner] = counts[i]; });
+    frequencies[overhang.toUpperCase()] = entry;
+  }
+  return { overhangs, frequencies, skipped };
+}
+
+/**
+ * Makes a ligation matrix (see parseLigationMatrix) the one used when no other is given.
+ *
+ * @param {Object|null} data - The parsed matrix, or null to clear it.
+ * @returns {Object|null} The matrix.
+ */
+function setLigationData(data) {
+  defaultLigationData = data || null;
+  return defaultLigationData;
+}
+
+/**
+ * The ligation matrix used when no other is given.
+ *
+ * @returns {Object|null} The parsed matrix, or null if none has been loaded.
+ */
+function getLigationData() {
+  return defaultLigationData;
+}
+
+/**
+ * Reads a ligation matrix (see parseLigationMatrix) from disk and makes it the default. Only available
+ * under Node.js.
+ *
+ * @param {string} path - Path to the file.
+ * @param {Object} [options]
+ * @param {boolean} [options.register=true] - Make it the default matrix (otherwise it is only returned).
+ * @returns {Promise<Object>} The parsed matrix.
+ */
+function loadLigationFile(path, options = {}) {
+  return loadTextFile(path, parseLigationMatrix, setLigationData, options);
+}
+
+// How often one end ligated to another, or 0 if the matrix does not say
+function frequency(data, overhang, partner) {
+  const row = data.frequencies[overhang];
+  return row && row[partner] > 0 ? row[partner] : 0;
+}
+
+/**
+ * Estimates how often a set of overhangs assembles correctly.
+ *
+ * Every overhang in the set and its complement are in the reaction. An overhang ligates correctly in the
+ * proportion of its ligations, among those to ends in the reaction, that are to its complement; the
+ * set's fidelity, the expected fraction of assemblies with every junction correct, is the product of its
+ * overhangs' fidelities. Any other end in the reaction that an overhang ligates to at least `maxMisligation`
+ * times as often as to its complement is reported as a low-fidelity pair.
+ *
+ * @param {Array<string>} overhangs - The overhangs, one per junction, 5' to 3' on either strand.
+ * @param {Object} [options]
+ * @param {Object} [options.ligationData] - The ligation matrix (see parseLigationMatrix); the default one if not given.
+ * @param {number} [options.maxMisligation=0.1] - Report pairs that ligate at least this often relative to the correct pair.
+ * @param {number} [options.minFidelity=0.9] - Warn if the set's fidelity is lower than this.
+ * @returns {{fidelity: number, overhangs: Array<{overhang: string, fidelity: number}>, lowFidelityPairs:
+ *          Array<{overhang: string, partner: string, ratio: number}>, missing: Array<string>, warnings: Array<string>}}
+ *          The set's fidelity; each overhang's; the pairs that mis-ligate, with how often relative to the correct
+ *          pair; the overhangs the matrix has no data for (left out of the fidelity); and warnings about all of these.
+ * @throws {Error} If there is no ligation matrix, or an overhang is palindromic or is used twice.
+ *
+ * @example
+ * await loadLigationFile('T4_01h_25C.csv');
+ * overhangFidelity(['GGAG', 'TACT', 'AATG', 'GCTT']).fidelity; // e.g. 0.98
+ */
+function overhangFidelity(overhangs, options = {}) {
+  const data = options.ligationData || defaultLigationData;
+  if (!data) {
+    throw new Error("No ligation data has been loaded; load a ligation frequency matrix with loadLigationFile");
+  }
+  const maxMisligation = options.maxMisligation === undefined ? 0.1 : options.maxMisligation;
+  const minFidelity = options.minFidelity === undefined ? 0.9 : options.minFidelity;
+
+  const set = overhangs.map(overhang => overhang.toUpperCase());
+  const ends = [];
+  for (const overhang of set) {
+    if (overhang === revcomp(overhang)) {
+      throw new Error(`Overhang ${overhang} is palindromic, so it ligates to itself`);
+    }
+    if (ends.includes(overhang)) {
+      throw new Error(`Overhang ${overhang} is used more than once`);
+    }
+    ends.push(overhang, revcomp(overhang));
+  }
+
+  const missing = set.filter(overhang => !data.frequencies[overhang] || !frequency(data, overhang, revcomp(overhang)));
+  const scores = [];
+  const lowFidelityPairs = [];
+  for (const overhang of set) {
+    if (missing.includes(overhang)) continue;
+    const correct = frequency(data, overhang, revcomp(overhang));
+    const total = ends.reduce((sum, partner) => sum + frequency(data, overhang, partner), 0);
+    scores.push({ overhang, fidelity: correct / total });
+    for (const partner of ends) {
+      const ratio = frequency(data, overhang, partner) / correct;
+      if (partner !== revcomp(overhang) && ratio > 0 && ratio >= maxMisligation) {
+        lowFidelityPairs.push({ overhang, partner, ratio });
+      }
+    }
+  }
+  const fidelity = scores.reduce((product, score) => product * score.fidelity, 1);
+
+  const warnings = [];
+  if (missing.length) {
+    warnings.push(`The ligation data has no correct ligations for ${missing.join(', ')}, so ${missing.length === 1 ? 'it was' : 'they were'} left out of the fidelity`);
+  }
+  for (const pair of lowFidelityPairs) {
+    warnings.push(`Overhang ${pair.overhang} mis-ligates to ${pair.partner} ${(100 * pair.ratio).toFixed(0)}% as often as to its complement ${revcomp(pair.overhang)}`);
+  }
+  if (fidelity < minFidelity) {
+    warnings.push(`The overhangs are expected to assemble correctly ${(100 * fidelity).toFixed(1)}% of the time, below ${(100 * minFidelity).toFixed(0)}%`);
+  }
+  return { fidelity, overhangs: scores, lowFidelityPairs, missing, warnings };
+}
+
+export {
+  parseLigationMatrix,
+  setLigationData,
+  getLigationData,
+  loadLigationFile,
+  overhangFidelity
+};
@@ -0,0 +1,280 @@
+// C6-Gel.js - Agarose Gel Electrophoresis Prediction
+//
+// Predicts where the DNA in each lane of an agarose gel will run and how bright each band will be.
+//
+// Migration follows the usual semi-log model: across the range of sizes a gel separates well, the distance
+// a linear double-stranded fragment travels falls linearly with log10 of its length. Higher agarose
+// percentages shift that range to smaller fragments. Fragments larger than the range bunch up near the
+// wells; smaller ones crowd together near the bottom of the gel.
+//
+// Uncut plasmids do not run at their length. Supercoiled DNA is compact and runs ahead of linear DNA of
+// the same size, while nicked (open-circular) DNA trails behind it, so a plasmid gives two bands.
+//
+// Band intensity follows the mass of DNA in the band: the pieces of one sample are taken to be
+// equimolar (as after a digest), so longer pieces stain more brightly. Pieces too close to be told apart
+// are reported as a single band.
+
+import { Polynucleotide, resolveToPoly } from './C6-Seq.js';
+
+// Sizes (bp) that gels of each agarose percentage resolve well, from standard running guides
+const agaroseRanges = [
+  { agarose: 0.5, min: 1000, max: 30000 },
+  { agarose: 0.7, min: 800, max: 12000 },
+  { agarose: 1.0, min: 500, max: 10000 },
+  { agarose: 1.2, min: 400, max: 7000 },
+  { agarose: 1.5, min: 200, max: 3000 },
+  { agarose: 2.0, min: 100, max: 2000 },
+  { agarose: 3.0, min: 50, max: 1000 }
+];
+
+// Band sizes (bp) of common DNA ladders
+const gelLadders = {
+  '1kb': [10000, 8000, 6000, 5000, 4000, 3000, 2000, 1500, 1000, 500],
+  '100bp': [1517, 1200, 1000, 900, 800, 700, 600, 500, 400, 300, 200, 100]
+};
+
+// Linear sizes that supercoiled and open-circular plasmids run alongside, as multiples of their length
+const SUPERCOILED_MOBILITY = 0.7;
+const OPEN_CIRCULAR_MOBILITY = 1.6;
+
+// Single-stranded DNA takes up intercalating stain about half as well as double-stranded DNA
+const SINGLE_STRAND_STAINING = 0.5;
+
+/**
+ * Finds the range of fragment sizes a gel separates well, interpolating between standard percentages.
+ *
+ * @param {number} agarose - The agarose percentage (w/v), e.g. 1 for a 1% gel.
+ * @returns {{min: number, max: number}} The smallest and largest well-resolved sizes, in bp.
+ */
+function gelRange(agarose) {
+  if (typeof agarose !== 'number' || !(agarose > 0)) {
+    throw new Error(`Invalid agarose percentage: ${agarose}`);
+  }
+  const first = agaroseRanges[0];
+  const last = agaroseRanges[agaroseRanges.length - 1];
+  if (agarose <= first.agarose) return { min: first.min, max: first.max };
+  if (agarose >= last.agarose) return { min: last.min, max: last.max };
+
+  const upper = agaroseRanges.findIndex(entry => entry.agarose >= agarose);
+  const lo = agaroseRanges[upper - 1];
+  const hi = agaroseRanges[upper];
+  const f = (agarose - lo.agarose) / (hi.agarose - lo.agarose);
+  const interpolate = (a, b) => Math.round(Math.pow(10, Math.log10(a) + f * (Math.log10(b) - Math.log10(a))));
+  return { min: interpolate(lo.min, hi.min), max: interpolate(lo.max, hi.max) };
+}
+
+/**
+ * Predicts how far a linear double-stranded fragment runs, as a fraction of the gel's length.
+ *
+ * Sizes in the resolving range land between 0.1 and 0.9; larger sizes approach the wells (0) and
+ * smaller ones the bottom of the gel (1).
+ *
+ * @param {number} size - The fragment size in bp.
+ * @param {{min: number, max: number}} range - The resolving range, from gelRange.
+ * @returns {number} The distance from the wells, between 0 and 1.
+ */
+function migration(size, range) {
+  const t = Math.log10(range.max / size) / Math.log10(range.max / range.min);
+  if (t < 0) return 0.1 / (1 - t);
+  if (t > 1) return 1 - 0.1 / (1 + 8 * (t - 1));
+  return 0.1 + 0.8 * t;
+}
+
+// Length of a polynucleotide including any single-stranded overhangs
+function fullLength(poly) {
+  const overhang = (ext) => (ext ? ext.replace('-', '').length : 0);
+  return poly.sequence.length + overhang(poly.ext5) + overhang(poly.ext3);
+}
+
+// The species a polynucleotide shows up as on a gel, with the linear size each runs alongside
+function gelSpecies(poly, moles, nicked) {
+  const length = fullLength(poly);
+  const mass = length * moles;
+  if (!poly.isDoubleStranded) {
+    return [{ length, form: 'single-stranded', apparentSize: length, mass: mass * SINGLE_STRAND_STAINING }];
+  }
+  if (poly.isCircular) {
+    return [
+      { length, form: 'supercoiled', apparentSize: length * SUPERCOILED_MOBILITY, mass: mass * (1 - nicked) },
+      { length, form: 'open-circular', apparentSize: length * OPEN_CIRCULAR_MOBILITY, mass: mass * nicked }
+    ].filter(species => species.mass > 0);
+  }
+  return [{ length, form: 'linear', apparentSize: length, mass }];
+}
+
+// Normalizes one lane argument of gel() to {name, polys, amounts}
+function normalizeLane(lane, index) {
+  let name = `Lane ${index + 1}`;
+  let dnas = lane;
+  let amounts = null;
+  if (lane && typeof lane === 'object' && !Array.isArray(lane) && !(lane instanceof Polynucleotide) && 'dnas' in lane) {
+    name = lane.name || name;
+    dnas = lane.dnas;
+    amounts = lane.amounts || null;
+  }
+  const polys = (Array.isArray(dnas) ? dnas.flat(Infinity) : [dnas])
+    .map(dna => (typeof dna === 'string' ? resolveToPoly(dna) : dna))
+    .map(dna => (dna && dna.polynucleotide ? dna.polynucleotide : dna));
+  polys.forEach(poly => {
+    if (!poly || typeof poly.sequence !== 'string') {
+      throw new Error(`Lane ${name} contains something that is not a Polynucleotide`);
+    }
+  });
+  if (amounts && amounts.length !== polys.length) {
+    throw new Error(`Lane ${name} has ${polys.length} DNAs but ${amounts.length} amounts`);
+  }
+  return { name, polys, amounts: amounts || polys.map(() => 1) };
+}
+
+// Turns the species of one lane into bands, merging species that run too close together to separate
+function laneBands(species, range, resolution) {
+  const placed = species
+    .map(s => ({ ...s, position: migration(s.apparentSize, range) }))
+    .sort((a, b) => a.position - b.position);
+
+  const groups = [];
+  for (const s of placed) {
+    const group = groups[groups.length - 1];
+    if (group && s.position - group[group.length - 1].position < resolution) {
+      group.push(s);
+    } else {
+      groups.push([s]);
+    }
+  }
+
+  const bands = groups.map(group => {
+    const mass = group.reduce((sum, s) => sum + s.mass, 0);
+    const weighted = (key) => group.reduce((sum, s) => sum + s[key] * s.mass, 0) / mass;
+    const forms = [...new Set(group.map(s => s.form))];
+    const size = Math.round(weighted('apparentSize'));
+    return {
+      size,
+      position: weighted('position'),
+      mass,
+      intensity: 0,
+      form: forms.length === 1 ? forms[0] : 'mixed',
+      fragments: group.map(s => ({ length: s.length, form: s.form })),
+      resolved: size >= range.min && size <= range.max
+    };
+  });
+
+  const brightest = Math.max(...bands.map(band => band.mass), 0);
+  bands.forEach(band => { band.intensity = brightest > 0 ? band.mass / brightest : 0; });
+  return bands;
+}
+
+/**
+ * Predicts the bands an agarose gel shows for some lanes of DNA.
+ *
+ * Each lane may be a Polynucleotide, an array of them (e.g. the fragments from `digestAll(seq, enzymes)` or
+ * `digest(seq, enzymes, 'all')`), or an object `{name, dnas, amounts}` where `amounts` gives the relative
+ * moles of each DNA (equimolar if omitted). Plain sequence strings are read as linear double-stranded DNA.
+ *
+ * @param {Array} lanes - The samples, one entry per lane.
+ * @param {Object} [options]
+ * @param {string|Array<number>|null} [options.ladder='1kb'] - A ladder to load in the first lane: '1kb',
+ *        '100bp', an array of band sizes in bp, or null for no ladder.
+ * @param {number} [options.agarose=1] - The agarose percentage of the gel.
+ * @param {number} [options.nicked=0.2] - The fraction of each uncut plasmid that is nicked (open-circular).
+ * @param {number} [options.resolution=0.015] - Bands closer than this fraction of the gel's length merge.
+ * @returns {Object} gel
+ * @returns {number} gel.agarose - The agarose percentage used.
+ * @returns {{min: number, max: number}} gel.range - The sizes the gel resolves well, in bp.
+ * @returns {Array<Object>} gel.lanes - One entry per lane (ladder first) as `{name, ladder, bands}`. Each band
+ *          is `{size, position, mass, intensity, form, fragments, resolved}`: `size` is the linear size in bp
+ *          the band runs alongside, `position` its distance from the wells as a fraction of the gel's length,
+ *          `intensity` its brightness relative to the brightest band of the lane, `form` one of 'linear',
+ *          'supercoiled', 'open-circular', 'single-stranded' or 'mixed', `fragments` the pieces that make it
+ *          up (`{length, form}`), and `resolved` whether it lies in the well-resolved size range.
+ * @throws {Error} If a lane contains something other than DNA or the ladder is unknown.
+ *
+ * @example
+ * const frags = digest(plasmid(seq), ["EcoRI", "BamHI"], 'all');
+ * const result = gel([plasmid(seq), frags], { ladder: '1kb', agarose: 0.8 });
+ * document.getElementById('gel').innerHTML = renderGelSVG(result);
+ */
+function gel(lanes, options = {}) {
+  const agarose = options.agarose === undefined ? 1 : options.agarose;
+  const ladder = options.ladder === undefined ? '1kb' : options.ladder;
+  const nicked = options.nicked === undefined ? 0.2 : options.nicked;
+  const resolution = options.resolution === undefined ? 0.015 : options.resolution;
+  const range = gelRange(agarose);
+
+  if (!Array.isArray(lanes)) {
+    throw new Error('gel expects an array of lanes');
+  }
+
+  const result = { agarose, range, lanes: [] };
+
+  if (ladder) {
+    const sizes = Array.isArray(ladder) ? ladder : gelLadders[ladder];
+    if (!sizes) {
+      throw new Error(`Unknown ladder "${ladder}". Available ladders: ${Object.keys(gelLadders).join(', ')}`);
+    }
+    // Ladders are loaded with roughly equal mass in each band
+    const species = sizes.map(size => ({ length: size, form: 'linear', apparentSize: size, mass: 1 }));
+    result.lanes.push({ name: 'Ladder', ladder: true, bands: laneBands(species, range, resolution) });
+  }
+
+  lanes.forEach((lane, index) => {
+    const { name, polys, amounts } = normalizeLane(lane, index);
+    const species = polys.flatMap((poly, i) => gelSpecies(poly, amounts[i], nicked));
+    result.lanes.push({ name, ladder: false, bands: laneBands(species, range, resolution) });
+  });
+
+  return result;
+}
+
+// Escapes text for use in SVG markup
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Draws a gel predicted by gel() as an SVG image, with lane names above the wells and the ladder's
+ * band sizes down the left-hand side.
+ *
+ * @param {Object} gelResult - The result of gel().
+ * @param {Object} [options]
+ * @param {number} [options.laneWidth=48] - Width of each lane in pixels.
+ * @param {number} [options.height=360] - Height of the gel in pixels.
+ * @returns {string} The SVG markup.
+ */
+function renderGelSVG(gelResult, options = {}) {
+  const laneWidth = options.laneWidth || 48;
+  const height = options.height || 360;
+  const left = 56;
+  const top = 36;
+  const run = height - top - 12;
+  const width = left + laneWidth * gelResult.lanes.length + 12;
+  const bandWidth = Math.round(laneWidth * 0.7);
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect x="0" y="0" width="${width}" height="${height}" fill="#1b1b2f"/>`
+  ];
+
+  gelResult.lanes.forEach((lane, i) => {
+    const x = left + i * laneWidth + (laneWidth - bandWidth) / 2;
+    const center = left + i * laneWidth + laneWidth / 2;
+    parts.push(`<text x="${center}" y="14" fill="#ddd" font-family="sans-serif" font-size="10" text-anchor="middle">${escapeXml(lane.name)}</text>`);
+    parts.push(`<rect x="${x}" y="${top - 12}" width="${bandWidth}" height="6" fill="none" stroke="#666"/>`);
+    for (const band of lane.bands) {
+      const y = (top + band.position * run).toFixed(1);
+      const opacity = (0.15 + 0.85 * band.intensity).toFixed(2);
+      parts.push(`<rect x="${x}" y="${y}" width="${bandWidth}" height="3" rx="1" fill="#f4f4ff" fill-opacity="${opacity}"><title>${band.size} bp (${band.form})</title></rect>`);
+      if (lane.ladder) {
+        parts.push(`<text x="${left - 6}" y="${(top + band.position * run + 3).toFixed(1)}" fill="#ddd" font-family="sans-serif" font-size="9" text-anchor="end">${band.size}</text>`);
+      }
+    }
+  });
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+export {
+  gel,
+  gelRange,
+  renderGelSVG
+};
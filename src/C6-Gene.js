@@ -1,4 +1,5 @@
 import { cleanup, translate } from './C6-Seq.js';
+import { findSites, getEnzyme } from './C6-Enzymes.js';
 
 // C6-Gene.js - Gene Analysis and Manipulation Library for Web
 
@@ -33,13 +34,16 @@ const codonUsageData = {
   D: ["GAT", "GAC"], E: ["GAA", "GAG"], G: ["GGT", "GGC", "GGA", "GGG"],
 };
 
-// Dummy restriction enzyme list for demonstration
-const geneRestrictionEnzymes = {
-  BsaI: { recognitionSequence: "GGTCTC", recognitionRC: "GAGACC" },
-  BsmBI: { recognitionSequence: "CGTCTC", recognitionRC: "GAGACG" }
-};
-
-function removeSites(orf) {
+/**
+ * Recodes an ORF so that it carries no sites for the given enzymes, swapping codons for synonymous ones
+ * without changing the encoded protein.
+ *
+ * @param {string} orf - The ORF to recode, a multiple of 3 in length.
+ * @param {Array<string>} [enzymes=['BsaI', 'BsmBI']] - Names of the enzymes whose sites are removed.
+ * @returns {string} The recoded ORF, ending in a stop codon.
+ * @throws {Error} If the ORF is invalid or an enzyme is unknown.
+ */
+function removeSites(orf, enzymes = ['BsaI', 'BsmBI']) {
   if (typeof orf !== 'string') throw new Error("Invalid input: ORF must be a string.");
   orf = cleanup(orf);
   if (orf.length % 3 !== 0) throw new Error("Invalid input sequence. Must be a multiple of 3.");
@@ -56,40 +60,36 @@ function removeSites(orf) {
   const codonArray = orf.match(/.{1,3}/g);
   const proteinSequence = translate(orf);
 
-  const forbiddenSequences = [];
-  for (const enzymeName in geneRestrictionEnzymes) {
-    const { recognitionSequence, recognitionRC } = geneRestrictionEnzymes[enzymeName];
-    forbiddenSequences.push(recognitionSequence);
-    if (recognitionSequence !== recognitionRC) forbiddenSequences.push(recognitionRC);
+  for (const enzymeName of enzymes) {
+    if (!getEnzyme(enzymeName)) throw new Error(`Enzyme "${enzymeName}" not found.`);
   }
 
-  outer: while (true) {
+  while (true) {
     let changeMade = false;
-    for (const site of forbiddenSequences) {
-      let searchStart = 0;
-      while (true) {
-        const siteIndex = orf.indexOf(site, searchStart);
-        if (siteIndex === -1) break;
-
-        const overlapping = [];
-        for (let i = 0; i < Math.floor(site.length / 3); i++) {
-          overlapping.push(i + Math.floor(siteIndex / 3));
-        }
-
-        const idx = overlapping[Math.floor(Math.random() * overlapping.length)];
-        const aa = proteinSequence[idx];
-        const options = codonUsageData[aa];
-        let newCodon = options[Math.floor(Math.random() * options.length)];
-        while (newCodon === codonArray[idx]) {
-          newCodon = options[Math.floor(Math.random() * options.length)];
-        }
+    for (const enzymeName of enzymes) {
+      const sites = findSites(orf, enzymeName);
+      if (sites.length === 0) continue;
+
+      // Recode one of the codons the first site touches, skipping those with no synonyms
+      const siteIndex = sites[0].index;
+      const siteLength = getEnzyme(enzymeName).recognitionSequence.length;
+      const overlapping = [];
+      for (let i = Math.floor(siteIndex / 3); i <= Math.floor((siteIndex + siteLength - 1) / 3); i++) {
+        if (codonUsageData[proteinSequence[i]].length > 1) overlapping.push(i);
+      }
+      if (overlapping.length === 0) throw new Error(`Cannot remove the ${enzymeName} site at ${siteIndex} without changing the protein.`);
 
-        codonArray[idx] = newCodon;
-        orf = codonArray.join("");
-        searchStart = siteIndex + 1;
-        changeMade = true;
-        continue outer;
+      const idx = overlapping[Math.floor(Math.random() * overlapping.length)];
+      const options = codonUsageData[proteinSequence[idx]];
+      let newCodon = options[Math.floor(Math.random() * options.length)];
+      while (newCodon === codonArray[idx]) {
+        newCodon = options[Math.floor(Math.random() * options.length)];
       }
+
+      codonArray[idx] = newCodon;
+      orf = codonArray.join("");
+      changeMade = true;
+      break;
     }
     if (!changeMade) break;
   }
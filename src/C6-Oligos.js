@@ -1,4 +1,6 @@
 import { resolveToSeq, revcomp, gccontent, basebalance, maxrepeat } from './C6-Seq.js';
+import { meltingTemperature, windowedTm, primerStructure } from './C6-Thermo.js';
+import { getLigationData, overhangFidelity } from './C6-Fidelity.js';
 /**
  * @file C6-Oligos.js
  * @author J. Christopher Anderson with ChatGPT
@@ -20,53 +22,87 @@ import { resolveToSeq, revcomp, gccontent, basebalance, maxrepeat } from './C6-S
  *  - The G/C content of the annealing sequence (between 50% and 65%)
  *  - The base balance of the annealing sequence (no missing bases, no excesses of one particular base)
  *  - The randomness of the annealing sequence (no long stretches of a single base, no large regions of G/C rich sequence and all A/T in other regions)
+ *  - Its length, ideally 20 bases, or, if a Tm window is given, its melting temperature
  *
  * @param {string} inseq - The annealing sequence to score
+ * @param {Object} [options]
+ * @param {number} [options.minTm] - The lowest ideal melting temperature, in °C
+ * @param {number} [options.maxTm] - The highest ideal melting temperature, in °C
+ * @param {Object} [options.conditions] - Reaction conditions for the Tm, as for meltingTemperature (e.g. `{ polymerase: 'Q5' }`)
  * @return {number} The score of the annealing sequence, between 0 and 1
  */
-function scoreanneal(inseq) {
+function scoreanneal(inseq, options = {}) {
   let anneal = resolveToSeq(inseq);
+  const tm = hasTmWindow(options) ? meltingTemperature(anneal, options.conditions) : null;
+  return combineAnnealScore(anneal[0], anneal[anneal.length - 1], anneal.length,
+    gccontent(anneal), basebalance(anneal), maxrepeat(anneal), tm, options);
+}
+
+// Applies scoreanneal's criteria to an annealing sequence's composition, so that findanneal can score
+// candidates from counts it updates as it slides along the template
+function combineAnnealScore(first, last, length, gcContent, baseBalance, maxRepeat, tm, options) {
   let score = 0;
   const maxPossibleScore = 5;
   
   // Check if first and last base are G or C
-  if (anneal[0] == "G" || anneal[0] == "C") {
+  if (first == "G" || first == "C") {
     score++;
   }
-  if (anneal[anneal.length - 1] == "G" || anneal[anneal.length - 1] == "C") {
+  if (last == "G" || last == "C") {
     score++;
   }
   
   // Check G/C content
-  const gcContent = gccontent(anneal);
   if (gcContent >= 0.5 && gcContent <= 0.65) {
     score++;
   }
   
   // Check base composition
-  const baseBalance = basebalance(anneal);
   if (baseBalance > 0.75) {
     score++;
   }
   
   // Check for randomness
-  const maxRepeat = maxrepeat(anneal);
   if (maxRepeat <= 3) {
     score++;
   }
   
-  // Check length
-  const lengthDiff = Math.abs(anneal.length - 20);
-  score -= lengthDiff/2;
+  if (tm !== null) {
+    // Check Tm, where 2 °C off is about as bad as a base too many or too few
+    const below = isSet(options.minTm) ? options.minTm - tm : 0;
+    const above = isSet(options.maxTm) ? tm - options.maxTm : 0;
+    const tmDiff = Math.max(0, below, above);
+    score -= tmDiff/4;
+  } else {
+    // Check length
+    const lengthDiff = Math.abs(length - 20);
+    score -= lengthDiff/2;
+  }
   
   return Math.max(0,score / maxPossibleScore);
 }
 
+function isSet(value) {
+  return value !== undefined && value !== null;
+}
+
+// Whether a candidate annealing sequence passes the structure checks findanneal was asked for
+function structureAllows(anneal, options) {
+  return !options.structure || primerStructure(anneal, { limits: options.structureLimits }).problems.length === 0;
+}
+
+// Whether scoring options ask for a Tm window rather than the default length
+function hasTmWindow(options) {
+  return isSet(options.minTm) || isSet(options.maxTm);
+}
+
 /**
  * Returns the best annealing sequence for an input DNA sequence.
  *
  * The annealing sequence is a substring of the input sequence that meets the following criteria:
- *  - It is between 18 and 25 bases in length
+ *  - It is between 18 and 25 bases in length, or, if a Tm window is given, between 15 and 35 bases with its Tm in the window
+ *  - If neither end is locked, it may lie anywhere in the input sequence; the search takes time in proportion to the
+ *    length of the input times the range of lengths, so it is fast on plasmid-sized input
  *  - If lock5 is true, the start of the annealing sequence must be the start of the input sequence
  *  - If lock3 is true, the end of the annealing sequence must be the end of the input sequence
  *  - The first and last base of the annealing sequence are ideally G or C
@@ -79,13 +115,18 @@ function scoreanneal(inseq) {
  * @param {string} inseq - The input DNA sequence
  * @param {boolean} lock5 - Whether the annealing sequence must start at the start of the input sequence
  * @param {boolean} lock3 - Whether the annealing sequence must end at the end of the input sequence
+ * @param {Object} [options] - A Tm window and reaction conditions, as for scoreanneal
+ * @param {number} [options.minLength] - The shortest annealing sequence to consider
+ * @param {number} [options.maxLength] - The longest annealing sequence to consider
+ * @param {boolean} [options.structure=false] - Skip candidates that form hairpins or self-dimers, or have a very stable 3' end
+ * @param {Object} [options.structureLimits] - ΔG limits for those checks, as for primerStructure
  * @return {string} The best annealing sequence that meets the specified criteria
  */
-function findanneal(inseq, lock5, lock3) {
+function findanneal(inseq, lock5, lock3, options = {}) {
   inseq = resolveToSeq(inseq);
 
-  const minLength = 18;
-  const maxLength = 25;
+  const minLength = options.minLength || (hasTmWindow(options) ? 15 : 18);
+  const maxLength = options.maxLength || (hasTmWindow(options) ? 35 : 25);
   let bestAnneal = "N/A";
   let bestScore = -1;
 
@@ -94,7 +135,8 @@ function findanneal(inseq, lock5, lock3) {
     let startIndex = 0;
     for (let endIndex = minLength; endIndex <= maxLength; endIndex ++) {
       let anneal = inseq.substring(startIndex, endIndex);
-      let score = scoreanneal(anneal);
+      if (!structureAllows(anneal, options)) continue;
+      let score = scoreanneal(anneal, options);
       if(score > bestScore) {
         bestAnneal = anneal;
         bestScore = score;
@@ -108,7 +150,8 @@ function findanneal(inseq, lock5, lock3) {
     let endIndex = inseq.length;
     for (let startIndex = endIndex - maxLength; startIndex < endIndex - minLength; startIndex++) {
       let anneal = inseq.substring(startIndex, endIndex);
-      let score = scoreanneal(anneal);
+      if (!structureAllows(anneal, options)) continue;
+      let score = scoreanneal(anneal, options);
       if(score > bestScore) {
         bestAnneal = anneal;
         bestScore = score;
@@ -118,27 +161,54 @@ function findanneal(inseq, lock5, lock3) {
   }
 
   if (!lock5 && !lock3) {
-    let annealStart = 0;
-    let annealEnd = inseq.length;
-    
-    for (; annealStart < annealEnd - minLength; annealStart++) {
-      for (let i = annealStart + minLength; i < annealEnd; i++) {
-        const anneal = inseq.substring(annealStart, i);
-        const score = scoreanneal(anneal);
-        
-        if (score > bestScore) {
-          bestAnneal = anneal;
-          bestScore = score;
-        }
-      }
-    }
-    
-    return bestAnneal;
+    return slidingAnneal(inseq, minLength, maxLength, options);
   }
 
   throw new Error(`Cannot lock both ends of the template`);
 }
 
+// Finds the best-scoring annealing sequence anywhere in a template. For each start it extends the candidate
+// one base at a time up to maxLength, updating the base counts and the current run of repeated bases, so
+// each candidate, and its Tm, is scored in constant time. The structure checks, which are slow, are only
+// run on candidates that would become the best.
+function slidingAnneal(inseq, minLength, maxLength, options) {
+  const tmOf = hasTmWindow(options) ? windowedTm(inseq, options.conditions) : null;
+  let bestAnneal = "N/A";
+  let bestScore = -1;
+
+  for (let start = 0; start + minLength <= inseq.length; start++) {
+    const counts = { A: 0, C: 0, G: 0, T: 0 };
+    let run = 0;
+    let maxRun = 0;
+    const stop = Math.min(inseq.length, start + maxLength);
+    for (let end = start; end < stop; end++) {
+      const base = inseq[end];
+      counts[base] = (counts[base] || 0) + 1;
+      run = end > start && base === inseq[end - 1] ? run + 1 : 1;
+      maxRun = Math.max(maxRun, run);
+
+      const length = end - start + 1;
+      if (length < minLength) continue;
+      const gcContent = (counts.G + counts.C) / length;
+      // As basebalance computes it
+      let balance = 1;
+      for (const b of ['A', 'C', 'G', 'T']) {
+        balance = counts[b] === 0 ? 0 : balance * counts[b] / length;
+      }
+      const tm = tmOf ? tmOf(start, end + 1) : null;
+      const score = combineAnnealScore(inseq[start], base, length, gcContent, 4 * Math.pow(balance, 1/4),
+        maxRun >= 2 ? maxRun : 0, tm, options);
+      if (score > bestScore) {
+        const anneal = inseq.substring(start, end + 1);
+        if (!structureAllows(anneal, options)) continue;
+        bestAnneal = anneal;
+        bestScore = score;
+      }
+    }
+  }
+  return bestAnneal;
+}
+
 /**
  * PCA function that generates oligos for a synthon using the polymerase chain assembly method.
  *
@@ -360,6 +430,16 @@ const stickyEnds = {
     P: ['GGAG', 'AGTA']
 };
 
+// MoClo oligos: a BsaI site in a tail that leaves the sticky end on the part. The reverse oligo's sticky
+// end is read on the bottom strand, as in the second column of stickyEnds.
+function mocloForward(sequence, sticky) {
+  return "ccata" + "GGTCTCa" + sticky + findanneal(sequence, true, false);
+}
+
+function mocloReverse(sequence, sticky) {
+  return "catca" + "GGTCTCt" + sticky + revcomp(findanneal(sequence, false, true));
+}
+
 /**
  * moclo - a function to design a forward or reverse oligo for MoClo cloning
  *
@@ -385,12 +465,10 @@ function moclo(sequence, partType, frgs) {
   let rORf = frgs[0].toUpperCase();
   sequence = resolveToSeq(sequence);
   if ( rORf === 'F') {
-    let sticky = stickyEnds[partType][0];
-    return "ccata" + "GGTCTCa" + sticky + findanneal(sequence, true, false);
+    return mocloForward(sequence, stickyEnds[partType][0]);
 
   } else if (rORf === 'R') {
-    let sticky = stickyEnds[partType][1];
-    return "catca" + "GGTCTCt" + sticky + revcomp(findanneal(sequence, false, true));
+    return mocloReverse(sequence, stickyEnds[partType][1]);
 
   } else if (rORf === 'S') {  
     let sticky5 = stickyEnds[partType][0];
@@ -407,6 +485,204 @@ function moclo(sequence, partType, frgs) {
   }
 }
 
+// The overhangs of the MoClo standard, read on the top strand. They are tried first, so that among
+// equally good overhangs the standard ones are picked.
+const standardOverhangs = [...new Set(Object.values(stickyEnds).flatMap(([sticky5, sticky3]) => [sticky5, revcomp(sticky3)]))];
+
+// Every 4-nt overhang that does not ligate to itself, standard ones first
+const allOverhangs = (() => {
+  const bases = ['A', 'C', 'G', 'T'];
+  const overhangs = [...standardOverhangs];
+  for (const a of bases) for (const b of bases) for (const c of bases) for (const d of bases) {
+    const overhang = a + b + c + d;
+    if (overhang !== revcomp(overhang) && !overhangs.includes(overhang)) overhangs.push(overhang);
+  }
+  return overhangs;
+})();
+
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) distance++;
+  }
+  return distance;
+}
+
+// A rough fidelity for an overhang set when there is no ligation data: an end that pairs with an overhang
+// with one mismatch is taken to ligate to it 5% as often as its complement does, and with two mismatches
+// 0.2% as often
+function estimatedFidelity(set) {
+  const ends = set.flatMap(overhang => [overhang, revcomp(overhang)]);
+  return set.reduce((product, overhang) => {
+    const partner = revcomp(overhang);
+    const wrong = ends.reduce((sum, end) => {
+      const distance = end === partner ? 4 : hammingDistance(end, partner);
+      return sum + (distance === 1 ? 0.05 : distance === 2 ? 0.002 : 0);
+    }, 0);
+    return product / (1 + wrong);
+  }, 1);
+}
+
+// The bases each part needs added at a junction so that, cut, both carry the overhang. An overhang already
+// spanning the end of the left part and the start of the right one is taken from them, leaving no scar;
+// otherwise it is added to both.
+function junctionTails(left, right, overhang) {
+  const joined = left + right;
+  for (let p = left.length; p >= Math.max(0, left.length - 4); p--) {
+    if (joined.slice(p, p + 4) === overhang) {
+      return { leftTail: right.slice(0, p + 4 - left.length), rightTail: left.slice(p) };
+    }
+  }
+  return { leftTail: overhang, rightTail: overhang };
+}
+
+/**
+ * Picks the sticky ends for a multi-part Golden Gate assembly, and designs MoClo-style oligos to add them.
+ *
+ * One non-palindromic 4-nt overhang is picked for each junction, so that the set assembles with the highest
+ * fidelity: by overhangFidelity with the loaded (or given) ligation data, or otherwise by a rough estimate
+ * that penalizes ends pairing with an overhang with one or two mismatches. Overhangs can be fixed for some
+ * junctions (e.g. those of the vector), and for others a window of sequence can be given that the overhang
+ * should preferably come from (e.g. the start codon and the bases around it, to keep the scar in frame).
+ * Overhangs are picked greedily, then improved one at a time until no change helps; among equally good
+ * overhangs, those of the MoClo standard (see stickyEnds) are preferred.
+ *
+ * Given the parts' sequences, each part gets a forward oligo adding the overhang of the junction before it
+ * and a reverse oligo adding that of the junction after it, with BsaI sites as in moclo. An overhang that
+ * spans the end of one part and the start of the next (as one from a window holding those bases can) is
+ * taken from the parts themselves rather than added, so the junction is seamless.
+ *
+ * @param {number|Array<string>} parts - The number of junctions, or the parts' sequences in assembly order.
+ * @param {Object} [options]
+ * @param {boolean} [options.circular=true] - Whether the last part joins the first. Linear parts, such as
+ *        inserts going into a vector, have a junction at each end, so one more junction than parts.
+ * @param {Array<string|null>} [options.fixed] - Overhangs fixed for each junction, or null where they are free.
+ * @param {Array<string|null>} [options.windows] - Sequences each junction's overhang should come from, or null;
+ *        e.g. the bases either side of the junction, for a seamless junction.
+ * @param {Object} [options.ligationData] - The ligation matrix to score the set with, instead of the loaded one.
+ * @param {number} [options.minFidelity=0.9] - Warn if the set's fidelity is lower than this.
+ * @return {{overhangs: Array<string>, fidelity: number, estimated: boolean, inWindow: Array<boolean|null>,
+ *         primers: Array<{forward: string, reverse: string}>|null, warnings: Array<string>}} The overhang of each
+ *         junction, read on the top strand; the set's fidelity, and whether it is the rough estimate; whether each
+ *         junction's overhang came from its window (null where there is none); the oligos for each part, if the
+ *         parts were given; and warnings about windows no overhang could come from and low fidelity.
+ * @throws {Error} If a fixed overhang is not a non-palindromic 4-nt overhang or is fixed twice, or there are
+ *         more junctions than overhangs.
+ *
+ * @example
+ * // A promoter and a CDS going into a vector opened with GGAG and CGCT
+ * designOverhangs([promoter, cds], { circular: false, fixed: ['GGAG', null, 'CGCT'], windows: [null, 'CATATGGC', null] });
+ */
+function designOverhangs(parts, options = {}) {
+  const sequences = Array.isArray(parts) ? parts.map(part => resolveToSeq(part)) : null;
+  const count = sequences ? sequences.length + (options.circular === false ? 1 : 0) : parts;
+  if (!(count >= 1)) {
+    throw new Error("An assembly needs at least one junction");
+  }
+  const minFidelity = options.minFidelity === undefined ? 0.9 : options.minFidelity;
+  const ligationData = options.ligationData || getLigationData();
+  const score = ligationData
+    ? (set) => overhangFidelity(set, { ligationData, maxMisligation: Infinity, minFidelity: 0 }).fidelity
+    : estimatedFidelity;
+
+  const fixed = options.fixed || [];
+  const windows = (options.windows || []).map(window => window ? resolveToSeq(window).toUpperCase() : null);
+  const overhangs = new Array(count).fill(null);
+  fixed.forEach((overhang, junction) => {
+    if (!overhang) return;
+    if (junction >= count) {
+      throw new Error(`Overhang ${overhang} is fixed for junction ${junction + 1}, but there are only ${count}`);
+    }
+    overhang = overhang.toUpperCase();
+    if (!/^[ACGT]{4}$/.test(overhang) || overhang === revcomp(overhang)) {
+      throw new Error(`Fixed overhang ${overhang} must be a non-palindromic 4-nt overhang`);
+    }
+    if (overhangs.some(other => other === overhang || other === revcomp(overhang))) {
+      throw new Error(`Overhang ${overhang} is fixed for more than one junction`);
+    }
+    overhangs[junction] = overhang;
+  });
+  if (count > allOverhangs.length / 2) {
+    throw new Error(`There are only ${allOverhangs.length / 2} compatible 4-nt overhangs, too few for ${count} junctions`);
+  }
+
+  // Without ligation data for an overhang, there is no telling how it ligates
+  const pool = ligationData
+    ? allOverhangs.filter(overhang => ligationData.frequencies[overhang] && ligationData.frequencies[overhang][revcomp(overhang)] > 0)
+    : allOverhangs;
+
+  // The best overhang for a junction given the others, from its window if any fits
+  const pick = (junction) => {
+    const others = overhangs.filter((overhang, i) => overhang && i !== junction);
+    const allowed = pool.filter(overhang => !others.includes(overhang) && !others.includes(revcomp(overhang)));
+    const inWindow = windows[junction] ? allowed.filter(overhang => windows[junction].includes(overhang)) : [];
+    let best = null;
+    let bestScore = -1;
+    for (const overhang of inWindow.length ? inWindow : allowed) {
+      const candidate = score([...others, overhang]);
+      if (candidate > bestScore) {
+        best = overhang;
+        bestScore = candidate;
+      }
+    }
+    return best;
+  };
+
+  const free = [];
+  for (let junction = 0; junction < count; junction++) {
+    if (!overhangs[junction]) free.push(junction);
+  }
+  // Junctions with windows are the more constrained, so they pick first
+  free.sort((a, b) => (windows[b] ? 1 : 0) - (windows[a] ? 1 : 0) || a - b);
+  for (const junction of free) {
+    overhangs[junction] = pick(junction);
+    if (!overhangs[junction]) {
+      throw new Error(`No overhang is left for junction ${junction + 1}`);
+    }
+  }
+  for (let changed = true; changed;) {
+    changed = false;
+    for (const junction of free) {
+      const current = score(overhangs);
+      const previous = overhangs[junction];
+      overhangs[junction] = pick(junction);
+      if (overhangs[junction] !== previous && score(overhangs) > current) {
+        changed = true;
+      } else {
+        overhangs[junction] = previous;
+      }
+    }
+  }
+
+  const fidelity = score(overhangs);
+  const inWindow = overhangs.map((overhang, junction) => windows[junction] ? windows[junction].includes(overhang) : null);
+  const warnings = [];
+  inWindow.forEach((fits, junction) => {
+    if (fits === false) {
+      warnings.push(`No overhang in the window for junction ${junction + 1} fits the set, so ${overhangs[junction]} was used`);
+    }
+  });
+  if (fidelity < minFidelity) {
+    warnings.push(`The overhangs are expected to assemble correctly ${(100 * fidelity).toFixed(1)}% of the time, below ${(100 * minFidelity).toFixed(0)}%`);
+  }
+
+  let primers = null;
+  if (sequences) {
+    const n = sequences.length;
+    const tails = overhangs.map((overhang, junction) => {
+      const left = junction > 0 || options.circular !== false ? sequences[(junction + n - 1) % n] : '';
+      const right = junction < n ? sequences[junction] : '';
+      return junctionTails(left.toUpperCase(), right.toUpperCase(), overhang);
+    });
+    primers = sequences.map((sequence, i) => ({
+      forward: mocloForward(sequence, tails[i].rightTail),
+      reverse: mocloReverse(sequence, revcomp(tails[(i + 1) % count].leftTail))
+    }));
+  }
+
+  return { overhangs, fidelity, estimated: !ligationData, inWindow, primers, warnings };
+}
+
 /**
  * Designs oligos for PCR and subsequent homology-based assembly of two DNA sequences
  * into one molecule. It takes in two DNA sequences as input and returns the designed
@@ -503,6 +779,159 @@ function rbslib(orf, utr, frg)   {
   }
 }  
 
+// Reads the region designPrimers is asked to amplify: {start, end}, [start, end] or the whole template
+function designRegion(region, length) {
+  if (region === undefined || region === null) return { start: 0, end: length };
+  const [start, end] = Array.isArray(region) ? region : [region.start, region.end];
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > length || start >= end) {
+    throw new Error(`Region ${start}..${end} is not within the ${length} bp template`);
+  }
+  return { start, end };
+}
+
+// Primer design settings, overridden by the options given to designPrimers
+const primerDefaults = {
+  minTm: 55, maxTm: 65, maxTmDifference: 5, conditions: {}, minLength: 15, maxLength: 35, flank: 0,
+  forwardTail: '', reverseTail: '', structureLimits: {}, count: 10
+};
+
+// Lists all of one side's annealing candidates within the Tm window, best scoring first
+function primerCandidates(template, side, region, settings) {
+  const candidates = [];
+  for (let shift = 0; shift <= settings.flank; shift++) {
+    for (let length = settings.minLength; length <= settings.maxLength; length++) {
+      let start;
+      let anneal;
+      if (side === 'forward') {
+        start = region.start - shift;
+        if (start < 0 || start + length > template.length) continue;
+        anneal = template.substring(start, start + length);
+      } else {
+        start = region.end + shift - length;
+        if (start < 0 || region.end + shift > template.length) continue;
+        anneal = revcomp(template.substring(start, start + length));
+      }
+      const tm = meltingTemperature(anneal, settings.conditions);
+      if (tm < settings.minTm || tm > settings.maxTm) continue;
+      const tail = side === 'forward' ? settings.forwardTail : settings.reverseTail;
+      const structure = primerStructure(tail + anneal, { limits: settings.structureLimits });
+      candidates.push({
+        sequence: tail + anneal,
+        anneal,
+        start,
+        length,
+        tm: Math.round(tm * 10) / 10,
+        gc: Math.round(gccontent(anneal) * 1000) / 1000,
+        hairpin: structure.hairpin ? structure.hairpin.dG : 0,
+        selfDimer: structure.selfDimer ? structure.selfDimer.dG : 0,
+        endStability: structure.endStability,
+        problems: structure.problems,
+        score: scoreanneal(anneal, settings) - structure.problems.length / 5
+      });
+    }
+  }
+  return candidates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Designs PCR primer pairs that amplify a region of a template, and ranks them.
+ *
+ * Forward primers anneal at the start of the region and reverse primers at its end, or up to `flank` bases
+ * outside them. Each candidate's annealing part must melt within the Tm window; it is then scored as by
+ * scoreanneal, less a penalty for each hairpin, self-dimer or sticky 3' end (see primerStructure) of the
+ * full oligo. Pairs are ranked by the mean of their primers' scores, less penalties for the difference in
+ * their Tms and for a dimer between them. Pairs whose Tms differ by more than `maxTmDifference` are left out.
+ *
+ * @param {string} template - The template DNA sequence.
+ * @param {{start: number, end: number}|Array<number>} [region] - The region to amplify, as 0-based indices
+ *        with the end excluded; by default the whole template.
+ * @param {Object} [options]
+ * @param {number} [options.minTm=55] - The lowest Tm of a primer's annealing part, in °C.
+ * @param {number} [options.maxTm=65] - The highest Tm of a primer's annealing part, in °C.
+ * @param {number} [options.maxTmDifference=5] - The largest difference between the primers' Tms, in °C.
+ * @param {Object} [options.conditions] - Reaction conditions for the Tms, as for meltingTemperature (e.g. `{ polymerase: 'Q5' }`).
+ * @param {number} [options.minLength=15] - The shortest annealing part.
+ * @param {number} [options.maxLength=35] - The longest annealing part.
+ * @param {number} [options.flank=0] - How far outside the region primers may anneal.
+ * @param {string} [options.forwardTail=''] - Sequence added to the 5' end of each forward primer.
+ * @param {string} [options.reverseTail=''] - Sequence added to the 5' end of each reverse primer.
+ * @param {Object} [options.structureLimits] - ΔG limits for the structure checks, as for primerStructure.
+ * @param {number} [options.count=10] - How many pairs to return.
+ * @return {Array<Object>} The pairs, best first. Each has `forward` and `reverse` primers (with the full
+ *         `sequence`, its `anneal` part, where it anneals as `start` and `length` on the top strand, `tm`, `gc`,
+ *         ΔG of its `hairpin`, `selfDimer` and `endStability` in kcal/mol, and its structure `problems`), and
+ *         the pair's `tmDifference`, `heteroDimer` ΔG, `productSize`, `problems` and `score`.
+ * @throws {Error} If no forward or reverse primer, or no pair, fits the constraints.
+ *
+ * @example
+ * const [best, ...alternatives] = designPrimers(plasmidSeq, { start: 120, end: 980 }, { conditions: { polymerase: 'Q5' } });
+ * best.forward.sequence; // the forward oligo to order
+ */
+function designPrimers(template, region, options = {}) {
+  template = resolveToSeq(template);
+  const bounds = designRegion(region, template.length);
+  const settings = { ...primerDefaults };
+  for (const key in primerDefaults) {
+    if (options[key] !== undefined && options[key] !== null) settings[key] = options[key];
+  }
+
+  const forwards = primerCandidates(template, 'forward', bounds, settings);
+  const reverses = primerCandidates(template, 'reverse', bounds, settings);
+  for (const [side, list] of [['forward', forwards], ['reverse', reverses]]) {
+    if (list.length === 0) {
+      throw new Error(`No ${side} primer anneals at the ${side === 'forward' ? 'start' : 'end'} of the region with a Tm ` +
+        `between ${settings.minTm} and ${settings.maxTm} °C; widen the Tm window or allow a flank`);
+    }
+  }
+
+  const roundScore = (score) => Math.round(score * 1000) / 1000;
+  const byScore = (a, b) => b.score - a.score || a.tmDifference - b.tmDifference;
+
+  // Every compatible pair, scored without the dimer check, which is the slow part
+  const compatible = [];
+  for (const forward of forwards) {
+    for (const reverse of reverses) {
+      const tmDifference = Math.round(Math.abs(forward.tm - reverse.tm) * 10) / 10;
+      if (tmDifference > settings.maxTmDifference) continue;
+      const productSize = reverse.start + reverse.length - forward.start + settings.forwardTail.length + settings.reverseTail.length;
+      if (productSize < forward.sequence.length || productSize < reverse.sequence.length) continue;
+      compatible.push({ forward, reverse, tmDifference, productSize, score: (forward.score + reverse.score) / 2 - tmDifference / 20 });
+    }
+  }
+  if (compatible.length === 0) {
+    throw new Error(`No forward and reverse primers have Tms within ${settings.maxTmDifference} °C of each other`);
+  }
+
+  // A dimer only lowers a pair's score, so once `count` pairs score better than the rest could, the rest are skipped
+  const pairs = [];
+  for (const { forward, reverse, tmDifference, productSize, score } of compatible.sort(byScore)) {
+    if (pairs.length >= settings.count && roundScore(score) < pairs[settings.count - 1].score) break;
+    const structure = primerStructure(forward.sequence, { partner: reverse.sequence, limits: settings.structureLimits });
+    const dimers = structure.problems.filter(problem => problem.startsWith('dimer with its partner'))
+      .map(problem => `primers form a ${problem.replace('dimer with its partner', 'dimer')}`);
+    const problems = [
+      ...forward.problems.map(problem => `forward primer has a ${problem}`),
+      ...reverse.problems.map(problem => `reverse primer has a ${problem}`),
+      ...dimers
+    ];
+    pairs.push({
+      forward,
+      reverse,
+      tmDifference,
+      heteroDimer: structure.heteroDimer ? structure.heteroDimer.dG : 0,
+      productSize,
+      problems,
+      score: roundScore(score - (dimers.length ? 0.2 : 0))
+    });
+    pairs.sort(byScore);
+  }
+
+  const strip = ({ score, ...primer }) => primer;
+  return pairs
+    .slice(0, settings.count)
+    .map(pair => ({ ...pair, forward: strip(pair.forward), reverse: strip(pair.reverse) }));
+}
+
 export {
   scoreanneal,
   findanneal,
@@ -512,5 +941,7 @@ export {
   biobrick,
   moclo,
   genejoin,
-  rbslib
+  rbslib,
+  designPrimers,
+  designOverhangs
 };
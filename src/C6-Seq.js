@@ -102,6 +102,8 @@ function cleanup(sequence) {
    * @param {boolean} isCircular - Whether the polynucleotide is circular.
    * @param {string} mod_ext5 - The 5' end modification.
    * @param {string} mod_ext3 - The 3' end modification.
+   * @param {Array<string>} [methylation] - The methylation systems that have modified the DNA in vivo,
+   *        e.g. ['dam', 'dcm'] for a plasmid isolated from a K-12 strain. Empty for DNA made in vitro.
    *
    * @example
    * var polynucleotide = new Polynucleotide("AGCTAGCT", "GATC", "CTAG", true, false, false, "Mod5", "Mod3");
@@ -110,7 +112,7 @@ function cleanup(sequence) {
    * console.log(polynucleotide.isDoubleStranded); // Output: true
    */
   class Polynucleotide {
-    constructor(sequence, ext5 = null, ext3 = null, isDoubleStranded, isRNA, isCircular, mod_ext5, mod_ext3) {
+    constructor(sequence, ext5 = null, ext3 = null, isDoubleStranded, isRNA, isCircular, mod_ext5, mod_ext3, methylation = []) {
       this.sequence = sequence.toUpperCase();
       this.ext5 = ext5 ? ext5.toUpperCase() : ext5;
       this.ext3 = ext3 ? ext3.toUpperCase() : ext3;
@@ -119,6 +121,33 @@ function cleanup(sequence) {
       this.isCircular = isCircular;
       this.mod_ext3 = mod_ext3 || "";
       this.mod_ext5 = mod_ext5 || "";
+      this.methylation = methylation || [];
+    }
+  }
+
+  /**
+   * Represents a plasmid established in a host strain, as produced by a Transform step.
+   *
+   * @class
+   * @param {Polynucleotide} plasmid - The plasmid the clone carries, with the strain's methylation.
+   * @param {string|null} strain - The host strain.
+   * @param {string|null} antibiotics - The antibiotic transformants were selected on.
+   * @param {number} temperature - The growth temperature, in °C.
+   * @param {Array<string>} [markers] - The resistance markers found on the plasmid.
+   * @param {Array<string>} [origins] - The origins of replication found on the plasmid.
+   *
+   * @example
+   * var clone = new Clone(plasmid("AGCTAGCT"), "Mach1", "kan", 37);
+   * console.log(clone.plasmid.isCircular); // Output: true
+   */
+  class Clone {
+    constructor(plasmid, strain, antibiotics, temperature, markers = [], origins = []) {
+      this.plasmid = plasmid;
+      this.strain = strain;
+      this.antibiotics = antibiotics;
+      this.temperature = temperature;
+      this.markers = markers;
+      this.origins = origins;
     }
   }
   
@@ -231,7 +260,8 @@ function polyrevcomp(frag) {
     frag.isRNA,
     frag.isCircular,
     frag.mod_ext3,
-    frag.mod_ext5
+    frag.mod_ext5,
+    frag.methylation
   );
 }
 
@@ -518,11 +548,121 @@ function translate(dna) {
   return aaSequence;
 }
 
+// The bases each IUPAC code stands for. X is treated as N, and U as T.
+const iupacBases = {
+  A: 'A', C: 'C', G: 'G', T: 'T', U: 'T',
+  R: 'AG', Y: 'CT', S: 'CG', W: 'AT', K: 'GT', M: 'AC',
+  B: 'CGT', D: 'AGT', H: 'ACT', V: 'ACG', N: 'ACGT', X: 'ACGT'
+};
+
+// For each pattern code, the template codes that definitely or possibly match it
+const _iupacClasses = {};
+for (const code in iupacBases) {
+  const bases = iupacBases[code];
+  const definite = Object.keys(iupacBases).filter(other => [...iupacBases[other]].every(b => bases.includes(b)));
+  const possible = Object.keys(iupacBases).filter(other => [...iupacBases[other]].some(b => bases.includes(b)));
+  _iupacClasses[code] = { definite, possible };
+}
+
+/**
+ * Compares a pattern with a stretch of template of the same length, both of which may hold IUPAC codes.
+ * A template position matches definitely if every base it could be is allowed by the pattern, possibly if
+ * only some are, and not at all if none are. Gaps ('-') never match.
+ *
+ * @param {string} pattern - The pattern, e.g. a recognition site or primer (case is ignored).
+ * @param {string} target - The template to compare it with, the same length as the pattern.
+ * @return {string} 'definite' if every position matches definitely, 'none' if any position cannot match,
+ *         and 'possible' otherwise.
+ *
+ * @example
+ * matchIUPAC("GGNCC", "GGACC"); // returns "definite"
+ * matchIUPAC("GGACC", "GGNCC"); // returns "possible"
+ * matchIUPAC("GGACC", "GGTCC"); // returns "none"
+ */
+function matchIUPAC(pattern, target) {
+  pattern = pattern.toUpperCase();
+  target = target.toUpperCase();
+  if (pattern.length !== target.length) {
+    throw new Error(`Cannot compare ${pattern} with ${target}: they differ in length`);
+  }
+  let result = 'definite';
+  for (let i = 0; i < pattern.length; i++) {
+    const classes = _iupacClasses[pattern[i]];
+    if (!classes) {
+      throw new Error(`Character '${pattern[i]}' in ${pattern} is not an IUPAC code`);
+    }
+    if (!classes.possible.includes(target[i])) {
+      return 'none';
+    }
+    if (!classes.definite.includes(target[i])) {
+      result = 'possible';
+    }
+  }
+  return result;
+}
+
+// Builds a regular expression class for one pattern code
+function _iupacClass(codes) {
+  return codes.length === 1 ? codes[0] : `[${codes.join('')}]`;
+}
+
+/**
+ * Finds every place a pattern matches a sequence, on both strands, where either may hold IUPAC codes.
+ * Overlapping matches are all found. A palindromic pattern is only reported on the top strand.
+ *
+ * @param {string} sequence - The top strand to search (case is ignored).
+ * @param {string} pattern - The pattern to find, read 5' to 3'.
+ * @param {Object} [options]
+ * @param {boolean} [options.possible=false] - Also report places the pattern only possibly matches because
+ *        the sequence is degenerate there.
+ * @param {boolean} [options.bothStrands=true] - Also search the bottom strand.
+ * @param {boolean} [options.circular=false] - Also find matches that run across the end of the sequence.
+ * @return {Array<{index: number, strand: number, match: string}>} The top-strand index of each match, with
+ *         strand 1 if the pattern reads on the top strand and -1 if on the bottom, and match 'definite' or
+ *         'possible', sorted by index.
+ *
+ * @example
+ * findIUPAC("AAGGTCCAAGGACC", "GGNCC"); // returns [{index: 2, strand: 1, match: 'definite'}, {index: 9, ...}]
+ */
+function findIUPAC(sequence, pattern, options = {}) {
+  const seq = sequence.toUpperCase();
+  pattern = pattern.toUpperCase().replace(/U/g, 'T').replace(/X/g, 'N');
+  const bothStrands = options.bothStrands !== false;
+  if (!pattern.length) {
+    throw new Error("Cannot search for an empty pattern");
+  }
+  const searchable = options.circular ? seq + seq.slice(0, pattern.length - 1) : seq;
+
+  const hits = [];
+  const scan = (query, strand) => {
+    // Find candidates with a permissive expression, then classify each one
+    const regex = new RegExp(`(?=${[...query].map(code => {
+      if (!_iupacClasses[code]) {
+        throw new Error(`Character '${code}' in ${pattern} is not an IUPAC code`);
+      }
+      return _iupacClass(options.possible ? _iupacClasses[code].possible : _iupacClasses[code].definite);
+    }).join('')})`, 'g');
+    for (const found of searchable.matchAll(regex)) {
+      if (found.index >= seq.length) break;
+      const match = matchIUPAC(query, searchable.substr(found.index, query.length));
+      hits.push({ index: found.index, strand, match });
+    }
+  };
+
+  scan(pattern, 1);
+  const patternRC = revcomp(pattern);
+  if (bothStrands && patternRC !== pattern) {
+    scan(patternRC, -1);
+  }
+  return hits.sort((a, b) => a.index - b.index || b.strand - a.strand);
+}
+
 export {
   cleanup,
   resolveToSeq,
   resolveToPoly,
   Polynucleotide,
+  Clone,
   polynucleotide,
   dsDNA,
   oligo,
@@ -534,6 +674,8 @@ export {
   gccontent,
   basebalance,
   maxrepeat,
-  translate
+  translate,
+  matchIUPAC,
+  findIUPAC
 };
 
@@ -1,4 +1,9 @@
-import { revcomp, resolveToSeq, isPalindromic, Polynucleotide, polynucleotide, resolveToPoly, plasmid, oligo, dsDNA } from './C6-Seq.js';
+import { cleanup, revcomp, resolveToSeq, isPalindromic, Polynucleotide, Clone, resolveToPoly, plasmid, oligo, dsDNA, findIUPAC, matchIUPAC } from './C6-Seq.js';
+import { getStrain, strainMethylation } from './C6-Strains.js';
+import { editDistance } from './C6-Utils.js';
+import { getEnzyme, findSites, siteMethylation } from './C6-Enzymes.js';
+import { meltingTemperature, primerStructure } from './C6-Thermo.js';
+import { getLigationData, overhangFidelity } from './C6-Fidelity.js';
 
 // Helper to display a sequence with context for error messages
 function displaySeq(seq) {
@@ -115,6 +120,116 @@ function displaySeq(seq) {
  * @property {Array.<string>} dnas - An array of DNA parts used in the Ligate operation.
  */
 
+// Registered Construction File operations, keyed by lowercase keyword (each alias has its own entry)
+const cfOperations = {};
+
+// Words that start a sequence line in a Construction File and so cannot be operation keywords
+const cfSequenceKeywords = ["oligo", "plasmid", "dsdna"];
+
+/**
+ * Registers a Construction File operation. Once registered, parseCF reads lines that start with the
+ * operation's keyword, and serializeCF, validateCF, simCF and simCFReport handle its steps like the
+ * built-in PCR, Gibson, GoldenGate, Digest, Ligate and Transform (which are registered the same way).
+ *
+ * @param {Object} definition
+ * @param {string} definition.name - The canonical operation name, stored as `step.operation` and written by serializeCF.
+ * @param {Array<string>} [definition.aliases] - Further keywords parseCF accepts for the operation. Keywords are
+ *        matched case-insensitively; the name itself is always a keyword.
+ * @param {function(Array<string>): Object} definition.parse - Turns the tokens that follow the keyword into the
+ *        step's fields, including `output`. Throw an Error to report a malformed line.
+ * @param {function(Object): Array<string>} definition.inputs - The sequence or product names a step consumes.
+ * @param {function(Object, function(string): Polynucleotide, Object): (Polynucleotide|{product: Polynucleotide, warnings: Array<string>})} definition.simulate
+ *        Computes the step's product from the step, a function resolving input names to Polynucleotides, and the
+ *        options passed to simCF. Throw an Error to fail the step.
+ * @param {function(Object): Array<{severity: string, code: string, message: string, name: string}>} [definition.validate]
+ *        Static checks for validateCF. Must not do any sequence work; `name` locates the issue on the line.
+ * @param {function(Object): Array<string>} [definition.serialize] - The tokens that follow the keyword when
+ *        serializeCF writes the step. Without it such steps cannot be serialized.
+ * @throws {Error} If the definition is incomplete or one of its keywords is already taken.
+ *
+ * @example
+ * registerOperation({
+ *   name: "Phosphorylate",
+ *   parse: (tokens) => ({ dna: tokens[0], output: tokens[1] }),
+ *   inputs: (step) => [step.dna],
+ *   simulate: (step, lookup) => lookup(step.dna),
+ *   serialize: (step) => [step.dna, step.output]
+ * });
+ */
+function registerOperation(definition) {
+    if (!definition || typeof definition.name !== 'string' || !/^\S+$/.test(definition.name)) {
+        throw new Error("Operation definition requires a name without whitespace");
+    }
+    for (const hook of ['parse', 'inputs', 'simulate']) {
+        if (typeof definition[hook] !== 'function') {
+            throw new Error(`Operation ${definition.name} requires a ${hook} function`);
+        }
+    }
+    const keywords = [definition.name, ...(definition.aliases || [])].map(keyword => keyword.toLowerCase());
+    for (const keyword of keywords) {
+        if (cfSequenceKeywords.includes(keyword) || ["on", "with"].includes(keyword)) {
+            throw new Error(`"${keyword}" is a reserved word in Construction Files and cannot name an operation`);
+        }
+        if (cfOperations[keyword]) {
+            throw new Error(`Operation keyword "${keyword}" is already registered to ${cfOperations[keyword].name}`);
+        }
+    }
+    const entry = { ...definition, keywords };
+    keywords.forEach(keyword => { cfOperations[keyword] = entry; });
+}
+
+/**
+ * Removes a registered operation, along with all of its keywords.
+ *
+ * @param {string} name - The operation's name or any of its keywords.
+ * @returns {boolean} True if an operation was removed.
+ */
+function unregisterOperation(name) {
+    const entry = getOperation(name);
+    if (!entry) return false;
+    entry.keywords.forEach(keyword => { delete cfOperations[keyword]; });
+    return true;
+}
+
+/**
+ * Looks up a registered operation by its name or any of its keywords, ignoring case.
+ *
+ * @param {string} name
+ * @returns {Object|null} The operation definition, with its lowercase `keywords`, or null if none matches.
+ */
+function getOperation(name) {
+    return cfOperations[String(name).toLowerCase()] || null;
+}
+
+/**
+ * Lists the canonical names of the registered operations.
+ *
+ * @returns {Array<string>}
+ */
+function listOperations() {
+    return [...new Set(Object.values(cfOperations).map(entry => entry.name))];
+}
+
+// Suggests the operation a mistyped keyword was probably meant to be, or null if none is close
+function suggestOperation(word) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const keyword in cfOperations) {
+        const distance = editDistance(word, keyword);
+        if (distance < bestDistance) {
+            best = cfOperations[keyword].name;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= Math.min(2, Math.floor(word.length / 2)) ? best : null;
+}
+
+// Builds the message for an operation that is not supported, with a "did you mean" hint when possible
+function unknownOperationMessage(operation) {
+    const suggestion = suggestOperation(String(operation));
+    return `Unknown operation "${operation}"` + (suggestion ? `. Did you mean "${suggestion}"?` : "");
+}
+
 /**
  * parseCF - A function to parse construction and sequence data from various input formats.
  * 
@@ -156,6 +271,7 @@ function displaySeq(seq) {
  *   "steps": [
  *     {
  *       "operation": "PCR",
+ *       "line": 1,
  *       "output": "P6",
  *       "forward_oligo": "P6libF",
  *       "reverse_oligo": "P6libR",
@@ -163,6 +279,7 @@ function displaySeq(seq) {
  *     },
  *     {
  *       "operation": "Assemble",
+ *       "line": 2,
  *       "output": "pP6",
  *       "dnas": ["pTP1", "P6"],
  *       "enzyme": "P6"
@@ -171,25 +288,34 @@ function displaySeq(seq) {
  *   "sequences": {}
  * }
  * 
+ * Each step records the line it was parsed from, counted from 1 across all blobs, so that
+ * simulation diagnostics can point back to the Construction File text. The step's `location`
+ * (and, for sequences, the matching entry of `sequenceLocations`) gives the full origin:
+ * 
+ * {
+ *   "blob": 0,          // index of the blob argument the line came from
+ *   "line": 1,          // line number counted across all blobs
+ *   "blobLine": 1,      // line number within that blob
+ *   "column": 1,        // 1-based column of the first token
+ *   "endColumn": 33,    // column just past the last token
+ *   "tokens": [{ "text": "PCR", "column": 1, "endColumn": 4 }, ...]
+ * }
+ * 
  */
 /**
  * Parses a construction file (CF) and sequences into the appropriate steps and sequences.
  * 
  * @param  {...any} blobs - The construction file data that may be passed as single/multiple string inputs.
- * @returns {Object} An object containing 'steps' (an array of steps) and 'sequences' (an object of DNA sequences).
+ * @returns {Object} An object containing 'steps' (an array of steps), 'sequences' (an object of DNA sequences),
+ *          'sequenceLocations' (the source location of each sequence, by name) and 'warnings' (lines that parsed
+ *          but look like mistyped operations, as `{line, blob, column, endColumn, message}`).
+ * @throws {Error} If a line cannot be parsed. The error carries the `location` of the offending line. A line
+ *         whose first word is a near miss for an operation keyword (e.g. "Gibsn") is reported as an unknown
+ *         operation with a "did you mean" suggestion rather than as a malformed sequence.
  */
 function parseCF(...blobs) {
-    const normalizeOperation = {
-        "pcr": "PCR",
-        "digest": "Digest",
-        "ligate": "Ligate",
-        "gibson": "Gibson",
-        "goldengate": "GoldenGate",
-        "transform": "Transform"
-    };
-
     const sequenceDataRegex = /^[ACGTRYSWKMBDHVNUacgtryswkmbdhvnu*]+$/;
-    const knownTypes = ["oligo", "plasmid", "dsdna"];
+    const knownTypes = cfSequenceKeywords;
 
     function preprocessData(data) {
         if (Array.isArray(data)) {
@@ -205,114 +331,49 @@ function parseCF(...blobs) {
         }
     }
 
+    // Splits one line of text into tokens, recording the 1-based column span of each token
     function tokenize(text) {
-        // Remove comments: #, //, /* ... */
-        text = text.replace(/#.*$/g, '').replace(/\/\/.*$/g, '').replace(/\/\*.*?\*\//g, '');
-        let tokens = text.trim().split(/\s+/);
-        return tokens.filter(token => !["on", "with", ""].includes(token.toLowerCase()));
+        // Remove comments: #, //, /* ... */ (block comments are blanked so later columns stay put)
+        text = text.replace(/#.*$/g, '').replace(/\/\/.*$/g, '').replace(/\/\*.*?\*\//g, match => ' '.repeat(match.length));
+        const spans = [];
+        for (const match of text.matchAll(/\S+/g)) {
+            if (["on", "with"].includes(match[0].toLowerCase())) continue;
+            spans.push({ text: match[0], column: match.index + 1, endColumn: match.index + 1 + match[0].length });
+        }
+        return spans;
     }
 
-    let singleblob = "";
-    for (const blob of blobs) {
-        singleblob += preprocessData(blob) + '\n';
-    }
+    // Split every blob into lines, remembering where each line came from
+    const lines = [];
+    blobs.forEach((blob, blobIndex) => {
+        preprocessData(blob).split(/\r?\n/).forEach((text, lineIndex) => {
+            lines.push({ blob: blobIndex, blobLine: lineIndex + 1, line: lines.length + 1, spans: tokenize(text) });
+        });
+    });
 
-    const preprocessedData = singleblob.trim().split('\n').map(line => tokenize(line));
     const steps = [];
     const sequences = {};
-
-    for (let i = 0; i < preprocessedData.length; i++) {
-        const tokens = preprocessedData[i];
-        if (tokens.length === 0) continue;
+    const sequenceLocations = {};
+    const warnings = [];
+
+    for (const { blob, blobLine, line, spans } of lines) {
+        if (spans.length === 0) continue;
+        const tokens = spans.map(span => span.text);
+        const location = {
+            blob,
+            line,
+            blobLine,
+            column: spans[0].column,
+            endColumn: spans[spans.length - 1].endColumn,
+            tokens: spans
+        };
         try {
             const keywordRaw = tokens[0];
             const keyword = keywordRaw.toLowerCase();
-            const normalizedOp = normalizeOperation[keyword];
-
-            if (normalizedOp) {
-                let step = { operation: normalizedOp };
-
-                switch (normalizedOp) {
-                    case "PCR":
-                        // Check token count for PCR
-                        if (tokens.length < 5) {
-                            throw new Error("PCR step requires 5 fields: PCR ForwardPrimer ReversePrimer Template Output");
-                        }
-                        step.output = tokens[4];
-                        step.forward_oligo = tokens[1];
-                        step.reverse_oligo = tokens[2];
-                        step.template = tokens[3];
-                        break;
-
-                    case "Gibson":
-                        if (tokens.length < 3) {
-                            throw new Error("Gibson step requires at least 3 fields: Gibson Fragment1 [Fragment2 ...] Output");
-                        }
-                        step.output = tokens[tokens.length - 1];
-                        step.dnas = tokens.slice(1, tokens.length - 1);
-                        break;
-
-                    case "GoldenGate":
-                        if (tokens.length < 4) {
-                            throw new Error("GoldenGate step requires at least 4 fields: GoldenGate Fragment1 [Fragment2 ...] Enzyme Output");
-                        }
-                        step.output = tokens[tokens.length - 1];
-                        step.dnas = tokens.slice(1, tokens.length - 2);
-                        step.enzyme = tokens[tokens.length - 2];
-                        break;
-
-                    case "Ligate":
-                        if (tokens.length < 3) {
-                            throw new Error("Ligate step requires at least 3 fields: Ligate Fragment1 [Fragment2 ...] Output");
-                        }
-                        step.output = tokens[tokens.length - 1];
-                        step.dnas = tokens.slice(1, tokens.length - 1);
-                        break;
-
-                    case "Digest":
-                        // Check token count for Digest
-                        if (tokens.length < 4) {
-                            throw new Error("Digest step requires at least 4 fields: Digest DNA Enzymes FragSelect Output");
-                        }
-                        step.dna = tokens[1];
-                        step.enzymes = tokens[2].split(',');
-                        step.fragselect = tokens[3] ? parseInt(tokens[3], 10) : 1;
-                        step.output = tokens[tokens.length - 1];
-                        break;
-
-                    case "Transform":
-                        step.dna = tokens[1];
-                        step.output = tokens[tokens.length - 1];
-
-                        const remaining = tokens.slice(2, tokens.length - 1);
-
-                        const knownAntibiotics = {
-                          "kan": "kan",
-                          "kanamycin": "kan",
-                          "cam": "cam",
-                          "chloramphenicol": "cam",
-                          "amp": "amp",
-                          "ampicillin": "amp",
-                          "spec": "spec",
-                          "spectinomycin": "spec",
-                          "gen": "gen",
-                          "gentamicin": "gen"
-                        };
-
-                        for (const token of remaining) {
-                          const lower = token.toLowerCase();
-                          if (!step.strain && /^[\w\-\.]+$/.test(token)) {
-                            step.strain = token;
-                          } else if (!step.antibiotics && knownAntibiotics[lower]) {
-                            step.antibiotics = knownAntibiotics[lower];
-                          } else if (!step.temperature && !isNaN(parseFloat(token))) {
-                            step.temperature = parseFloat(token);
-                          }
-                        }
-                        break;
-                }
+            const definition = getOperation(keyword);
 
-                steps.push(step);
+            if (definition) {
+                steps.push({ operation: definition.name, line, location, ...definition.parse(tokens.slice(1)) });
             } else {
                 let name, sequence;
                 if (knownTypes.includes(keyword)) {
@@ -323,7 +384,20 @@ function parseCF(...blobs) {
                     sequence = tokens.slice(1).join('');
                 }
 
+                // A line that starts with something close to an operation keyword is probably a typo
+                const suggestion = knownTypes.includes(keyword) ? null : suggestOperation(keywordRaw);
+
                 if (sequenceDataRegex.test(sequence)) {
+                    if (suggestion && tokens.length > 2) {
+                        warnings.push({
+                            line,
+                            blob,
+                            column: spans[0].column,
+                            endColumn: spans[0].endColumn,
+                            message: `"${keywordRaw}" was read as the name of a sequence. Did you mean the operation "${suggestion}"?`
+                        });
+                    }
+                    sequenceLocations[name] = location;
                     switch (keyword) {
                         case "plasmid":
                             sequences[name] = plasmid(sequence.toUpperCase());
@@ -338,170 +412,389 @@ function parseCF(...blobs) {
                             sequences[name] = oligo(sequence.toUpperCase());
                             break;
                     }
+                } else if (suggestion) {
+                    throw new Error(`Unknown operation "${keywordRaw}". Did you mean "${suggestion}"?`);
                 } else {
                     throw new Error(`Invalid sequence format: "${sequence}"`);
                 }
             }
         } catch (err) {
-            throw new Error(`Error parsing line ${i + 1}: "${preprocessedData[i].join(' ')}"\nReason: ${err.message}`);
+            const error = new Error(`Error parsing line ${line}: "${tokens.join(' ')}"\nReason: ${err.message}`);
+            error.location = location;
+            throw error;
         }
     }
     console.log("parseCF returning CF")
-    return { steps, sequences };
+    return { steps, sequences, sequenceLocations, warnings };
 }
 
 /**
- * PCR function predicts the sequence of a PCR product by inputting forward oligo sequence, reverse oligo sequence, and template sequence.
+ * Serializes a Construction File object back into the tab-separated text format read by parseCF.
  *
- * The algorithm assumes that the last 18 bp on the 3' end of the oligos exactly match the template, but the 5' end of the oligos may not match.
- * The function first identifies where the forward oligo will anneal to the template by looking for the 18 bp match.
- * It then rotates the template sequence such that it begins with the annealing region of the forward oligo.
- * Then it looks for the annealing site of the reverse oligo by invoking the function revcomp(sequence) which inputs the reverse oligo sequence 
- * and outputs the reverse complement. 
- * The first 18 bp of that revcomp sequence should match the template where it will anneal.
- * Based on the indices of the annealing sites, the final PCR product is calculated from the entire forward sequence, the region between the 
- * annealing regions on the rotated template, and the entire reverse complement of the reverse oligo
+ * Steps are written first, one per line, with their operation keyword normalized (e.g. "gibson" becomes
+ * "Gibson"). A blank line follows, then one line per sequence prefixed with its type: "plasmid" for circular
+ * DNA, "oligo" for single-stranded DNA and "dsdna" for linear double-stranded DNA. Sequences given as plain
+ * strings are written without a prefix, which parseCF reads back as oligos.
  *
- * @param {string} forwardSeq - The forward oligo sequence.
- * @param {string} reverseSeq - The reverse oligo sequence.
- * @param {string} templateSeq - The template sequence.
+ * parseCF(serializeCF(cf)) reproduces the steps and sequences of cf. Features the text format cannot
+ * express, such as sticky ends on a sequence, raise an error rather than being silently dropped.
  *
- * @returns {string} finalProduct - The predicted PCR product.
+ * @param {Object} cfData - A construction file object (with `steps` and `sequences`), e.g. from parseCF.
+ * @param {Object} [options]
+ * @param {number} [options.wrap=0] - If positive, long sequences are broken into chunks of this many bases
+ *        separated by spaces. The chunks stay on the sequence's line, so parseCF joins them back together.
+ * @returns {string} The Construction File as text.
+ * @throws {Error} If a step has an unknown operation or a sequence cannot be expressed in the text format.
+ *
+ * @example
+ * const cf = { steps: [{ operation: "PCR", forward_oligo: "F", reverse_oligo: "R", template: "T", output: "P" }],
+ *              sequences: { F: oligo("CAAGTGGGAACGCGTAATG"), ... } };
+ * serializeCF(cf); // "PCR\tF\tR\tT\tP\n\noligo\tF\tCAAGTGGGAACGCGTAATG\n..."
  */
-function PCR(forwardOligo, reverseOligo, template) {
-  // Validate that forward and reverse are single-stranded
-  if (forwardOligo.isDoubleStranded) {
-    throw new Error('Forward oligo must be single-stranded');
-  }
-  if (reverseOligo.isDoubleStranded) {
-    throw new Error('Reverse oligo must be single-stranded');
+function serializeCF(cfData, options = {}) {
+  const wrap = options.wrap || 0;
+  const lines = [];
+
+  const checkName = (name) => {
+    if (typeof name !== 'string' || !/^\S+$/.test(name)) {
+      throw new Error(`Cannot serialize name "${name}": names must be non-empty and contain no whitespace`);
+    }
+    // parseCF discards these filler words wherever they appear
+    if (["on", "with"].includes(name.toLowerCase())) {
+      throw new Error(`Cannot serialize name "${name}": it is a reserved word in Construction Files`);
+    }
+    return name;
+  };
+
+  for (const step of cfData.steps || []) {
+    const definition = getOperation(step.operation);
+    if (!definition) {
+      throw new Error(`Cannot serialize unknown operation: ${step.operation}`);
+    }
+    if (!definition.serialize) {
+      throw new Error(`Cannot serialize ${definition.name} steps: the operation has no serializer`);
+    }
+    lines.push([definition.name, ...definition.serialize(step).map(checkName)].join('\t'));
   }
 
-  // Pull sequences from Polynucleotides
-  const forwardSeq = forwardOligo.sequence;
-  const reverseSeq = reverseOligo.sequence;
-  let templateSeq = template.sequence;
+  const sequences = cfData.sequences || {};
+  if (lines.length > 0 && Object.keys(sequences).length > 0) {
+    lines.push('');
+  }
 
-  // Find index of 18 bp match on 3' end of forward oligo and template
-  var foranneal = forwardSeq.slice(-18);
-  var forwardMatchIndex = templateSeq.indexOf(foranneal);
-  if (forwardMatchIndex === -1) {
-    const rcTemplate = revcomp(templateSeq);
-    forwardMatchIndex = rcTemplate.indexOf(foranneal);
-    if (forwardMatchIndex === -1) {
-      throw new Error("Forward oligo does not exactly anneal to the template.\nForward oligo (3' 18bp): " + displaySeq(foranneal) + "\nTemplate: " + displaySeq(templateSeq));
+  for (const name in sequences) {
+    const entry = sequences[name];
+    let prefix = null;
+    let seq = entry;
+    if (typeof entry !== 'string') {
+      if (entry.ext5 || entry.ext3) {
+        throw new Error(`Cannot serialize ${name}: sticky ends are not expressible in a Construction File`);
+      }
+      if (entry.isRNA) {
+        throw new Error(`Cannot serialize ${name}: RNA is not expressible in a Construction File`);
+      }
+      seq = entry.sequence;
+      if (entry.isCircular) {
+        prefix = 'plasmid';
+      } else if (entry.isDoubleStranded) {
+        prefix = 'dsdna';
+      } else {
+        prefix = 'oligo';
+      }
+    }
+    seq = seq.toUpperCase();
+    if (wrap > 0) {
+      seq = seq.match(new RegExp(`.{1,${wrap}}`, 'g')).join(' ');
     }
-    templateSeq = rcTemplate;
+    lines.push([...(prefix ? [prefix] : []), checkName(name), seq].join('\t'));
   }
 
-  // Rotate template sequence to begin with annealing region of forward oligo
-  var rotatedTemplate = templateSeq.slice(forwardMatchIndex) + templateSeq.slice(0, forwardMatchIndex);
+  return lines.join('\n') + '\n';
+}
 
-  // Find reverse complement of reverse oligo
-  var reverseComp = revcomp(reverseSeq);
+// Annealing settings for PCR, overridden by the options given to pcrReport
+const annealDefaults = { minAnnealLength: 18, maxMismatches: 0, exact3: 10, minTm: null, maxTm: null, maxTmDifference: null, polymerase: null, conditions: null,
+  structure: null, structureLimits: null };
 
-  // Find index of 18 bp match on 3' end of reverse complement and rotated template
-  var revanneal = reverseComp.slice(0,18);
-  var reverseMatchIndex = rotatedTemplate.indexOf(revanneal);
-  if (reverseMatchIndex === -1) {
-    throw new Error("Reverse oligo does not exactly anneal to the template.\nReverse oligo (3' 18bp): " + displaySeq(revanneal) + "\nRotated template: " + displaySeq(rotatedTemplate));
+function annealSettings(options = {}) {
+  const settings = { ...annealDefaults };
+  for (const key in annealDefaults) {
+    if (options[key] !== undefined && options[key] !== null) settings[key] = options[key];
+  }
+  if (!(settings.minAnnealLength >= 1)) {
+    throw new Error(`minAnnealLength must be at least 1, not ${settings.minAnnealLength}`);
   }
+  settings.exact3 = Math.max(1, Math.min(settings.exact3, settings.minAnnealLength));
+  settings.tmConditions = { polymerase: settings.polymerase, ...(settings.conditions || {}) };
+  return settings;
+}
 
-  // Concatenate entire forward oligo, region between annealing regions on rotated template, and entire reverse complement of reverse oligo
-  var finalProduct = forwardSeq + rotatedTemplate.slice(18, reverseMatchIndex) + reverseComp;
+// Finds where an oligo anneals on one strand of a template, read 5' to 3'. Each site is seeded by an exact
+// match of the oligo's 3'-terminal `exact3` bases and extended toward the oligo's 5' end, tolerating up to
+// `maxMismatches` mismatched bases. Degenerate bases in the oligo match any base they stand for, but an
+// oligo only pairs with a degenerate template position if it pairs whatever the base turns out to be.
+function strandAnnealSites(oligoSeq, strandSeq, circular, settings) {
+  const len = strandSeq.length;
+  const seed = oligoSeq.slice(-settings.exact3);
+  const sites = [];
+  for (const hit of findIUPAC(strandSeq, seed, { bothStrands: false, circular })) {
+    if (hit.match !== 'definite') continue;
+    const end = hit.index + seed.length;
+    let mismatches = 0;
+    let length = 0;
+    let siteMismatches = 0;
+    for (let k = 1; k <= oligoSeq.length && k <= len; k++) {
+      const pos = end - k;
+      if (pos < 0 && !circular) break;
+      if (matchIUPAC(oligoSeq[oligoSeq.length - k], strandSeq[((pos % len) + len) % len]) === 'definite') {
+        length = k;
+        siteMismatches = mismatches;
+      } else if (++mismatches > settings.maxMismatches) {
+        break;
+      }
+    }
+    if (length < settings.minAnnealLength) continue;
+    const tm = meltingTemperature(oligoSeq.slice(-length), settings.tmConditions);
+    if (settings.minTm !== null && tm < settings.minTm) continue;
+    const start = (((end - length) % len) + len) % len;
+    sites.push({ start, end: start + length, length, mismatches: siteMismatches, tm });
+  }
+  return sites;
+}
 
-  console.log("PCR returning product")
+// Finds an oligo's annealing sites on both strands, each in the coordinates of its own strand
+function annealSites(oligoSeq, template, settings) {
+  const top = template.sequence;
+  return [
+    ...strandAnnealSites(oligoSeq, top, template.isCircular, settings).map(site => ({ ...site, strand: 1 })),
+    ...strandAnnealSites(oligoSeq, revcomp(top), template.isCircular, settings).map(site => ({ ...site, strand: -1 }))
+  ];
+}
 
-  // Wrap result as a double-stranded DNA polynucleotide
-  return dsDNA(finalProduct);
+// Reports an annealing site in top-strand coordinates
+function topStrandSite(site, len) {
+  const start = site.strand === 1 ? site.start : (((len - site.end) % len) + len) % len;
+  return { strand: site.strand, start, length: site.length, mismatches: site.mismatches, tm: Math.round(site.tm * 10) / 10 };
 }
 
-/**
- * The following blocks describe the cutting pattern of commonly
- * used restriction enzymes.  They are used in the Assemble and
- * Digest simulations, then also during silent site removal (removeSites)
- */
-const simRestrictionEnzymes = {
-    AarI: {recognitionSequence: "CACCTGC", cut5: 4, cut3: 8},
-    BbsI: {recognitionSequence: "GAAGAC", cut5: 2, cut3: 6},
-    BsaI: {recognitionSequence: "GGTCTC", cut5: 1, cut3: 5},
-    BsmBI: {recognitionSequence: "CGTCTC", cut5: 1, cut3: 5},
-    SapI: {recognitionSequence: "GCTCTTC", cut5: 1, cut3: 4},
-    BseRI: {recognitionSequence: "GAGGAG", cut5: 10, cut3: 8},
-    BamHI: {recognitionSequence: "GGATCC", cut5: -5, cut3: -1},
-    BglII: {recognitionSequence: "AGATCT", cut5: -5, cut3: -1},
-    EcoRI: {recognitionSequence: "GAATTC", cut5: -5, cut3: -1},
-    XhoI: {recognitionSequence: "CTCGAG", cut5: -5, cut3: -1},
-    SpeI: {recognitionSequence: "ACTAGT", cut5: -5, cut3: -1},
-    XbaI: {recognitionSequence: "TCTAGA", cut5: -5, cut3: -1},
-    PstI: {recognitionSequence: "CTGCAG", cut5: -1, cut3: -5},
-    NcoI: {recognitionSequence: "CCATGG", cut5: -5, cut3: -1},
+function describeSite(site) {
+  const details = [site.strand === 1 ? 'top strand' : 'bottom strand'];
+  if (site.mismatches) details.push(`${site.mismatches} mismatch${site.mismatches === 1 ? '' : 'es'}`);
+  return `${site.start} (${details.join(', ')})`;
+}
 
+// Explains a failed anneal that would have succeeded for some reading of the template's degenerate bases
+function ambiguousAnnealNote(template, anneal) {
+  const possible = findIUPAC(template, anneal, { bothStrands: false, possible: true }).find(hit => hit.match === 'possible');
+  return possible ? ` It may anneal at ${possible.index}, depending on degenerate bases in the template.` : '';
 }
 
-//Calculate the reverse complement of the recognition sequence as well as
-//whether the sticky end generated is a 5' extension (true) or 3' (false)
-for (const enzName in simRestrictionEnzymes) {
-  const enzyme = simRestrictionEnzymes[enzName];
-  enzyme.recognitionRC = revcomp(enzyme.recognitionSequence);
-  enzyme.isFivePrime = enzyme.cut5 < enzyme.cut3;
+/**
+ * Finds every place an oligo anneals to a template, on both strands.
+ *
+ * An oligo anneals where its 3' end pairs with the template: its 3'-terminal `exact3` bases must match
+ * exactly, and the annealed stretch, read from the 3' end, may hold up to `maxMismatches` mismatches
+ * on its 5' side. The stretch must be at least `minAnnealLength` bases long and, if `minTm` is given,
+ * melt at or above it. Any bases 5' of the stretch form a tail that does not need to match. Melting
+ * temperatures are nearest-neighbor Tms (see meltingTemperature) in the polymerase's buffer, if one is given.
+ *
+ * @param {Polynucleotide} oligo - The single-stranded oligo.
+ * @param {Polynucleotide} template - The template, linear or circular.
+ * @param {Object} [options]
+ * @param {number} [options.minAnnealLength=18] - The shortest annealed stretch, in bases.
+ * @param {number} [options.maxMismatches=0] - Mismatches allowed in the annealed stretch.
+ * @param {number} [options.exact3=10] - The 3'-terminal bases that must match exactly.
+ * @param {number} [options.minTm] - The lowest melting temperature of the annealed stretch, in °C.
+ * @param {string} [options.polymerase] - A polymerase whose buffer the Tm is computed for, e.g. 'Q5'.
+ * @param {Object} [options.conditions] - Reaction conditions overriding the polymerase's, as for meltingTemperature.
+ * @returns {Array<{strand: number, start: number, length: number, mismatches: number, tm: number}>} Each site,
+ *          with the top-strand index of the start of the annealed stretch (on the bottom strand, this is
+ *          where the oligo's 3' end lies), sorted by index.
+ */
+function findAnnealSites(oligo, template, options = {}) {
+  const settings = annealSettings(options);
+  const len = template.sequence.length;
+  return annealSites(oligo.sequence.toUpperCase(), template, settings)
+    .map(site => topStrandSite(site, len))
+    .sort((a, b) => a.start - b.start || b.strand - a.strand);
 }
 
-// Helper for Golden Gate assembly: sort and validate fragments by sticky ends
-function sortAndValidateGoldenGateFragments(digestionFragments) {
-  // Sort the digestion fragments based on the sticky ends
-  digestionFragments.sort((a, b) => {
-    if (a.stickyEnd5 === b.stickyEnd3) {
-      return 0;
-    }
-    else if (a.stickyEnd5 < b.stickyEnd3) {
-      return -1;
+/**
+ * Simulates a PCR, reporting every product the oligos give along with the intended one.
+ *
+ * Each oligo's annealing sites are found on both strands of the template (see findAnnealSites). Every
+ * pair of sites on opposite strands whose 3' ends face each other gives a product, which runs from the
+ * 5' end of one oligo, across the template between them, to the 5' end of the other. That includes
+ * products primed by a single oligo annealing in two places. The intended product is the one from the
+ * forward and reverse oligos with the fewest mismatches and the longest anneals; among equals, the forward
+ * oligo's first site (top strand before bottom) primes it, with the nearest reverse site. It reads from the
+ * forward oligo.
+ *
+ * @param {Polynucleotide} forwardOligo - The single-stranded forward oligo.
+ * @param {Polynucleotide} reverseOligo - The single-stranded reverse oligo.
+ * @param {Polynucleotide} template - The template; a circular template can be amplified across its origin.
+ * @param {Object} [options] - Annealing settings, as for findAnnealSites, and:
+ * @param {number} [options.maxTm] - Warn if the intended product's oligos anneal above this Tm, in °C.
+ * @param {number} [options.maxTmDifference] - Warn if their Tms differ by more than this, in °C.
+ * @param {string} [options.structure] - Check the oligos for hairpins, dimers and very stable 3' ends (see
+ *        primerStructure): 'warn' to warn about them, 'error' to fail the PCR.
+ * @param {Object} [options.structureLimits] - ΔG limits for those checks, as for primerStructure.
+ * @returns {{product: Polynucleotide, products: Array<{product: Polynucleotide, size: number, oligos: Array<string>}>,
+ *          sites: {forward: Array<Object>, reverse: Array<Object>}, warnings: Array<string>}} The intended
+ *          product; every product, with the oligos ('forward' or 'reverse') that prime it; each oligo's
+ *          annealing sites (see findAnnealSites); and warnings about oligos that anneal in several places,
+ *          with mismatches, outside the Tm window or with secondary structure, or give several products.
+ * @throws {Error} If an oligo is double-stranded or does not anneal, or the oligos give no product together.
+ *
+ * @example
+ * const { product, warnings } = pcrReport(oligo(fwd), oligo(rev), plasmid(seq), { maxMismatches: 2 });
+ */
+function pcrReport(forwardOligo, reverseOligo, template, options = {}) {
+  // Validate that forward and reverse are single-stranded
+  if (forwardOligo.isDoubleStranded) {
+    throw new Error('Forward oligo must be single-stranded');
+  }
+  if (reverseOligo.isDoubleStranded) {
+    throw new Error('Reverse oligo must be single-stranded');
+  }
+
+  const settings = annealSettings(options);
+  const templateSeq = template.sequence;
+  const len = templateSeq.length;
+  const oligos = [
+    { role: 'forward', label: 'Forward', sequence: forwardOligo.sequence },
+    { role: 'reverse', label: 'Reverse', sequence: reverseOligo.sequence }
+  ];
+
+  for (const oligo of oligos) {
+    oligo.sites = annealSites(oligo.sequence.toUpperCase(), template, settings);
+    const weak = oligo.sites.length === 0 && settings.minTm !== null
+      ? annealSites(oligo.sequence.toUpperCase(), template, { ...settings, minTm: null }) : [];
+    if (weak.length > 0) {
+      const best = Math.max(...weak.map(site => site.tm));
+      throw new Error(`${oligo.label} oligo does not anneal to the template at ${settings.minTm} °C or above: ` +
+        `its best site melts at ${Math.round(best * 10) / 10} °C`);
     }
-    else {
-      return 1;
+    if (oligo.sites.length === 0) {
+      const anneal = oligo.sequence.slice(-settings.minAnnealLength);
+      throw new Error(`${oligo.label} oligo does not anneal to the template.` +
+        (ambiguousAnnealNote(templateSeq, anneal) || ambiguousAnnealNote(revcomp(templateSeq), anneal)) +
+        `\n${oligo.label} oligo (3' ${settings.minAnnealLength}bp): ` + displaySeq(anneal) + "\nTemplate: " + displaySeq(templateSeq));
     }
-  });
+  }
 
-  // Validate that all sticky ends are non-palindromic
-  digestionFragments.forEach(fragment => {
-    if (isPalindromic(fragment.stickyEnd5) || isPalindromic(fragment.stickyEnd3)) {
-      throw new Error(`Palindromic sticky ends found in fragment ${fragment.fragment}`);
+  // Pair each top-strand site with each bottom-strand site, working in top-strand coordinates
+  const products = [];
+  for (const left of oligos) {
+    for (const right of oligos) {
+      for (const a of left.sites.filter(site => site.strand === 1)) {
+        for (const b of right.sites.filter(site => site.strand === -1)) {
+          const rightStart = len - b.end;
+          let offset = rightStart - a.start;
+          if (template.isCircular) {
+            offset = ((offset % len) + len) % len;
+          } else if (offset < 0) {
+            continue;
+          }
+          // The right oligo's 3' end must reach at least the end of the left oligo's anneal
+          if (offset + b.length < a.length) continue;
+          const rightRC = revcomp(right.sequence);
+          let sequence;
+          if (offset >= a.length) {
+            const middle = template.isCircular
+              ? circularSlice(templateSeq, a.end, a.end + offset - a.length)
+              : templateSeq.slice(a.end, rightStart);
+            sequence = left.sequence + middle + rightRC;
+          } else {
+            sequence = left.sequence + rightRC.slice(a.length - offset);
+          }
+          const fromReverse = left.role === 'reverse' && right.role === 'forward';
+          products.push({
+            product: dsDNA(fromReverse ? revcomp(sequence) : sequence),
+            size: sequence.length,
+            oligos: fromReverse ? ['forward', 'reverse'] : [left.role, right.role],
+            mismatches: a.mismatches + b.mismatches,
+            annealed: a.length + b.length,
+            sites: fromReverse ? [b, a] : [a, b]
+          });
+        }
+      }
     }
-  });
+  }
 
-  // Check if there is a way to assemble the fragments without including all the fragments
-  if (digestionFragments.length > 1) {
-    const stickyEndCounts = {};
+  const intended = products
+    .filter(p => p.oligos[0] !== p.oligos[1])
+    .sort((p, q) => p.mismatches - q.mismatches || q.annealed - p.annealed ||
+      q.sites[0].strand - p.sites[0].strand || p.sites[0].start - q.sites[0].start || p.size - q.size)[0];
+  if (!intended) {
+    throw new Error("The forward and reverse oligos anneal to the template, but not facing each other, so they give no product");
+  }
 
-    digestionFragments.forEach(fragment => {
-      if (!stickyEndCounts.hasOwnProperty(fragment.stickyEnd5)) {
-        stickyEndCounts[fragment.stickyEnd5] = { count5: 0, count3: 0 };
-      }
-      if (!stickyEndCounts.hasOwnProperty(fragment.stickyEnd3)) {
-        stickyEndCounts[fragment.stickyEnd3] = { count5: 0, count3: 0 };
+  const warnings = [];
+  for (const oligo of oligos) {
+    const sites = oligo.sites.map(site => topStrandSite(site, len)).sort((a, b) => a.start - b.start || b.strand - a.strand);
+    oligo.reported = sites;
+    if (sites.length > 1) {
+      warnings.push(`${oligo.label} oligo anneals at ${sites.length} places on the template: ${sites.map(describeSite).join(', ')}`);
+    }
+  }
+  intended.sites.forEach((site, i) => {
+    if (site.mismatches) {
+      warnings.push(`${oligos[i].label} oligo anneals at ${topStrandSite(site, len).start} with ${site.mismatches} mismatch${site.mismatches === 1 ? '' : 'es'} ` +
+        `5' of its 3'-terminal ${settings.exact3} bases`);
+    }
+  });
+  const tms = intended.sites.map(site => Math.round(site.tm * 10) / 10);
+  if (settings.maxTm !== null) {
+    intended.sites.forEach((site, i) => {
+      if (tms[i] > settings.maxTm) {
+        warnings.push(`${oligos[i].label} oligo anneals at ${tms[i]} °C, above the ${settings.maxTm} °C maximum`);
       }
-      stickyEndCounts[fragment.stickyEnd5].count5++;
-      stickyEndCounts[fragment.stickyEnd3].count3++;
     });
-
-    for (const stickyEnd in stickyEndCounts) {
-      if (stickyEndCounts[stickyEnd].count5 > 1 || stickyEndCounts[stickyEnd].count3 > 1) {
-        throw new Error('Some fragments have the same sticky ends, which can lead to incorrect assemblies');
-      }
-    }
   }
-
-  // Validate that the sticky ends match between fragments
-  for (var i = 0; i < digestionFragments.length - 1; i++) {
-    if (digestionFragments[i].stickyEnd3 !== digestionFragments[i + 1].stickyEnd5) {
-      throw new Error(`Error: Sticky ends do not match between fragments 
-        ${digestionFragments[i].fragment} and ${digestionFragments[i + 1].fragment}`);
+  if (settings.maxTmDifference !== null && Math.abs(tms[0] - tms[1]) > settings.maxTmDifference) {
+    warnings.push(`The forward and reverse oligos anneal at ${tms[0]} °C and ${tms[1]} °C, ` +
+      `more than ${settings.maxTmDifference} °C apart; the lower Tm limits the annealing temperature`);
+  }
+  if (settings.structure) {
+    const problems = oligos.flatMap((oligo, i) =>
+      primerStructure(oligo.sequence, { partner: i === 0 ? oligos[1].sequence : null, limits: settings.structureLimits || {} })
+        .problems.map(problem => `${oligo.label} oligo has a ${problem}`));
+    if (problems.length && settings.structure === 'error') {
+      throw new Error(problems.join('; '));
     }
+    warnings.push(...problems);
   }
-  if (digestionFragments[0].stickyEnd5 !== digestionFragments[digestionFragments.length - 1].stickyEnd3) {
-    throw new Error(`Error: Sticky ends do not match between first and last fragments 
-      ${digestionFragments[0].fragment} and ${digestionFragments[digestionFragments.length - 1].fragment}`);
+  if (products.length > 1) {
+    warnings.push(`The oligos give ${products.length} products (${products.map(p => p.size).join(', ')} bp); ` +
+      `the ${intended.size} bp product of the forward and reverse oligos is reported`);
   }
+
+  return {
+    product: intended.product,
+    products: products.map(({ product, size, oligos }) => ({ product, size, oligos })),
+    sites: { forward: oligos[0].reported, reverse: oligos[1].reported },
+    warnings
+  };
+}
+
+/**
+ * PCR function predicts the sequence of a PCR product by inputting forward oligo sequence, reverse oligo sequence, and template sequence.
+ *
+ * By default the last 18 bp on the 3' end of each oligo must exactly match the template, but the 5' end of the oligos may not match.
+ * The product is calculated from the entire forward sequence, the region of the template between the annealing regions, and the
+ * entire reverse complement of the reverse oligo. See pcrReport for how annealing is modelled and for the warnings it gives
+ * about off-target priming.
+ *
+ * @param {Polynucleotide} forwardOligo - The forward oligo.
+ * @param {Polynucleotide} reverseOligo - The reverse oligo.
+ * @param {Polynucleotide} template - The template.
+ * @param {Object} [options] - Annealing settings, as for findAnnealSites.
+ *
+ * @returns {Polynucleotide} The predicted PCR product.
+ */
+function PCR(forwardOligo, reverseOligo, template, options = {}) {
+  return pcrReport(forwardOligo, reverseOligo, template, options).product;
 }
 
 /**
@@ -633,17 +926,35 @@ function ligateEnds(poly) {
 }
 
 /**
- * Assembles a set of Polynucleotide objects using the Golden Gate Assembly method.
+ * Assembles a set of Polynucleotide objects using the Golden Gate Assembly method, reporting how reliably
+ * its overhangs assemble.
+ *
+ * Each input, linear or circular, is digested to completion (see digestAll). Pieces that still carry a site
+ * for the enzyme, such as the backbones of part plasmids and the dropout cassette (lacZ, GFP, ...) of the
+ * destination vector, are recut in the reaction and discarded, as are the ends of linear inputs. The rest
+ * are joined, in either orientation, where their sticky ends match, into a circle; pieces the circle cannot
+ * use are discarded with a warning. The product must have no site left for the enzyme, or it would be cut.
+ *
+ * If ligation data has been loaded (see loadLigationFile), or is given, the overhangs at the junctions are
+ * scored with it (see overhangFidelity) and pairs of overhangs that mis-ligate are warned about.
+ *
  * @param {Array<Polynucleotide>} polynucleotides - Array of double-stranded Polynucleotide objects to assemble.
  * @param {string} enzyme - Restriction enzyme name.
- * @returns {Polynucleotide} The assembled Polynucleotide.
+ * @param {Object} [options]
+ * @param {Object} [options.ligationData] - A ligation matrix to score the overhangs with, instead of the loaded one.
+ * @param {number} [options.maxMisligation], [options.minFidelity] - Warning thresholds, as for overhangFidelity.
+ * @returns {{product: Polynucleotide, overhangs: Array<string>, parts: Array<{input: number, start: number, end: number,
+ *          length: number, orientation: string}>, discarded: Array<{input: number, start: number, end: number,
+ *          length: number, reason: string}>, fidelity: Object|null, warnings: Array<string>}} The assembled
+ *          Polynucleotide; the overhangs at its junctions, in order; the pieces it is made of, by input index and
+ *          their coordinates in that input (see digestAll), and whether each is used 'forward' or 'reverse';
+ *          the pieces left out, and why ('site', 'end' or 'unused'); the overhangs' fidelity as reported by
+ *          overhangFidelity, or null without ligation data; and its warnings.
+ * @throws {Error} If an input has no site for the enzyme, the pieces have palindromic or repeated sticky ends
+ *         or do not join into a circle, or the product still has a site.
  */
-function goldengate(polynucleotides, enzyme) {
-  // console.log("what's polynucleotidessssss");
-  // console.log(polynucleotides);
-  // console.log("what's enzymmmme");
-  // console.log(enzyme);
-  if (!simRestrictionEnzymes.hasOwnProperty(enzyme)) {
+function goldengateReport(polynucleotides, enzyme, options = {}) {
+  if (!getEnzyme(enzyme)) {
     throw new Error(`Enzyme ${enzyme} not found for Golden Gate assembly`);
   }
   // Validate input is array of Polynucleotides
@@ -652,7 +963,6 @@ function goldengate(polynucleotides, enzyme) {
   }
   // Validate all are double-stranded Polynucleotides
   polynucleotides.forEach((poly, idx) => {
-    // console.log(poly)
     if (poly.constructor.name !== "Polynucleotide") {
       throw new Error(`Input at index ${idx} is not a Polynucleotide`);
     }
@@ -661,126 +971,153 @@ function goldengate(polynucleotides, enzyme) {
     }
   });
 
-  // Get enzyme details
-  const enzymeDetails = simRestrictionEnzymes[enzyme];
-  const restrictionSequence = enzymeDetails.recognitionSequence;
-  const revRestrictionSequence = enzymeDetails.recognitionRC;
-  const cut5 = enzymeDetails.cut5;
-  const cut3 = enzymeDetails.cut3;
-
-  // Collect digestion fragments
-  const digestionFragments = [];
+  // Digest every input, keeping the pieces cut at both ends that have no site left
+  const pieces = [];
+  const discarded = [];
   polynucleotides.forEach((poly, idx) => {
-    const sequence = poly.sequence;
-    // Find enzyme sites
-    const enzymeSites = sequence.split(restrictionSequence).length - 1;
-    const revEnzymeSites = sequence.split(revRestrictionSequence).length - 1;
-    const enzymeSite = sequence.indexOf(restrictionSequence);
-    const revEnzymeSite = sequence.indexOf(revRestrictionSequence);
-    if (enzymeSites === 0) {
-      throw new Error(`Error: Enzyme site ${restrictionSequence} not found in sequence at index ${idx}: ${displaySeq(sequence)}`);
-    }
-    if (revEnzymeSites === 0) {
-      throw new Error(`Error: Reverse Enzyme site ${revRestrictionSequence} not found in sequence at index ${idx}: ${displaySeq(sequence)}`);
-    }
-    if (enzymeSites > 1) {
-      throw new Error(`Error: More than one forward enzyme site ${restrictionSequence} found in sequence at index ${idx}: ${displaySeq(sequence)}`);
-    }
-    if (revEnzymeSites > 1) {
-      throw new Error(`Error: More than one reverse enzyme site ${revRestrictionSequence} found in sequence at index ${idx}: ${displaySeq(sequence)}`);
-    }
-    if (revEnzymeSite < enzymeSite) {
-      throw new Error(`Error: Reverse enzyme site found before forward enzyme site in sequence at index ${idx}: ${displaySeq(sequence)}`);
-    }
-    // Extract the cut fragment, stickyEnd5 and stickyEnd3
-    const cutFragment = sequence.substring(enzymeSite + restrictionSequence.length + cut3, revEnzymeSite - cut3);
-    const stickyEnd5 = sequence.substring(enzymeSite + restrictionSequence.length + cut5, enzymeSite + restrictionSequence.length + cut3);
-    const stickyEnd3 = sequence.substring(revEnzymeSite - cut3, revEnzymeSite - cut5);
-    digestionFragments.push({
-      fragment: cutFragment,
-      stickyEnd5: stickyEnd5,
-      stickyEnd3: stickyEnd3,
-      ext5: poly.ext5,
-      ext3: poly.ext3,
-      mod_ext5: poly.mod_ext5,
-      mod_ext3: poly.mod_ext3
-    });
+    const fragments = digestAll(poly, [enzyme]);
+    if (!fragments[0].leftEnzyme && !fragments[0].rightEnzyme) {
+      throw new Error(`Error: Enzyme ${enzyme} does not cut the sequence at index ${idx}: ${displaySeq(poly.sequence)}`);
+    }
+    for (const fragment of fragments) {
+      const { start, end, length } = fragment;
+      if (!fragment.leftEnzyme || !fragment.rightEnzyme) {
+        discarded.push({ input: idx, start, end, length, reason: 'end' });
+      } else if (findSites(fragment.polynucleotide.sequence, enzyme).length > 0) {
+        discarded.push({ input: idx, start, end, length, reason: 'site' });
+      } else {
+        pieces.push({ input: idx, start, end, length, poly: fragment.polynucleotide });
+      }
+    }
   });
+  const describePiece = (piece) => `the ${piece.length} bp piece of input ${piece.input}`;
+  if (pieces.length === 0) {
+    throw new Error(`Error: Every piece of the digested inputs still has a ${enzyme} site, so nothing is left to assemble`);
+  }
+  for (const piece of pieces) {
+    if (isPalindromic(piece.poly.ext5.replace("-", "")) || isPalindromic(piece.poly.ext3.replace("-", ""))) {
+      throw new Error(`Palindromic sticky ends found in ${describePiece(piece)}`);
+    }
+  }
 
-  // Sort and validate sticky ends
-  sortAndValidateGoldenGateFragments(digestionFragments);
+  // Each piece can be used either way round; reversed, its ends swap and are read from the other strand
+  const flipEnd = (end) => end.startsWith("-") ? "-" + revcomp(end.slice(1)) : revcomp(end);
+  const orient = (piece, orientation) => orientation === 'forward'
+    ? { piece, orientation, sequence: piece.poly.sequence, ext5: piece.poly.ext5, ext3: piece.poly.ext3 }
+    : { piece, orientation, sequence: revcomp(piece.poly.sequence), ext5: flipEnd(piece.poly.ext3), ext3: flipEnd(piece.poly.ext5) };
+
+  // Follows the sticky ends from a piece until they lead back to it
+  const circle = (start) => {
+    const path = [orient(start, 'forward')];
+    const used = new Set([start]);
+    for (;;) {
+      const last = path[path.length - 1];
+      const next = pieces.filter(piece => !used.has(piece))
+        .flatMap(piece => [orient(piece, 'forward'), orient(piece, 'reverse')])
+        .filter(option => option.ext5 === last.ext3);
+      const closes = path[0].ext5 === last.ext3;
+      if (next.length + (closes ? 1 : 0) > 1) {
+        throw new Error(`Some fragments have the same sticky ends, which can lead to incorrect assemblies: ${next.map(option => describePiece(option.piece)).join(' and ')}${closes ? ` and ${describePiece(path[0].piece)}` : ''} can all ligate to ${last.ext3.replace("-", "")}`);
+      }
+      if (closes) return path;
+      if (next.length === 0) return null;
+      path.push(next[0]);
+      used.add(next[0].piece);
+    }
+  };
+  let path = null;
+  for (const start of pieces) {
+    const found = circle(start);
+    if (found && (!path || found.length > path.length)) path = found;
+  }
+  if (!path) {
+    throw new Error(`Error: Sticky ends do not match between fragments: the pieces ${pieces.map(piece => `${piece.poly.ext5}/${piece.poly.ext3}`).join(', ')} cannot be joined into a circle`);
+  }
 
-  // Assemble the final sequence and determine sticky ends/mods
-  let finalSeq = "";
-  for (let i = 0; i < digestionFragments.length; i++) {
-    finalSeq += digestionFragments[i].stickyEnd5;
-    finalSeq += digestionFragments[i].fragment;
+  const warnings = [];
+  const used = new Set(path.map(step => step.piece));
+  for (const piece of pieces.filter(piece => !used.has(piece))) {
+    discarded.push({ input: piece.input, start: piece.start, end: piece.end, length: piece.length, reason: 'unused' });
+    warnings.push(`The ${piece.length} bp piece of input ${piece.input} (sticky ends ${piece.poly.ext5}/${piece.poly.ext3}) does not fit the assembly and was left out`);
   }
 
-  // For ends and modifications: take from first and last fragments
-  const ext5 = digestionFragments[0].ext5;
-  const ext3 = digestionFragments[digestionFragments.length - 1].ext3;
-  const mod_ext5 = digestionFragments[0].mod_ext5;
-  const mod_ext3 = digestionFragments[digestionFragments.length - 1].mod_ext3;
+  const product = plasmid(path.map(step => step.ext5.replace("-", "") + step.sequence).join(''));
+  const remaining = findCutSites(product, [enzyme]);
+  if (remaining.length > 0) {
+    throw new Error(`The assembled product still has a ${enzyme} site at ${remaining[0].site}, so it would be cut again`);
+  }
 
-  // Determine isCircular based on sticky ends matching
-  const isCircular = (
-    digestionFragments.length > 1 &&
-    digestionFragments[0].stickyEnd5 === digestionFragments[digestionFragments.length - 1].stickyEnd3
-  );
+  const overhangs = path.map(step => step.ext5.replace("-", ""));
+  const parts = path.map(({ piece, orientation }) => ({ input: piece.input, start: piece.start, end: piece.end, length: piece.length, orientation }));
+  const ligationData = options.ligationData || getLigationData();
+  const fidelity = ligationData ? overhangFidelity(overhangs, { ...options, ligationData }) : null;
+  if (fidelity) warnings.push(...fidelity.warnings);
 
-  // Return as Polynucleotide
-  return polynucleotide(
-    finalSeq,
-    ext5,
-    ext3,
-    true,
-    false,
-    isCircular,
-    mod_ext5,
-    mod_ext3
-  );
+  return { product, overhangs, parts, discarded, fidelity, warnings };
 }
 
 /**
- * Assembles DNA Polynucleotide objects using the Gibson assembly method.
- * It is also the default algorithm for 'assemble' function.
- * It is also appropriate for SOEing and yeast assembly predictions.
+ * Assembles a set of Polynucleotide objects using the Golden Gate Assembly method.
+ * @param {Array<Polynucleotide>} polynucleotides - Array of double-stranded Polynucleotide objects to assemble.
+ * @param {string} enzyme - Restriction enzyme name.
+ * @param {Object} [options] - Fidelity settings, as for goldengateReport.
+ * @returns {Polynucleotide} The assembled Polynucleotide.
+ */
+function goldengate(polynucleotides, enzyme, options = {}) {
+  return goldengateReport(polynucleotides, enzyme, options).product;
+}
+
+// GC fraction of an overlap
+function overlapGC(seq) {
+  return seq ? (seq.match(/[GCS]/gi) || []).length / seq.length : 0;
+}
+
+/**
+ * Assembles DNA Polynucleotide objects using the Gibson assembly method, reporting each junction.
+ *
+ * Fragments are joined where the end of one matches the start of another (or of its reverse complement)
+ * over at least `minOverlap` bases; the overlap reported for a junction is the whole of the matching
+ * region. Each junction's Tm is the overlap's nearest-neighbor Tm (see meltingTemperature), and junctions
+ * whose overlap melts below `minOverlapTm` are flagged, as weak overlaps are the commonest reason an
+ * assembly fails.
  *
  * @param {Array<Polynucleotide>} polynucleotides - Array of double-stranded, linear Polynucleotide objects to be assembled.
- * @param {boolean} check_circular - whether to check if the assembled product is circular. If set to `false`,
- *                                   the function will not check if the product is circular and will return a linear
- *                                   product. Defaults to `true`.
+ * @param {Object} [options]
+ * @param {number} [options.minOverlap=20] - The shortest overlap that joins two fragments, in bases.
+ * @param {number} [options.minOverlapTm] - Flag junctions whose overlap has a lower Tm, in °C.
+ * @param {Object} [options.overlapConditions] - Reaction conditions for the overlap Tms, as for meltingTemperature.
+ * @param {boolean} [options.circular=true] - Whether the product must circularize. If `false`, a product whose
+ *        ends do not overlap is returned linear.
+ * @param {number} [options.maxProducts=20] - The most alternative products to list.
+ * @param {Array<string>} [options.names] - Names for the fragments, used in warnings.
  *
- * @returns {Polynucleotide} - the assembled Polynucleotide object.
+ * @returns {{product: Polynucleotide, junctions: Array<{fragments: Array<number>, overlap: string, length: number,
+ *          tm: number, gc: number, orientation: string, belowThreshold: boolean}>, ambiguous: Array<Object>,
+ *          products: Array<Object>, warnings: Array<string>}} The
+ *          assembled Polynucleotide; its junctions in the order they occur in the product, each with the indices of
+ *          the two fragments it joins, the overlap (as it reads in the product), its length, Tm and GC fraction,
+ *          whether the fragments join as given ('forward') or one of them reverse-complemented ('reverse'), and
+ *          whether it is below the thresholds; the fragment ends that could join more than one fragment and every
+ *          product the fragments could assemble into (see analyzeGibson); and a warning for each junction below the
+ *          thresholds, each ambiguous end and any alternative products.
  *
  * @throws {Error} - if the input is not a non-empty array of Polynucleotide objects, or if the assembly does not resolve to
  *                   a single product, or if the products do not assemble correctly, or if the assembled product is
- *                   not circular and `check_circular` is set to `true`.
+ *                   not circular and `options.circular` is not `false`.
+ *
+ * @example
+ * const { product, junctions } = gibsonReport([insert, backbone], { minOverlap: 15, minOverlapTm: 48 });
  */
-function gibson(polynucleotides, check_circular = true) {
-  // console.log("polynucleotidesss inputs");
-
-  // console.log(polynucleotides.length);
-  // console.log(polynucleotides);
-
-
+function gibsonReport(polynucleotides, options = {}) {
   if (!Array.isArray(polynucleotides)) {
-    // console.log("tiggggered");
-
     polynucleotides = [polynucleotides];
   }
 
-
-
   if (polynucleotides.length === 0) {
     throw new Error("Expected non-empty array of Polynucleotide objects");
   }
 
   for (const poly of polynucleotides) {
-    // console.log("lookking for this");
-    // console.log(poly.constructor.name);
-
     if (poly.constructor.name !== "Polynucleotide") {
       throw new Error("All inputs must be Polynucleotide objects");
     }
@@ -790,43 +1127,64 @@ function gibson(polynucleotides, check_circular = true) {
     if (poly.isCircular) {
       throw new Error("All Polynucleotides must be linear for Gibson assembly");
     }
-
-    // console.log("sequence survivived");
   }
 
-  const HOMOLOGY_LENGTH = 20;
-
-  let assemblyFragments = [...polynucleotides];
+  const minOverlap = options.minOverlap === undefined || options.minOverlap === null ? 20 : options.minOverlap;
+  if (!(minOverlap >= 1)) {
+    throw new Error(`minOverlap must be at least 1, not ${minOverlap}`);
+  }
+  const minOverlapTm = options.minOverlapTm === undefined ? null : options.minOverlapTm;
+  const names = options.names || polynucleotides.map((poly, i) => `fragment ${i + 1}`);
+
+  // Each piece remembers the input fragments it is made of, in order, and which were reverse-complemented
+  let assemblyFragments = polynucleotides.map((poly, index) => ({ poly, members: [{ index, reversed: false }] }));
+  const junctions = [];
+
+  const junction = (left, right, overlap) => {
+    const tm = meltingTemperature(overlap, options.overlapConditions || {});
+    return {
+      fragments: [left.index, right.index],
+      overlap,
+      length: overlap.length,
+      tm,
+      gc: overlapGC(overlap),
+      orientation: left.reversed === right.reversed ? 'forward' : 'reverse',
+      belowThreshold: minOverlapTm !== null && tm < minOverlapTm
+    };
+  };
 
   while (assemblyFragments.length > 1) {
-    const currFrag = assemblyFragments.shift();
-    const currSeq = currFrag.sequence;
+    const curr = assemblyFragments.shift();
+    const currSeq = curr.poly.sequence;
     const currLen = currSeq.length;
-    const homologyRegion = currSeq.slice(currLen - HOMOLOGY_LENGTH);
+    const homologyRegion = currSeq.slice(currLen - minOverlap);
 
-    let matchedFrag = null;
+    let matched = null;
     let matchedHomologousRegionEndIndex = 0;
 
     for (let i = 0; i < assemblyFragments.length; i++) {
-      const tempFrag = assemblyFragments[i];
-      const tempSeq = tempFrag.sequence;
+      const temp = assemblyFragments[i];
+      const tempSeq = temp.poly.sequence;
 
       if (tempSeq.includes(homologyRegion)) {
-        matchedFrag = tempFrag;
-        matchedHomologousRegionEndIndex = tempSeq.indexOf(homologyRegion) + HOMOLOGY_LENGTH;
+        matched = temp;
+        matchedHomologousRegionEndIndex = tempSeq.indexOf(homologyRegion) + minOverlap;
         assemblyFragments.splice(i, 1);
         break;
       } else if (revcomp(tempSeq).includes(homologyRegion)) {
         const revTemp = revcomp(tempSeq);
-        matchedFrag = new Polynucleotide(revTemp, null, null, true, false, false);
-        matchedHomologousRegionEndIndex = revTemp.indexOf(homologyRegion) + HOMOLOGY_LENGTH;
+        matched = {
+          poly: new Polynucleotide(revTemp, null, null, true, false, false),
+          members: temp.members.map(member => ({ index: member.index, reversed: !member.reversed })).reverse()
+        };
+        matchedHomologousRegionEndIndex = revTemp.indexOf(homologyRegion) + minOverlap;
         assemblyFragments.splice(i, 1);
         break;
       }
     }
 
-    if (!matchedFrag) {
-      throw new Error("The provided assembly fragments cannot be joined together because there are not enough homologous regions between them");
+    if (!matched) {
+      throw new Error(`The provided assembly fragments cannot be joined together because there are not enough homologous regions between them: the end of ${names[curr.members[curr.members.length - 1].index]} overlaps no other fragment by ${minOverlap} bp`);
     }
 
     if (!/^[ATCG]+$/i.test(homologyRegion)) {
@@ -835,40 +1193,234 @@ function gibson(polynucleotides, check_circular = true) {
 
     const currHomologousRegionStartIndex = currSeq.length - matchedHomologousRegionEndIndex;
     const currHomologousRegion = currSeq.slice(currHomologousRegionStartIndex);
-    const matchedHomologousRegion = matchedFrag.sequence.slice(0, matchedHomologousRegionEndIndex);
+    const matchedHomologousRegion = matched.poly.sequence.slice(0, matchedHomologousRegionEndIndex);
 
     if (currHomologousRegion !== matchedHomologousRegion) {
       throw new Error("In a Gibson assembly step, the fragment ends do not match");
     }
 
+    junctions.push(junction(curr.members[curr.members.length - 1], matched.members[0], currHomologousRegion));
+
     const currFragRegion = currSeq.slice(0, currHomologousRegionStartIndex);
-    const matchedFragRegion = matchedFrag.sequence;
+    const matchedFragRegion = matched.poly.sequence;
 
     const assembledProduct = new Polynucleotide(
       currFragRegion + matchedFragRegion,
       null, null, true, false, false
     );
-    assemblyFragments.push(assembledProduct);
+    assemblyFragments.push({ poly: assembledProduct, members: [...curr.members, ...matched.members] });
   }
 
   // Final check for circularization
-  const linearProduct = assemblyFragments[0];
+  const { poly: linearProduct, members } = assemblyFragments[0];
   const forwardStrand = linearProduct.sequence;
-  const lastHomology = forwardStrand.slice(-HOMOLOGY_LENGTH);
+  const lastHomology = forwardStrand.slice(-minOverlap);
   const firstIndex = forwardStrand.indexOf(lastHomology);
 
-  if (firstIndex === forwardStrand.length - HOMOLOGY_LENGTH || firstIndex < 0) {
-    if (check_circular) {
+  // Junctions in the order of the fragments along the product
+  const order = members.map(member => member.index);
+  junctions.sort((a, b) => order.indexOf(a.fragments[0]) - order.indexOf(b.fragments[0]));
+
+  let product;
+  if (firstIndex === forwardStrand.length - minOverlap || firstIndex < 0) {
+    if (options.circular !== false) {
       throw new Error("Assembly product cannot be re-circularized");
-    } else {
-      return dsDNA(forwardStrand);
     }
+    product = dsDNA(forwardStrand);
+  } else {
+    const overlapLength = firstIndex + minOverlap;
+    junctions.push(junction(members[members.length - 1], members[0], forwardStrand.slice(-overlapLength)));
+    product = plasmid(forwardStrand.slice(firstIndex, forwardStrand.length - minOverlap));
   }
 
-  console.log("Gibson returning product")
+  const warnings = junctions.filter(j => j.belowThreshold).map(j =>
+    `The overlap joining ${names[j.fragments[0]]} to ${names[j.fragments[1]]} (${j.length} bp) melts at ${j.tm.toFixed(1)} °C, below the ${minOverlapTm} °C minimum`);
 
-  const circularSeq = forwardStrand.slice(firstIndex, forwardStrand.length - HOMOLOGY_LENGTH);
-  return plasmid(circularSeq);
+  // Fragments that could also join some other way may not give this product
+  const { ambiguous, products, warnings: assemblyWarnings } = analyzeGibson(polynucleotides,
+    { minOverlap, circular: product.isCircular, names, maxProducts: options.maxProducts });
+  warnings.push(...assemblyWarnings);
+
+  return { product, junctions, ambiguous, products, warnings };
+}
+
+// The longest overlap between the end of one sequence and the start of another of at least minOverlap bases
+// and shorter than either, or 0 if there is none
+function endOverlap(left, right, minOverlap) {
+  const seed = right.slice(0, minOverlap);
+  let p = left.indexOf(seed, Math.max(1, left.length - right.length + 1));
+  while (p !== -1) {
+    if (right.startsWith(left.slice(p))) return left.length - p;
+    p = left.indexOf(seed, p + 1);
+  }
+  return 0;
+}
+
+/**
+ * Finds every way a set of fragments can join by Gibson assembly, to catch designs that can assemble in
+ * an unintended order.
+ *
+ * gibson joins fragments greedily, so fragments that share a part (a promoter, terminator or linker) at
+ * their ends can assemble in an order other than the one intended without it noticing. Here the end of
+ * each fragment, in both orientations, is compared with the start of every other, and each overlap of at
+ * least `minOverlap` bases is a possible junction. A fragment end with more than one possible junction is
+ * ambiguous, and every order that joins all the fragments into one product is listed.
+ *
+ * @param {Array<Polynucleotide>} polynucleotides - The double-stranded, linear fragments.
+ * @param {Object} [options]
+ * @param {number} [options.minOverlap=20] - The shortest overlap that joins two fragments, in bases.
+ * @param {boolean} [options.circular=true] - List circular products; if `false`, list linear ones.
+ * @param {number} [options.maxProducts=20] - Stop listing products after this many.
+ * @param {Array<string>} [options.names] - Names for the fragments, used in warnings.
+ * @returns {{overlaps: Array<{from: {fragment: number, orientation: string}, to: {fragment: number, orientation: string},
+ *          length: number, overlap: string}>, ambiguous: Array<{end: {fragment: number, orientation: string},
+ *          overlaps: Array<Object>}>, products: Array<{product: Polynucleotide, order: Array<{fragment: number,
+ *          orientation: string}>}>, truncated: boolean, warnings: Array<string>}} Every possible junction, joining
+ *          the end of `from` to the start of `to`, each fragment 'forward' as given or 'reverse'-complemented (a
+ *          junction read from the other strand is listed once); the fragment ends that can join more than one
+ *          fragment, with their junctions; the products, with the order and orientation of their fragments;
+ *          whether the products were cut off at maxProducts; and warnings about ambiguous ends and alternative
+ *          products.
+ * @throws {Error} If a fragment is not a double-stranded, linear Polynucleotide.
+ *
+ * @example
+ * const { ambiguous, products } = analyzeGibson([promoterA, cds, promoterB, backbone]);
+ */
+function analyzeGibson(polynucleotides, options = {}) {
+  if (!Array.isArray(polynucleotides)) {
+    polynucleotides = [polynucleotides];
+  }
+  if (polynucleotides.length === 0) {
+    throw new Error("Expected non-empty array of Polynucleotide objects");
+  }
+  for (const poly of polynucleotides) {
+    if (poly.constructor.name !== "Polynucleotide" || !poly.isDoubleStranded || poly.isCircular) {
+      throw new Error("Gibson fragments must be double-stranded, linear Polynucleotide objects");
+    }
+  }
+  const minOverlap = options.minOverlap === undefined || options.minOverlap === null ? 20 : options.minOverlap;
+  if (!(minOverlap >= 1)) {
+    throw new Error(`minOverlap must be at least 1, not ${minOverlap}`);
+  }
+  const maxProducts = options.maxProducts === undefined ? 20 : options.maxProducts;
+  const names = options.names || polynucleotides.map((poly, i) => `fragment ${i + 1}`);
+  const count = polynucleotides.length;
+
+  // Each fragment in each orientation (fragment i as given is node 2i, reverse-complemented 2i + 1), and the
+  // junctions from its end to the start of another
+  const nodes = [];
+  polynucleotides.forEach((poly, fragment) => {
+    const seq = poly.sequence.toUpperCase();
+    nodes.push({ fragment, orientation: 'forward', seq });
+    nodes.push({ fragment, orientation: 'reverse', seq: revcomp(seq) });
+  });
+  const edges = nodes.map(() => []);
+  nodes.forEach((from, a) => {
+    nodes.forEach((to, b) => {
+      // A fragment joins itself only to circularize on its own
+      if (from.fragment === to.fragment && (count > 1 || from.orientation !== to.orientation)) return;
+      const length = endOverlap(from.seq, to.seq, minOverlap);
+      if (length) edges[a].push({ to: b, length });
+    });
+  });
+
+  const end = (node) => ({ fragment: nodes[node].fragment, orientation: nodes[node].orientation });
+  const describe = (node) => names[nodes[node].fragment] + (nodes[node].orientation === 'reverse' ? ' (reverse-complemented)' : '');
+  const junction = (a, edge) => ({ from: end(a), to: end(edge.to), length: edge.length, overlap: nodes[edge.to].seq.slice(0, edge.length) });
+
+  // A junction read from the other strand joins the reverse of `to` to the reverse of `from`; list it once
+  const overlaps = [];
+  const seen = new Set();
+  edges.forEach((list, a) => list.forEach(edge => {
+    const mirror = `${edge.to ^ 1}>${a ^ 1}`;
+    if (seen.has(mirror)) return;
+    seen.add(`${a}>${edge.to}`);
+    overlaps.push(junction(a, edge));
+  }));
+
+  const ambiguous = [];
+  const warnings = [];
+  edges.forEach((list, a) => {
+    if (list.length < 2) return;
+    ambiguous.push({ end: end(a), overlaps: list.map(edge => junction(a, edge)) });
+    warnings.push(`The end of ${describe(a)} can join ${list.map(edge => `${describe(edge.to)} (${edge.length} bp)`).join(', ')}`);
+  });
+
+  // Every order of the fragments that joins them all, each fragment used once. Circular products start
+  // from the first fragment as given, so each is found once.
+  const circular = options.circular !== false;
+  const orders = [];
+  let truncated = false;
+  const used = new Array(count).fill(false);
+  const path = [];
+  const extend = (node) => {
+    if (truncated) return;
+    if (path.length === count) {
+      const close = edges[node].find(edge => edge.to === path[0].node);
+      if (circular && !close) return;
+      if (!circular) {
+        // Of a linear product and its reverse, keep the one with fewer fragments reverse-complemented
+        const reversed = path.filter(step => step.node % 2).length;
+        if (reversed > count - reversed || (reversed === count - reversed && path[0].node > (path[count - 1].node ^ 1))) return;
+      }
+      if (orders.length >= maxProducts) {
+        truncated = true;
+        return;
+      }
+      orders.push({ steps: [...path], close: circular ? close : null });
+      return;
+    }
+    for (const edge of edges[node]) {
+      const fragment = nodes[edge.to].fragment;
+      if (used[fragment]) continue;
+      used[fragment] = true;
+      path.push({ node: edge.to, length: edge.length });
+      extend(edge.to);
+      path.pop();
+      used[fragment] = false;
+    }
+  };
+  const starts = circular ? [0] : nodes.map((node, i) => i);
+  for (const start of starts) {
+    used[nodes[start].fragment] = true;
+    path.push({ node: start, length: 0 });
+    extend(start);
+    path.pop();
+    used[nodes[start].fragment] = false;
+  }
+
+  const products = orders.map(({ steps, close }) => {
+    const seq = steps.map((step, i) => nodes[step.node].seq.slice(i === 0 && close ? close.length : step.length)).join('');
+    return { product: circular ? plasmid(seq) : dsDNA(seq), order: steps.map(step => end(step.node)) };
+  });
+  if (products.length > 1) {
+    const orderText = ({ steps }) => steps.map(step => describe(step.node)).join(' + ');
+    warnings.push(`The fragments can assemble into ${truncated ? 'more than ' : ''}${products.length} different products: ${orders.map(orderText).join('; ')}`);
+  }
+
+  return { overlaps, ambiguous, products, truncated, warnings };
+}
+
+/**
+ * Assembles DNA Polynucleotide objects using the Gibson assembly method.
+ * It is also the default algorithm for 'assemble' function.
+ * It is also appropriate for SOEing and yeast assembly predictions.
+ *
+ * @param {Array<Polynucleotide>} polynucleotides - Array of double-stranded, linear Polynucleotide objects to be assembled.
+ * @param {Object|boolean} [options] - Overlap settings, as for gibsonReport. For compatibility, a boolean is read as
+ *                                     `options.circular`: whether to check if the assembled product is circular.
+ *                                     If set to `false`, the function will not check if the product is circular and
+ *                                     will return a linear product. Defaults to `true`.
+ *
+ * @returns {Polynucleotide} - the assembled Polynucleotide object.
+ *
+ * @throws {Error} - as for gibsonReport.
+ */
+function gibson(polynucleotides, options = {}) {
+  if (typeof options === 'boolean') {
+    options = { circular: options };
+  }
+  return gibsonReport(polynucleotides, options).product;
 }
 
 /**
@@ -877,8 +1429,12 @@ function gibson(polynucleotides, check_circular = true) {
  * @function
  * @param {string} polyjson - The JSON string representation of the input polynucleotide.
  * @param {string} enz - The name of the restriction enzyme to be used for the cut.
+ * @param {number} [occurrence] - Which of the enzyme's sites to cut, counted from zero in order of position along the
+ *        sequence (as listed by findCutSites). If omitted, the first site found on the top strand is cut, or failing
+ *        that the first on the bottom strand.
  * @return {string} The JSON string representation of the resulting polynucleotide fragments after the cut.
- * @throws Will return null if the recognition sequence for the specified enzyme is not found in the input polynucleotide.
+ * @throws Will return null if the recognition sequence for the specified enzyme is not found in the input polynucleotide,
+ *         or if it has no site numbered `occurrence`.
  * @example
  * const inputPoly = '{"sequence":"GGACCGGATCCGAGAACCTCATGATCGTGGACAACCCCAA","ext5":"GGACC","ext3":"CCCAA","isDoubleStranded":true,"isRNA":false,"isCircular":false,"mod_ext3":null,"mod_ext5":null}';
  * const enzyme = "BamHI";
@@ -886,170 +1442,534 @@ function gibson(polynucleotides, check_circular = true) {
  * console.log(result); // Output: [{"sequence":"GGACCGGATCCGAGAACCTCATGATCGTGGACAACCCCAA","ext5":"GGACC","ext3":"GATC","isDoubleStranded":true,"isRNA":false,"isCircular":false,"mod_ext3":null,"mod_ext5":null}]
  * @customfunction
  */
-function cutOnce(polyjson, enz) {
-	let output;
+function cutOnce(polyjson, enz, occurrence) {
 	const poly = polyjson;
+	const cuts = findCutSites(poly, [enz]);
 
-	const seq = poly.sequence;
-	const enzData = simRestrictionEnzymes[enz];
-	const recognitionSeq = enzData.recognitionSequence;
-	const recognitionSeqRC = enzData.recognitionRC;
-	const cut5 = enzData.cut5;
-	const cut3 = enzData.cut3;
-
-	const index = seq.indexOf(recognitionSeq);
-	const indexRC = seq.indexOf(recognitionSeqRC);
-
-	if (index === -1 && indexRC === -1) {
+	// Without an occurrence, prefer the first site on the coding strand
+	const cut = occurrence !== undefined
+		? cuts[occurrence]
+		: cuts.find(c => c.strand === 1) || cuts[0];
+	if (!cut) {
 		return null;
 	}
 
-	const foundOnCodingStrand = index !== -1;
-	const isFivePrime = enzData.isFivePrime;
-	let ssRegionStart;
-	let ssRegionEnd;
-
-	if (foundOnCodingStrand) {
-		if (isFivePrime) {
-			ssRegionStart = index + recognitionSeq.length + cut5;
-			ssRegionEnd = index + recognitionSeq.length + cut3;
-		} else {
-			ssRegionStart = index + recognitionSeq.length + cut3;
-			ssRegionEnd = index + recognitionSeq.length + cut5;
-		}
-	} else {
-		if (isFivePrime) {
-			ssRegionStart = indexRC - cut3;
-			ssRegionEnd = indexRC - cut5;
-		} else {
-			ssRegionStart = indexRC - cut5;
-			ssRegionEnd = indexRC - cut3;
-		}
+	const len = poly.sequence.length;
+	if (poly.isCircular) {
+		return [cutFragment(poly, cut, cut, cut.end, cut.start + len).polynucleotide];
 	}
+	return [cutFragment(poly, null, cut, 0, cut.start).polynucleotide, cutFragment(poly, cut, null, cut.end, len).polynucleotide];
+}
 
-	let stickyEnd = "";
-	if (!isFivePrime) {
-		stickyEnd += '-';
-	}
-	stickyEnd += seq.substring(ssRegionStart, ssRegionEnd);
+// Reads the bases between two coordinates of a circular sequence; `to` may run past the origin
+function circularSlice(seq, from, to) {
+  const len = seq.length;
+  let out = '';
+  for (let i = from; i < to; i++) {
+    out += seq[((i % len) + len) % len];
+  }
+  return out;
+}
 
-	if (poly.isCircular) {
-		const linearSeq = seq.substring(ssRegionEnd) + seq.substring(0, ssRegionStart);
-		const linearPoly = new Polynucleotide(
-			linearSeq,
-			stickyEnd,
-			stickyEnd,
-			poly.isDoubleStranded,
-			poly.isRNA,
-			false,
-			"phos5",
-			"phos5"
-		);
-		output = [linearPoly];
-	} else {
-		const leftPoly = new Polynucleotide(
-			seq.substring(0, ssRegionStart),
-			poly.ext5,
-			stickyEnd,
-			poly.isDoubleStranded,
-			poly.isRNA,
-			false,
-			poly.mod_ext5,
-			"phos5"
-		);
-
-		const rightPoly = new Polynucleotide(
-			seq.substring(ssRegionEnd),
-			stickyEnd,
-			poly.ext3,
-			poly.isDoubleStranded,
-			poly.isRNA,
-			false,
-			"phos5",
-			poly.mod_ext3
-		);
-
-		output = [leftPoly, rightPoly];
-	}
+/**
+ * Builds the fragment of `seq` lying between two cuts from findCutSites, with its coordinates.
+ * A missing cut stands for an end of the original molecule. On circular DNA, `to` may run past the
+ * origin (up to one full turn further).
+ */
+function cutFragment(seq, left, right, from, to) {
+  const len = seq.sequence.length;
+  const sequence = seq.isCircular ? circularSlice(seq.sequence, from, to) : seq.sequence.substring(from, to);
+  const polynucleotide = new Polynucleotide(
+    sequence,
+    left ? left.stickyEnd : seq.ext5,
+    right ? right.stickyEnd : seq.ext3,
+    seq.isDoubleStranded,
+    seq.isRNA,
+    false,
+    left ? "phos5" : seq.mod_ext5,
+    right ? "phos5" : seq.mod_ext3,
+    seq.methylation
+  );
+  return {
+    polynucleotide,
+    start: from % len,
+    end: to === len ? len : to % len,
+    length: sequence.length,
+    leftEnzyme: left ? left.enzyme : null,
+    rightEnzyme: right ? right.enzyme : null,
+    stickyEnd5: polynucleotide.ext5,
+    stickyEnd3: polynucleotide.ext3,
+    wraps: to > len
+  };
+}
+
+/**
+ * Finds every place the given restriction enzymes cut a DNA, on both strands.
+ *
+ * Each cut is described by the single-stranded region it leaves between the top-strand and bottom-strand
+ * nicks, in top-strand coordinates. On circular DNA, sites that span the origin are found too and cut
+ * coordinates are taken modulo the length. On linear DNA, a site whose cut would fall beyond the end of
+ * the molecule does not cut.
+ *
+ * Where the DNA holds degenerate bases, only sites the enzyme cuts whatever those bases are count as cuts.
+ * Sites it might cut can be asked for separately; they are flagged `possible: true`.
+ *
+ * Sites blocked by the DNA's methylation (see Polynucleotide `methylation`) are not cut, nor are sites of
+ * enzymes that need a methylation the DNA lacks, such as DpnI. They can be asked for too, flagged with
+ * `blocked: {system, sensitivity, motif, position}`. Sites that are cut but impaired by methylation carry `impaired`.
+ *
+ * @param {Polynucleotide} poly - The DNA to scan.
+ * @param {Array<string>} enzymes - Names of enzymes in the enzyme table.
+ * @param {Object} [options]
+ * @param {boolean} [options.possible=false] - Also return the sites that may be cut, depending on degenerate bases.
+ * @param {boolean} [options.blocked=false] - Also return the sites that methylation keeps from being cut.
+ * @param {Array<string>} [options.methylation] - Methylation systems to assume instead of the DNA's own.
+ * @returns {Array<Object>} The cuts, sorted by position, as `{enzyme, site, strand, start, end, stickyEnd}`:
+ *          `site` is the index of the recognition sequence, `strand` is 1 if it was found on the top strand
+ *          and -1 if on the bottom, `start` and `end` bound the single-stranded region (equal for a blunt cut)
+ *          and `stickyEnd` is that region written as an ext5/ext3 value (prefixed with '-' for a 3' overhang).
+ * @throws {Error} If an enzyme is not in the enzyme table.
+ */
+function findCutSites(poly, enzymes, options = {}) {
+  const seq = poly.sequence.toUpperCase();
+  const len = seq.length;
+  const methylation = options.methylation || poly.methylation || [];
+  const cuts = [];
+
+  for (const name of enzymes) {
+    const enzyme = getEnzyme(name);
+    if (!enzyme) {
+      throw new Error(`Enzyme "${name}" not found.`);
+    }
+    const site = enzyme.recognitionSequence;
+    const L = site.length;
+    const near = Math.min(enzyme.cut5, enzyme.cut3);
+    const far = Math.max(enzyme.cut5, enzyme.cut3);
+    // On a circle, look for sites that run across the origin as well
+    const searchable = poly.isCircular ? seq + seq.slice(0, L - 1) : seq;
+
+    for (const { index, strand, possible } of findSites(searchable, name, options)) {
+      if (index < len) {
+        let start = strand === 1 ? index + L + near : index - far;
+        let end = strand === 1 ? index + L + far : index - near;
+        if (poly.isCircular) {
+          const shift = Math.floor(start / len) * len;
+          start -= shift;
+          end -= shift;
+        }
+        if (poly.isCircular || (start >= 0 && end <= len)) {
+          const overhang = poly.isCircular ? circularSlice(poly.sequence, start, end) : poly.sequence.substring(start, end);
+          const stickyEnd = overhang && !enzyme.isFivePrime ? '-' + overhang : overhang;
+          const cut = { enzyme: name, site: index, strand, start, end, stickyEnd };
+          if (possible) cut.possible = true;
+          const effects = siteMethylation(poly.sequence, name, index, methylation, { circular: poly.isCircular });
+          const blocked = effects.find(e => (e.sensitivity === 'blocked' && e.methylated) || (e.sensitivity === 'required' && !e.methylated));
+          const impaired = effects.find(e => e.methylated && e.sensitivity === 'impaired');
+          if (blocked) {
+            if (!options.blocked) continue;
+            cut.blocked = { system: blocked.system, sensitivity: blocked.sensitivity, motif: blocked.motif, position: blocked.position };
+          }
+          if (impaired) cut.impaired = { system: impaired.system, motif: impaired.motif, position: impaired.position };
+          cuts.push(cut);
+        }
+      }
+    }
+  }
 
-	return output;
+  // The same cut can be reached from two names for one enzyme; keep it once
+  const unique = [];
+  for (const cut of cuts.sort((a, b) => a.start - b.start || a.end - b.end)) {
+    const last = unique[unique.length - 1];
+    if (last && last.start === cut.start && last.end === cut.end) continue;
+    unique.push(cut);
+  }
+  return unique;
 }
 
 /**
- * Performs a restriction digest to completion on a given DNA Polynucleotide using specified enzymes, and returns a specific fragment.
- * @function
- * @param {Polynucleotide} seq - A Polynucleotide object representing the DNA to digest.
- * @param {string} enzymes - A string containing the names of the restriction enzymes, separated by non-alphanumeric characters (e.g., 'EcoRI,BamHI').
- * @param {number} fragselect - The index of the desired fragment to be returned after digestion. The fragments are arranged left to right from the original sequence numbered 0 to n.
- * @returns {Polynucleotide} The Polynucleotide object of the selected fragment.
- * @throws {Error} If the input is not a Polynucleotide object, enzymes are not found, or fragselect is invalid.
+ * Performs a restriction digest to completion and returns every fragment with its coordinates.
+ *
+ * Fragments of linear DNA are listed left to right. Fragments of circular DNA are listed by position too,
+ * except that the fragment spanning the origin comes first, so the list matches the fragselect numbering
+ * of digest. DNA with no sites gives a single fragment: the input itself.
+ *
+ * @param {Polynucleotide} seq - The DNA to digest.
+ * @param {Array<string>} enzymes - Names of the restriction enzymes.
+ * @returns {Array<Object>} The fragments, each
+ *          `{polynucleotide, start, end, length, leftEnzyme, rightEnzyme, stickyEnd5, stickyEnd3, wraps}`.
+ *          `start` and `end` bound the fragment's double-stranded sequence on the parent's top strand
+ *          (for the fragment spanning the origin of a circle `wraps` is true and `end` is below `start`).
+ *          `length` counts those double-stranded bases. `leftEnzyme` and `rightEnzyme` name the enzyme that
+ *          made each end, or are null for an end of the original molecule. `stickyEnd5` and `stickyEnd3` are
+ *          the fragment's ext5 and ext3.
+ * @throws {Error} If the input is not a Polynucleotide, an enzyme is not found, or two cuts overlap.
+ *
+ * @example
+ * digestAll(plasmid(seq), ["EcoRI", "BamHI"]).map(f => `${f.leftEnzyme}-${f.rightEnzyme}: ${f.length} bp`);
  */
-function digest(seq, enzymes, fragselect) {
-  // Check input is a Polynucleotide object
+function digestAll(seq, enzymes) {
   if (typeof seq !== 'object' || typeof seq.sequence !== 'string') {
     throw new Error('Input to digest must be a Polynucleotide object');
   }
+  const cuts = findCutSites(seq, enzymes);
+  const len = seq.sequence.length;
+
+  if (cuts.length === 0) {
+    return [{
+      polynucleotide: seq, start: 0, end: len, length: len, leftEnzyme: null, rightEnzyme: null,
+      stickyEnd5: seq.ext5, stickyEnd3: seq.ext3, wraps: false
+    }];
+  }
 
-  // Tokenize the enzymes list and confirm they are recognizable
-  const enzList = enzymes;
+  // Cuts too close together leave no double-stranded DNA between them
+  const pairs = cuts.slice(1).map((cut, i) => [cuts[i], cut]);
+  if (seq.isCircular) {
+    pairs.push([cuts[cuts.length - 1], { ...cuts[0], start: cuts[0].start + len, end: cuts[0].end + len }]);
+  }
+  for (const [left, right] of pairs) {
+    if (right.start < left.end || (seq.isCircular && cuts.length > 1 && right.start === left.start)) {
+      throw new Error(`Cut sites of ${left.enzyme} and ${right.enzyme} overlap at position ${left.start}`);
+    }
+  }
+
+  const fragment = (left, right, from, to) => cutFragment(seq, left, right, from, to);
 
-  for (let i = 0; i < enzList.length; i++) {
-    const enzymeData = simRestrictionEnzymes[enzList[i]];
-    if (!enzymeData) {
-      throw new Error(`Enzyme "${enzList[i]}" not found.`);
+  const last = cuts[cuts.length - 1];
+  const fragments = pairs.slice(0, cuts.length - 1).map(([left, right]) => fragment(left, right, left.end, right.start));
+  if (!seq.isCircular) {
+    return [fragment(null, cuts[0], 0, cuts[0].start), ...fragments, fragment(last, null, last.end, len)];
+  }
+  // The fragment closing the circle leads unless a cut falls exactly on the origin
+  const closing = fragment(last, cuts[0], last.end, cuts[0].start + len);
+  return closing.wraps ? [closing, ...fragments] : [...fragments, closing];
+}
+
+/**
+ * Predicts the products of a partial restriction digest, where each site is cut only some of the time.
+ *
+ * Every product of cutting any subset of the sites is listed once: the pieces between two cut sites with
+ * all the sites in between left uncut, plus (for circular DNA) the molecule opened at a single site and the
+ * uncut molecule itself. Sites are taken to be cut independently, so the expected number of copies of each
+ * product per input molecule follows from the cut probabilities. For example, a piece flanked by two cut
+ * sites with one uncut site between them has frequency p * p * (1 - p).
+ *
+ * @param {Polynucleotide} seq - The DNA to digest.
+ * @param {Array<string>} enzymes - Names of the restriction enzymes.
+ * @param {Object} [options]
+ * @param {number|Object<string, number>} [options.probability=0.5] - The chance each site is cut, either one value
+ *        for all enzymes or a value per enzyme name (enzymes not listed cut to completion).
+ * @returns {Array<Object>} The products, most abundant first. Each has the fields of a digestAll fragment plus
+ *          `uncutSites` (sites inside the product left uncut), `frequency` (expected copies per input molecule),
+ *          `massFraction` (share of the total DNA mass) and `complete` (whether a complete digest also makes it).
+ *          The uncut input is included with `leftEnzyme` and `rightEnzyme` null.
+ * @throws {Error} If an enzyme is not found or a probability is not between 0 and 1.
+ *
+ * @example
+ * // Which pieces of a large plasmid does a light EcoRI digest give, and how much of each?
+ * partialDigest(plasmid(seq), ["EcoRI"], { probability: 0.3 }).map(p => [p.length, p.frequency]);
+ */
+function partialDigest(seq, enzymes, options = {}) {
+  if (typeof seq !== 'object' || typeof seq.sequence !== 'string') {
+    throw new Error('Input to digest must be a Polynucleotide object');
+  }
+  const probability = options.probability === undefined ? 0.5 : options.probability;
+  const cutChance = (enzyme) => {
+    const p = typeof probability === 'number' ? probability
+            : (probability.hasOwnProperty(enzyme) ? probability[enzyme] : 1);
+    if (typeof p !== 'number' || p < 0 || p > 1) {
+      throw new Error(`Cut probability for ${enzyme} must be between 0 and 1`);
+    }
+    return p;
+  };
+
+  const cuts = findCutSites(seq, enzymes);
+  const chances = cuts.map(cut => cutChance(cut.enzyme));
+  const n = cuts.length;
+  const len = seq.sequence.length;
+  const products = [];
+
+  // Chance that the sites strictly between positions i and j of the cut list all stay uncut
+  const uncutBetween = (i, j) => {
+    let chance = 1;
+    for (let k = i + 1; k < j; k++) chance *= 1 - chances[k % n];
+    return chance;
+  };
+
+  const add = (fragment, uncutSites, frequency) => {
+    if (frequency > 0) products.push({ ...fragment, uncutSites, frequency });
+  };
+
+  if (seq.isCircular) {
+    add({ ...cutFragment(seq, null, null, 0, len), polynucleotide: seq }, n, uncutBetween(-1, n));
+    for (let i = 0; i < n; i++) {
+      const cut = cuts[i];
+      add(cutFragment(seq, cut, cut, cut.end, cut.start + len), n - 1, chances[i] * uncutBetween(i, i + n));
+      for (let j = i + 1; j < i + n; j++) {
+        const right = cuts[j % n];
+        const to = right.start + (j >= n ? len : 0);
+        if (to < cut.end) continue;
+        add(cutFragment(seq, cut, right, cut.end, to), j - i - 1, chances[i] * chances[j % n] * uncutBetween(i, j));
+      }
+    }
+  } else {
+    // The ends of the molecule act as sites that are always cut
+    const bounds = [null, ...cuts, null];
+    const boundChance = [1, ...chances, 1];
+    for (let i = 0; i < bounds.length; i++) {
+      for (let j = i + 1; j < bounds.length; j++) {
+        const from = bounds[i] ? bounds[i].end : 0;
+        const to = bounds[j] ? bounds[j].start : len;
+        if (to < from) continue;
+        add(cutFragment(seq, bounds[i], bounds[j], from, to), j - i - 1,
+          boundChance[i] * boundChance[j] * uncutBetween(i - 1, j - 1));
+      }
     }
   }
 
-  let fragsOut = [seq];
+  const totalMass = products.reduce((sum, p) => sum + p.frequency * p.length, 0);
+  products.forEach(p => {
+    p.massFraction = totalMass > 0 ? p.frequency * p.length / totalMass : 0;
+    p.complete = p.uncutSites === 0;
+  });
+  return products.sort((a, b) => b.frequency - a.frequency || a.start - b.start);
+}
 
-  outer: while (true) {
-    const worklist = [...fragsOut];
-    fragsOut = [];
-    for (let i = 0; i < worklist.length; i++) {
-      let poly = worklist[i];
-      let foundCut = false;
-      for (let enz of enzList) {
-        const frags = cutOnce(poly, enz);
-        if (frags) {
-          fragsOut = [...fragsOut, ...frags];
-          foundCut = true;
-          continue outer;
-        }
+// Strains missing from the strain registry are assumed to be dam+ dcm+, like most E. coli K-12 strains
+const defaultMethylation = ["dam", "dcm"];
+
+// The T7 promoter, which is only transcribed by T7 RNA polymerase
+const t7Promoter = "TAATACGACTCACTATAG";
+
+// Finds a direct repeat at least `minLength` long in a circular sequence, which recA+ strains can recombine
+function findDirectRepeat(sequence, minLength = 100) {
+  const seq = sequence.toUpperCase();
+  if (seq.length < 2 * minLength) return null;
+  const searchable = seq + seq.slice(0, minLength - 1);
+  const seen = new Map();
+  for (let i = 0; i < seq.length; i++) {
+    const kmer = searchable.substr(i, minLength);
+    if (seen.has(kmer) && i - seen.get(kmer) >= minLength) {
+      return { first: seen.get(kmer), second: i };
+    }
+    if (!seen.has(kmer)) seen.set(kmer, i);
+  }
+  return null;
+}
+
+// Names of the genes (CDS features) that confer resistance to each selectable antibiotic
+const resistanceMarkers = {
+  amp: /\b(AmpR|bla|CarbR)\b|beta.?lactamase/i,
+  kan: /\b(KanR|KmR|nptII|neoR?)\b|\baph\(3'\)/i,
+  cam: /\b(CamR|CmR|CatR?)\b|chloramphenicol acetyltransferase/i,
+  spec: /\b(SpecR|SpcR|SmR|aadA\d*)\b/i,
+  gen: /\b(GentR|GenR|GmR|aacC1)\b|gentamicin acetyltransferase/i
+};
+
+// Origins of replication by feature name, most specific first. `maxTemperature` marks temperature-sensitive
+// replicons, and `requires` names a host factor the origin cannot replicate without.
+const replicationOrigins = [
+  { name: 'f1', pattern: /\bf1\b|M13 ori/i, phage: true },
+  { name: 'pSC101ts', pattern: /pSC101.?ts|repA.?ts|repA101/i, maxTemperature: 30 },
+  { name: 'pWV01ts', pattern: /pWV01.?ts|pGhost/i, maxTemperature: 30 },
+  { name: 'R6K', pattern: /R6K|ori.?gamma/i, requires: 'pir' },
+  { name: 'pSC101', pattern: /pSC101/i },
+  { name: 'p15A', pattern: /p15A/i },
+  { name: 'BBR1', pattern: /BBR1/i },
+  { name: 'RK2', pattern: /RK2|oriV/i },
+  { name: 'RSF1010', pattern: /RSF1010/i },
+  { name: 'ColE1', pattern: /colE1|pUC|pMB1|pBR322|\bori\b/i }
+];
+
+// Finds the features of a database (in the annotator's `{Name, Sequence, Type}` format) in a plasmid, including
+// features that run across the origin. As in the annotator, patterns shorter than 10 bases are ignored.
+function annotatePlasmid(dna, features) {
+  const found = [];
+  for (const feature of features) {
+    const pattern = feature.Sequence ? cleanup(feature.Sequence) : '';
+    if (pattern.length < 10 || pattern.length > dna.sequence.length) continue;
+    for (const { index, strand } of findIUPAC(dna.sequence, pattern, { circular: dna.isCircular })) {
+      found.push({ start: index, end: index + pattern.length, strand, label: feature.Name, type: feature.Type });
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Simulates transforming a plasmid into a bacterial strain and selecting transformants, reporting what
+ * would keep the clone from being obtained.
+ *
+ * The DNA must be a circular, double-stranded plasmid. Given a feature database to annotate it with, the
+ * plasmid must also carry a resistance marker for the selecting antibiotic (a CDS feature named for its
+ * gene, such as AmpR, bla or KanR) and an origin of replication that works in the strain; temperature-sensitive
+ * origins grown above their permissive temperature are flagged. The plasmid in the clone carries the strain's dam/dcm methylation.
+ * In a Construction File, a step that uses the clone (and so preps its plasmid) warns if the strain is endA+.
+ *
+ * @param {Polynucleotide} dna - The DNA to transform.
+ * @param {Object} [conditions]
+ * @param {string} [conditions.strain] - The host strain, e.g. 'Mach1'.
+ * @param {string} [conditions.antibiotics] - The antibiotic selected on: 'amp', 'kan', 'cam', 'spec' or 'gen'.
+ * @param {number} [conditions.temperature=37] - The growth temperature, in °C.
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.features] - Features to annotate the plasmid with, in the annotator's format
+ *        (`{Name, Sequence, Type}`), e.g. the annotator's loaded `featureDbGlobal`. Without them the marker and
+ *        origin are not checked.
+ * @returns {{product: Clone, warnings: Array<string>}} The clone and any non-fatal problems.
+ * @throws {Error} If the DNA cannot be maintained, the plasmid has no marker for the antibiotic, or it has
+ *         no origin that replicates in the strain.
+ */
+function transformReport(dna, conditions = {}, options = {}) {
+  const { strain = null, antibiotics = null } = conditions;
+  const temperature = conditions.temperature === undefined || conditions.temperature === null ? 37 : conditions.temperature;
+  const warnings = [];
+
+  if (!dna.isDoubleStranded) {
+    throw new Error("Cannot transform single-stranded DNA: only a double-stranded plasmid is maintained");
+  }
+  if (!dna.isCircular) {
+    throw new Error("Cannot transform linear DNA: it is not maintained as a plasmid. Circularize it first (e.g. by Ligate or Gibson)");
+  }
+
+  const host = strain ? getStrain(strain) : null;
+  if (strain && !host) {
+    warnings.push(`Strain ${strain} is not in the strain registry, so its genotype was not checked; it is assumed to be dam+ dcm+`);
+  }
+  const methylation = host ? strainMethylation(strain) : defaultMethylation;
+  // DNA isolated from the strain carries its methylation, which later digests see
+  const plasmid = new Polynucleotide(dna.sequence, dna.ext5, dna.ext3, dna.isDoubleStranded, dna.isRNA,
+    dna.isCircular, dna.mod_ext5, dna.mod_ext3, methylation);
+
+  const markers = [];
+  const origins = [];
+  let annotated = [];
+  if (!options.features) {
+    warnings.push("No feature database was given, so the resistance marker and origin of replication were not checked");
+  } else {
+    annotated = annotatePlasmid(dna, options.features);
+    for (const feature of annotated) {
+      const label = feature.label || '';
+      const isGene = String(feature.type || '').toLowerCase() === 'cds';
+      for (const antibiotic in resistanceMarkers) {
+        if (isGene && resistanceMarkers[antibiotic].test(label)) markers.push({ label, antibiotic });
       }
-      if (!foundCut) {
-        fragsOut.push(poly);
+      const origin = replicationOrigins.find(o => o.pattern.test(label));
+      if (origin && !origin.phage) origins.push({ label, ...origin });
+    }
+
+    if (antibiotics && !markers.some(marker => marker.antibiotic === antibiotics)) {
+      const carried = [...new Set(markers.map(marker => marker.antibiotic))];
+      throw new Error(`The plasmid has no ${antibiotics} resistance marker, so no transformants survive selection` +
+        (carried.length ? ` (it confers resistance to ${carried.join(', ')})` : ''));
+    }
+    if (origins.length === 0) {
+      throw new Error("The plasmid has no annotated origin of replication, so it is not maintained");
+    }
+    const working = origins.filter(origin => origin.requires !== 'pir' || !host || host.pir);
+    if (working.length === 0) {
+      throw new Error(`The ${origins.map(o => o.name).join(', ')} origin needs the pir gene, which ${strain || 'the strain'} lacks`);
+    }
+    for (const origin of working) {
+      if (origin.maxTemperature !== undefined && temperature > origin.maxTemperature) {
+        warnings.push(`The ${origin.name} origin is temperature-sensitive and does not replicate above ${origin.maxTemperature} °C; ` +
+          `at ${temperature} °C the plasmid is lost unless it integrates`);
       }
     }
-    break;
+  }
+  if (!antibiotics) {
+    warnings.push("No antibiotic was given, so cells that did not take up the plasmid are not selected against");
+  }
+
+  if (host) {
+    const ccdB = annotated.find(feature => /ccdB/i.test(feature.label || ''));
+    if (ccdB && !host.ccdBResistant) {
+      warnings.push(`The plasmid carries ${ccdB.label}, which kills ${host.name}; propagate ccdB plasmids in a resistant strain such as DB3.1`);
+    }
+    if (findIUPAC(dna.sequence, t7Promoter, { circular: true }).length > 0 && !host.t7Polymerase) {
+      warnings.push(`The plasmid has a T7 promoter, but ${host.name} has no T7 RNA polymerase, so T7-driven genes are not expressed; use a (DE3) strain to express them`);
+    }
+    const repeat = host.recA ? findDirectRepeat(dna.sequence) : null;
+    if (repeat) {
+      warnings.push(`${host.name} is recA+, and the plasmid repeats the sequence at ${repeat.first} at ${repeat.second}; the repeats can recombine and delete the DNA between them`);
+    }
+  }
+
+  const clone = new Clone(plasmid, strain, antibiotics, temperature,
+    [...new Set(markers.map(marker => marker.label))], [...new Set(origins.map(origin => origin.name))]);
+  return { product: clone, warnings };
+}
+
+/**
+ * Simulates transforming a plasmid into a bacterial strain. See transformReport for the checks made.
+ *
+ * @param {Polynucleotide} dna - The DNA to transform.
+ * @param {Object} [conditions] - `{strain, antibiotics, temperature}`, as for transformReport.
+ * @param {Object} [options] - `{features}`, as for transformReport.
+ * @returns {Clone} The clone.
+ * @throws {Error} If the clone cannot be obtained.
+ */
+function transform(dna, conditions = {}, options = {}) {
+  return transformReport(dna, conditions, options).product;
+}
+
+/**
+ * Performs a restriction digest like digest, and also reports the sites that were not cut and why: sites blocked
+ * by the DNA's methylation (or lacking a methylation the enzyme needs), and sites that may or may not be cut
+ * because the sequence is degenerate there. Sites that are cut but impaired by methylation are reported too.
+ *
+ * @param {Polynucleotide} seq - The DNA to digest.
+ * @param {Array<string>} enzymes - Names of the enzymes.
+ * @param {number|string} fragselect - As for digest.
+ * @returns {{product: Polynucleotide|Array<Polynucleotide>, blocked: Array<Object>, warnings: Array<string>}} The
+ *          selected fragment(s), the blocked sites as returned by findCutSites, and a message for each site of note.
+ * @throws {Error} As digest.
+ *
+ * @example
+ * // A plasmid from a dam+ strain, with an XbaI site overlapping GATC
+ * const { warnings } = digestReport(pUC, ["XbaI"], 'all');
+ * // ["XbaI site at 410 is blocked by dam methylation (GATC at 414)"]
+ */
+function digestReport(seq, enzymes, fragselect) {
+  const product = digest(seq, enzymes, fragselect);
+  const sites = findCutSites(seq, enzymes, { possible: true, blocked: true });
+  const warnings = [];
+  for (const cut of sites) {
+    const where = `${cut.enzyme} site at ${cut.site}`;
+    if (cut.blocked && cut.blocked.sensitivity === 'required') {
+      warnings.push(`${where} is not cut: ${cut.enzyme} requires ${cut.blocked.system} methylation, which the DNA lacks there`);
+    } else if (cut.blocked) {
+      warnings.push(`${where} is blocked by ${cut.blocked.system} methylation (${cut.blocked.motif} at ${cut.blocked.position})`);
+    } else if (cut.possible) {
+      warnings.push(`${cut.enzyme} may also cut at ${cut.start}, where the sequence is degenerate; the site was left uncut`);
+    } else if (cut.impaired) {
+      warnings.push(`${where} is impaired by ${cut.impaired.system} methylation (${cut.impaired.motif} at ${cut.impaired.position}); digestion may be incomplete`);
+    }
+  }
+  return { product, blocked: sites.filter(cut => cut.blocked), warnings };
+}
+
+/**
+ * Performs a restriction digest to completion on a given DNA Polynucleotide using specified enzymes, and returns a specific fragment.
+ * @function
+ * @param {Polynucleotide} seq - A Polynucleotide object representing the DNA to digest.
+ * @param {string} enzymes - A string containing the names of the restriction enzymes, separated by non-alphanumeric characters (e.g., 'EcoRI,BamHI').
+ * @param {number|string} fragselect - The index of the desired fragment to be returned after digestion. The fragments are arranged left to right from the original sequence numbered 0 to n.
+ *        Pass 'all' to get every fragment, in the same order.
+ * @returns {Polynucleotide|Array<Polynucleotide>} The Polynucleotide object of the selected fragment, or all fragments for 'all'.
+ * @throws {Error} If the input is not a Polynucleotide object, enzymes are not found, or fragselect is invalid.
+ */
+function digest(seq, enzymes, fragselect) {
+  const fragments = digestAll(seq, enzymes).map(fragment => fragment.polynucleotide);
+
+  // Every fragment, in fragselect order
+  if (fragselect === 'all') {
+    return fragments;
   }
 
   if (
     typeof fragselect === "number" &&
     fragselect >= 0 &&
-    fragselect < fragsOut.length
+    fragselect < fragments.length
   ) {
-    if (seq.isCircular) {
-      let targetIndex = fragselect;
-      // Sort fragments by start position in the original sequence
-      fragsOut.sort((a, b) => {
-        const startPosA = seq.sequence.indexOf(a.sequence);
-        const startPosB = seq.sequence.indexOf(b.sequence);
-        return startPosA - startPosB;
-      });
-      // Handle circular case where the first fragment should actually be the last
-      if (seq.sequence.indexOf(fragsOut[0].sequence) !== 0) {
-        const firstFrag = fragsOut.shift();
-        fragsOut.push(firstFrag);
-        targetIndex = fragselect === 0 ? fragsOut.length - 1 : fragselect - 1;
-      }
-      // Return a new plasmid Polynucleotide with the selected fragment's sequence
-      const newSeq = fragsOut[targetIndex];
-      return newSeq;
-    } else {
-      // Linear case: return a dsDNA Polynucleotide with the selected fragment's sequence
-      const newSeq = fragsOut[fragselect];
-      return newSeq;
-    }
+    return fragments[fragselect];
   } else {
     throw new Error(
       "Invalid fragselect provided for sequence: " + displaySeq(seq.sequence)
@@ -1057,13 +1977,390 @@ function digest(seq, enzymes, fragselect) {
   }
 }
 
+// Antibiotic names accepted in a Transform step, mapped to their standard abbreviations
+const knownAntibiotics = {
+  "kan": "kan",
+  "kanamycin": "kan",
+  "cam": "cam",
+  "chloramphenicol": "cam",
+  "amp": "amp",
+  "ampicillin": "amp",
+  "spec": "spec",
+  "spectinomycin": "spec",
+  "gen": "gen",
+  "gentamicin": "gen"
+};
+
+// Reports each enzyme of a step that is missing from the enzyme table
+function unknownEnzymeIssues(enzymes) {
+  return enzymes
+    .filter(enzyme => !getEnzyme(enzyme))
+    .map(enzyme => ({ severity: 'error', code: 'unknown-enzyme', message: `Enzyme ${enzyme} is not recognized`, name: enzyme }));
+}
+
+/**
+ * The built-in Construction File operations, registered like any other.
+ */
+registerOperation({
+  name: 'PCR',
+  parse(tokens) {
+    if (tokens.length < 4) {
+      throw new Error("PCR step requires 5 fields: PCR ForwardPrimer ReversePrimer Template Output");
+    }
+    return { output: tokens[3], forward_oligo: tokens[0], reverse_oligo: tokens[1], template: tokens[2] };
+  },
+  inputs: (step) => [step.forward_oligo, step.reverse_oligo, step.template],
+  simulate: (step, lookupSequence, options) =>
+    pcrReport(lookupSequence(step.forward_oligo), lookupSequence(step.reverse_oligo), lookupSequence(step.template), options),
+  serialize: (step) => [step.forward_oligo, step.reverse_oligo, step.template, step.output]
+});
+
+registerOperation({
+  name: 'Gibson',
+  parse(tokens) {
+    if (tokens.length < 2) {
+      throw new Error("Gibson step requires at least 3 fields: Gibson Fragment1 [Fragment2 ...] Output");
+    }
+    return { output: tokens[tokens.length - 1], dnas: tokens.slice(0, -1) };
+  },
+  inputs: (step) => [...step.dnas],
+  simulate: (step, lookupSequence, options) =>
+    gibsonReport(step.dnas.map((dnaKey) => lookupSequence(dnaKey)), { ...options, names: step.dnas }),
+  serialize: (step) => [...step.dnas, step.output]
+});
+
+registerOperation({
+  name: 'GoldenGate',
+  parse(tokens) {
+    if (tokens.length < 3) {
+      throw new Error("GoldenGate step requires at least 4 fields: GoldenGate Fragment1 [Fragment2 ...] Enzyme Output");
+    }
+    return { output: tokens[tokens.length - 1], dnas: tokens.slice(0, -2), enzyme: tokens[tokens.length - 2] };
+  },
+  inputs: (step) => [...step.dnas],
+  simulate: (step, lookupSequence, options) => goldengateReport(step.dnas.map((dnaKey) => lookupSequence(dnaKey)), step.enzyme, options),
+  validate: (step) => unknownEnzymeIssues([step.enzyme]),
+  serialize: (step) => [...step.dnas, step.enzyme, step.output]
+});
+
+registerOperation({
+  name: 'Ligate',
+  parse(tokens) {
+    if (tokens.length < 2) {
+      throw new Error("Ligate step requires at least 3 fields: Ligate Fragment1 [Fragment2 ...] Output");
+    }
+    return { output: tokens[tokens.length - 1], dnas: tokens.slice(0, -1) };
+  },
+  inputs: (step) => [...step.dnas],
+  simulate: (step, lookupSequence) => ligate(step.dnas.map((dnaKey) => lookupSequence(dnaKey))),
+  serialize: (step) => [...step.dnas, step.output]
+});
+
+registerOperation({
+  name: 'Digest',
+  parse(tokens) {
+    if (tokens.length < 3) {
+      throw new Error("Digest step requires at least 4 fields: Digest DNA Enzymes FragSelect Output");
+    }
+    return {
+      dna: tokens[0],
+      enzymes: tokens[1].split(','),
+      fragselect: tokens[2] ? parseInt(tokens[2], 10) : 1,
+      output: tokens[tokens.length - 1]
+    };
+  },
+  inputs: (step) => [step.dna],
+  simulate: (step, lookupSequence) => digestReport(lookupSequence(step.dna), step.enzymes, step.fragselect),
+  validate: (step) => unknownEnzymeIssues(step.enzymes || []),
+  serialize(step) {
+    if (!Number.isInteger(step.fragselect)) {
+      throw new Error(`Cannot serialize Digest step for ${step.output}: fragselect must be an integer`);
+    }
+    return [step.dna, step.enzymes.join(','), String(step.fragselect), step.output];
+  }
+});
+
+registerOperation({
+  name: 'Transform',
+  parse(tokens) {
+    const step = { dna: tokens[0], output: tokens[tokens.length - 1] };
+    for (const token of tokens.slice(1, -1)) {
+      const lower = token.toLowerCase();
+      if (!step.antibiotics && knownAntibiotics[lower]) {
+        step.antibiotics = knownAntibiotics[lower];
+      } else if (!step.temperature && /^\d+(\.\d+)?$/.test(token)) {
+        step.temperature = parseFloat(token);
+      } else if (!step.strain && /^[\w\-\.]+$/.test(token)) {
+        step.strain = token;
+      }
+    }
+    return step;
+  },
+  inputs: (step) => [step.dna],
+  simulate: (step, lookupSequence, options) => transformReport(lookupSequence(step.dna), step, options),
+  validate: (step) => (step.strain && !getStrain(step.strain)
+    ? [{ severity: 'warning', code: 'unknown-strain', message: `Strain ${step.strain} is not in the strain registry`, name: step.strain }]
+    : []),
+  serialize(step) {
+    const fields = [step.dna];
+    if (step.strain) fields.push(step.strain);
+    if (step.antibiotics) fields.push(step.antibiotics);
+    if (step.temperature !== undefined && step.temperature !== null) fields.push(String(step.temperature));
+    return [...fields, step.output];
+  }
+});
+
+/**
+ * Lists the names of the DNAs a step consumes, in the order the step reads them.
+ *
+ * @param {Object} step - A step object as produced by parseCF.
+ * @returns {Array<string>} The sequence or product names the step depends on.
+ */
+function stepInputs(step) {
+  const definition = getOperation(step.operation);
+  return definition ? definition.inputs(step) : [];
+}
+
+/**
+ * Narrows the source location of a parsed step to the token (or comma-separated list item) that names
+ * `name`. Returns the location of the whole step if the name is not on the line, or null if the step
+ * was not parsed from text.
+ *
+ * @param {Object} step - A step object as produced by parseCF.
+ * @param {string} name - A sequence or product name used by the step.
+ * @returns {Object|null} A location object (see parseCF) whose column span covers the matching token.
+ */
+function locateInStep(step, name) {
+  const location = step.location;
+  if (!location) return null;
+  const token = location.tokens.slice(1).find(t => t.text === name);
+  if (token) {
+    return { ...location, column: token.column, endColumn: token.endColumn };
+  }
+  // Names can also sit inside a comma-separated token, as in a Digest enzyme list
+  const listToken = location.tokens.slice(1).find(t => t.text.split(',').includes(name));
+  if (listToken) {
+    const offset = (',' + listToken.text + ',').indexOf(',' + name + ',');
+    return { ...location, column: listToken.column + offset, endColumn: listToken.column + offset + name.length };
+  }
+  return location;
+}
+
+// The error raised when a step names a DNA that is neither a sequence nor a product; `input` records the name
+function missingSequenceError(key) {
+  const error = new Error(`Missing sequence for key: ${key}`);
+  error.input = key;
+  return error;
+}
+
+// Picks the location a simulation error should point at: the input it was raised for, else the whole step
+function errorLocation(step, err) {
+  const culprit = err && err.input;
+  return culprit && stepInputs(step).includes(culprit) ? locateInStep(step, culprit) : (step.location || null);
+}
+
+// Rewraps an error raised while simulating a parsed step so that it cites the line it came from
+function locatedError(step, err) {
+  if (!step.location) return err;
+  const text = step.location.tokens.map(t => t.text).join(' ');
+  const error = new Error(`Error simulating line ${step.location.line}: "${text}"\nReason: ${err.message}`);
+  error.location = errorLocation(step, err);
+  error.input = err.input;
+  return error;
+}
+
+// The DNA a product provides to later steps: a clone provides its plasmid
+function dnaOf(product) {
+  return product && product.constructor.name === 'Clone' ? product.plasmid : product;
+}
+
+// Warns when a later step uses (so preps) the plasmid of a clone grown in an endA+ strain
+function prepWarning(name, product) {
+  const host = product && product.constructor.name === 'Clone' ? getStrain(product.strain) : null;
+  return host && host.endA ? `${name} is prepped from ${host.name}, which is endA+, so the plasmid may be degraded by endonuclease I` : null;
+}
+
+/**
+ * Simulates a single construction step.
+ *
+ * @param {Object} step - A step object as produced by parseCF.
+ * @param {function(string): Polynucleotide} lookupSequence - Resolves an input name to its Polynucleotide.
+ * @param {Object} [options]
+ * @param {string} [options.unknownOperations='error'] - 'error' to throw on an unsupported operation, or
+ *        'warn' to pass over the step with a warning.
+ * @returns {{product: (Polynucleotide|null), warnings: Array<string>, unsupported: boolean}} The step product
+ *          (null if the step was not simulated), any non-fatal observations made while simulating it, and
+ *          whether the step was passed over because its operation is not supported.
+ * @throws {Error} If the step fails, or its operation is unsupported and the policy is 'error'.
+ */
+function simulateStep(step, lookupSequence, options = {}) {
+  const warnings = [];
+  let product = null;
+  let unsupported = false;
+
+  const definition = getOperation(step.operation);
+  if (definition) {
+    const result = definition.simulate(step, lookupSequence, options);
+    if (result && typeof result === 'object' && 'product' in result && !(result instanceof Polynucleotide)) {
+      product = result.product;
+      warnings.push(...(result.warnings || []));
+    } else {
+      product = result;
+    }
+  } else {
+    const message = unknownOperationMessage(step.operation);
+    if (options.unknownOperations !== 'warn') {
+      throw new Error(message);
+    }
+    warnings.push(`${message}; the step was not simulated`);
+    unsupported = true;
+  }
+
+  return { product, warnings, unsupported };
+}
+
+/**
+ * Statically checks a Construction File before simulation by building the dependency graph of its steps.
+ *
+ * No sequence work is done, so the check is cheap enough to run on every edit. All issues are returned
+ * together. Each issue is `{severity, code, message, step, name, line, column, endColumn}`, where `step`
+ * is the index of the step concerned (null for sequence-level issues) and the location fields point at
+ * the offending name when the CF was parsed from text. The codes are:
+ *
+ * - 'unknown-operation' (error): a step's operation is not supported; the message suggests the closest one
+ * - 'undefined-name' (error): a step uses a name that is neither a sequence nor any step's output
+ * - 'used-before-defined' (error): a step uses a product that is only made by a later step
+ * - 'redefined-product' (error): two steps produce the same output name
+ * - 'cycle' (error): steps depend on each other's products in a loop
+ * - 'unknown-enzyme' (error): a Digest or GoldenGate enzyme is not in the enzyme table
+ * - 'shadows-sequence' (warning): a step output has the same name as a sequence, hiding it for later steps
+ * - 'unused-sequence' (warning): a sequence is never used by any step
+ *
+ * Operations added with registerOperation contribute their own issues through their `validate` function.
+ *
+ * @param {Object} cfData - A construction file object (with `steps` and `sequences`), e.g. from parseCF.
+ * @returns {{valid: boolean, issues: Array<Object>}} `valid` is true when there are no errors.
+ *
+ * @example
+ * const { valid, issues } = validateCF(parseCF(cfText));
+ * issues.forEach(i => console.log(`line ${i.line}: ${i.severity} ${i.code}: ${i.message}`));
+ */
+function validateCF(cfData) {
+  const steps = cfData.steps || [];
+  const sequences = cfData.sequences || {};
+  const sequenceLocations = cfData.sequenceLocations || {};
+  const issues = [];
+
+  function report(severity, code, message, step, name, location) {
+    issues.push({
+      severity,
+      code,
+      message,
+      step,
+      name,
+      line: location ? location.line : (step !== null && steps[step].line !== undefined ? steps[step].line : null),
+      column: location ? location.column : null,
+      endColumn: location ? location.endColumn : null
+    });
+  }
+
+  // Which steps produce each name
+  const producers = {};
+  steps.forEach((step, i) => {
+    if (!producers[step.output]) producers[step.output] = [];
+    producers[step.output].push(i);
+  });
+
+  for (const name in producers) {
+    const [first, ...others] = producers[name];
+    others.forEach(i => report('error', 'redefined-product',
+      `${name} is already produced by step ${first + 1}`, i, name, locateInStep(steps[i], name)));
+    if (sequences.hasOwnProperty(name)) {
+      report('warning', 'shadows-sequence',
+        `Product ${name} has the same name as a sequence and hides it from later steps`, first, name, locateInStep(steps[first], name));
+    }
+  }
+
+  // Edges from each step to the steps whose products it uses
+  const used = new Set();
+  const dependsOn = steps.map(() => new Set());
+  steps.forEach((step, i) => {
+    const definition = getOperation(step.operation);
+    if (!definition) {
+      const location = step.location ? { ...step.location, ...step.location.tokens[0] } : null;
+      report('error', 'unknown-operation', unknownOperationMessage(step.operation), i, step.operation, location);
+    }
+
+    for (const name of stepInputs(step)) {
+      used.add(name);
+      const location = locateInStep(step, name);
+      const makers = producers[name] || [];
+      makers.forEach(j => dependsOn[i].add(j));
+      if (sequences.hasOwnProperty(name) || makers.some(j => j < i)) continue;
+      if (makers.length === 0) {
+        report('error', 'undefined-name', `${name} is not defined as a sequence or produced by any step`, i, name, location);
+      } else {
+        report('error', 'used-before-defined', `${name} is used before step ${makers[0] + 1} produces it`, i, name, location);
+      }
+    }
+
+    const checks = definition && definition.validate ? definition.validate(step) : [];
+    for (const issue of checks) {
+      report(issue.severity || 'error', issue.code, issue.message, i, issue.name,
+        issue.name !== undefined ? locateInStep(step, issue.name) : (step.location || null));
+    }
+  });
+
+  // Depth-first search for loops in the dependency graph
+  const state = steps.map(() => 'new');
+  const path = [];
+  function visit(i) {
+    state[i] = 'open';
+    path.push(i);
+    for (const j of dependsOn[i]) {
+      if (state[j] === 'open') {
+        const loop = path.slice(path.indexOf(j));
+        const names = loop.map(k => steps[k].output);
+        report('error', 'cycle', `Steps depend on each other in a loop: ${[...names, names[0]].join(' -> ')}`,
+          j, steps[j].output, locateInStep(steps[j], steps[j].output));
+      } else if (state[j] === 'new') {
+        visit(j);
+      }
+    }
+    path.pop();
+    state[i] = 'done';
+  }
+  steps.forEach((step, i) => { if (state[i] === 'new') visit(i); });
+
+  for (const name in sequences) {
+    if (!used.has(name)) {
+      report('warning', 'unused-sequence', `Sequence ${name} is not used by any step`, null, name, sequenceLocations[name]);
+    }
+  }
+
+  return { valid: !issues.some(issue => issue.severity === 'error'), issues };
+}
+
 /**
  * simCF - A function that simulates a series of molecular biology construction steps given a construction file object.
  *
  * @param {Object} cfData - A construction file object (with `steps` and `sequences`) returned from `parseCF`.
+ * @param {Object} [options]
+ * @param {string} [options.unknownOperations='error'] - What to do with a step whose operation is not supported:
+ *        'error' throws, 'warn' passes over the step with a warning.
+ * @param {function(string, Object)} [options.onWarning] - Called with each warning raised while simulating a step,
+ *        and the step. simCF does not print warnings itself.
+ * @param {Array<Object>} [options.features] - A feature database for Transform steps to check markers and origins with.
+ * @param {number} [options.minAnnealLength], [options.maxMismatches], [options.exact3], [options.minTm], [options.polymerase] - How PCR
+ *        oligos anneal (see findAnnealSites); `options.structure` and the other pcrReport options also apply to PCR steps.
+ * @param {number} [options.minOverlap], [options.minOverlapTm] - How Gibson fragments overlap (see gibsonReport).
+ * @param {Object} [options.ligationData] - Ligation data to score GoldenGate overhangs with (see goldengateReport).
  * @returns {Array<Array<string>>} outputTable - A 2D array where each sub-array is [productName, productSequence], representing the name and full DNA sequence of each construction step result.
+ *          Transform steps give a Clone, whose `plasmid` is used by later steps.
+ * @throws {Error} If a step cannot be simulated. For steps parsed from text, the message cites the line and
+ *         the error carries the step's `location`.
  */
-function simCF(cfData) {
+function simCF(cfData, options = {}) {
     const steps = cfData.steps;
     const sequences = cfData.sequences;
     const products = [];
@@ -1075,7 +2372,7 @@ function simCF(cfData) {
   function lookupSequence(key) {
       const foundProduct = products.find((product) => product.name === key);
       if (foundProduct) {
-          return foundProduct.sequence;
+          return dnaOf(foundProduct.sequence);
       }
 
       const foundSequence = sequences[key];
@@ -1083,81 +2380,29 @@ function simCF(cfData) {
           return foundSequence;
       }
 
-      throw new Error(`Missing sequence for key: ${key}`);
+      throw missingSequenceError(key);
   }
 
     for (let i = 0; i < steps.length; i++) {
         const step = steps[i];
-
-        switch (step.operation) {
-            case 'PCR': {
-                const forwardOligoSeq = lookupSequence(step.forward_oligo);
-                const reverseOligoSeq = lookupSequence(step.reverse_oligo);
-                const templateSeq = lookupSequence(step.template);
-
-                const productPoly = PCR(forwardOligoSeq, reverseOligoSeq, templateSeq);
-                products.push({
-                    name: step.output,
-                    sequence: productPoly
-                });
-            }
-            break;
-
-            case 'GoldenGate': {
-                const dnaSequences = step.dnas.map((dnaKey) => lookupSequence(dnaKey));
-                const productPoly = goldengate(dnaSequences, step.enzyme);
-                products.push({
-                    name: step.output,
-                    sequence: productPoly
-                });
-            }
-            break;
-
-            case 'Gibson': {
-                const dnaSequences = step.dnas.map((dnaKey) => lookupSequence(dnaKey));
-                const productPoly = gibson(dnaSequences);
-                products.push({
-                    name: step.output,
-                    sequence: productPoly
-                });
-            }
-            break;
-
-            case 'Digest': {
-                const dnaSeq = lookupSequence(step.dna);
-                const polyObj = digest(dnaSeq, step.enzymes, step.fragselect);
-                // Since digest now returns a real Polynucleotide object, use it directly
-                products.push({
-                    name: step.output,
-                    sequence: polyObj
-                });
-            }
-            break;
-
-            case 'Ligate': {
-                const dnaPolys = step.dnas.map((dnaKey) => lookupSequence(dnaKey));
-                const ligatedPoly = ligate(dnaPolys);
-                products.push({
-                    name: step.output,
-                    sequence: ligatedPoly
-                });
-            }
-          break;
-            case 'Transform': {
-                const dnaSeq = lookupSequence(step.dna);
-                // TODO: Add real transformation simulation logic here
-                // dnaSeq is already a Polynucleotide, so store its .sequence
-                products.push({
-                    name: step.output,
-                    sequence: dnaSeq
-                });
-            }
-            break;
-
-            // ... add more cases for other operations as needed
-
-            default:
-                // throw new Error(`Unsupported operation: ${step.operation}`);
+        let product, warnings;
+        try {
+            ({ product, warnings } = simulateStep(step, lookupSequence, options));
+        } catch (err) {
+            throw locatedError(step, err);
+        }
+        const prepWarnings = stepInputs(step)
+            .map((name) => products.find((product) => product.name === name))
+            .map((found) => found && prepWarning(found.name, found.sequence))
+            .filter(Boolean);
+        if (options.onWarning) {
+            [...prepWarnings, ...warnings].forEach(warning => options.onWarning(warning, step));
+        }
+        if (product) {
+            products.push({
+                name: step.output,
+                sequence: product
+            });
         }
     }
 
@@ -1165,14 +2410,191 @@ function simCF(cfData) {
     return outputTable;
 }
 
+/**
+ * Simulates a construction file like simCF, but returns a structured report rather than a bare table.
+ *
+ * By default simulation stops at the first failing step. Steps that already succeeded are kept in the
+ * report, the failing step records its error, and any remaining steps are listed with status 'skipped'.
+ *
+ * With `options.continueOnError`, every step that can be simulated is simulated. A step that consumes
+ * the output of a failed or blocked step is not attempted and is marked 'blocked' instead, so a whole
+ * Construction File can be checked in one pass.
+ *
+ * @param {Object} cfData - A construction file object (with `steps` and `sequences`) returned from `parseCF`.
+ * @param {Object} [options]
+ * @param {boolean} [options.continueOnError=false] - Keep simulating past failed steps.
+ * @param {string} [options.unknownOperations='error'] - 'error' fails a step whose operation is not supported;
+ *        'warn' marks it 'unsupported' with a warning and carries on.
+ * @param {Array<Object>} [options.features] - A feature database for Transform steps to check markers and origins with.
+ * @param {number} [options.minAnnealLength], [options.maxMismatches], [options.exact3], [options.minTm], [options.polymerase] - How PCR
+ *        oligos anneal (see findAnnealSites); `options.structure` and the other pcrReport options also apply to PCR steps.
+ * @param {number} [options.minOverlap], [options.minOverlapTm] - How Gibson fragments overlap (see gibsonReport).
+ * @param {Object} [options.ligationData] - Ligation data to score GoldenGate overhangs with (see goldengateReport).
+ * @returns {Object} report
+ * @returns {boolean} report.success - True if every step was simulated successfully.
+ * @returns {Array<Object>} report.steps - One record per step with `index`, `line`, `location`, `operation`,
+ *          `output`, `inputs` (each `{name, source, length, topology, location}`), `product`, `length`, `topology`,
+ *          `strandedness`, `warnings`, `status`, `error` and `blockedBy`. The status is 'success', 'failed',
+ *          'blocked' (an input could not be made), 'unsupported' (the operation is not supported and
+ *          `unknownOperations` is 'warn') or 'skipped' (not reached because simulation halted at an earlier failure).
+ * @returns {Object<string, Polynucleotide|Clone>} report.products - The products of the successful steps, by name.
+ * @returns {Array<Object>} report.diagnostics - Every error and warning raised, as
+ *          `{severity, step, line, column, endColumn, blob, operation, output, message}`, in step order.
+ *          For steps parsed from text the columns point at the input name an error was raised for,
+ *          otherwise at the whole step.
+ * @returns {Array<string>} report.errors - Problems with the construction file as a whole.
+ *
+ * @example
+ * const report = simCFReport(parseCF(cfText), { continueOnError: true });
+ * report.diagnostics.forEach(d => console.log(`line ${d.line}: ${d.severity}: ${d.message}`));
+ */
+function simCFReport(cfData, options = {}) {
+  const continueOnError = !!options.continueOnError;
+  const steps = cfData.steps || [];
+  const sequences = cfData.sequences;
+  const report = { success: true, steps: [], products: {}, diagnostics: [], errors: [] };
+
+  if (!sequences || Object.keys(sequences).length === 0) {
+    report.success = false;
+    report.errors.push("Sequence data is missing. Please include sequence data in the input JSON.");
+    return report;
+  }
+
+  // Names of products whose step failed or was blocked
+  const unavailable = new Set();
+
+  function resolve(key) {
+    if (report.products.hasOwnProperty(key)) {
+      return { source: 'product', poly: dnaOf(report.products[key]) };
+    }
+    if (sequences[key]) {
+      return { source: 'sequence', poly: sequences[key] };
+    }
+    throw missingSequenceError(key);
+  }
+
+  const summarize = (poly) => ({
+    length: poly.sequence.length,
+    topology: poly.isCircular ? 'circular' : 'linear',
+    strandedness: poly.isDoubleStranded ? 'double' : 'single'
+  });
+
+  function diagnose(record, severity, message, location = record.location) {
+    report.diagnostics.push({
+      severity,
+      step: record.index,
+      line: record.line,
+      column: location ? location.column : null,
+      endColumn: location ? location.endColumn : null,
+      blob: location ? location.blob : null,
+      operation: record.operation,
+      output: record.output,
+      message
+    });
+  }
+
+  // Where each available name was defined: a sequence line or the step that produced it
+  const origins = { ...(cfData.sequenceLocations || {}) };
+
+  let halted = false;
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const record = {
+      index: i,
+      line: step.location ? step.location.line : (step.line !== undefined ? step.line : null),
+      location: step.location || null,
+      operation: step.operation,
+      output: step.output,
+      inputs: [],
+      product: null,
+      length: null,
+      topology: null,
+      strandedness: null,
+      warnings: [],
+      status: 'skipped',
+      error: null,
+      blockedBy: []
+    };
+    report.steps.push(record);
+    if (halted) continue;
+
+    record.blockedBy = stepInputs(step).filter(name => unavailable.has(name));
+    if (record.blockedBy.length > 0) {
+      record.status = 'blocked';
+      unavailable.add(step.output);
+      report.success = false;
+      diagnose(record, 'error', `Not simulated because it depends on ${record.blockedBy.join(', ')}, which could not be made`,
+        locateInStep(step, record.blockedBy[0]));
+      continue;
+    }
+
+    try {
+      for (const name of stepInputs(step)) {
+        const { source, poly } = resolve(name);
+        const { length, topology } = summarize(poly);
+        record.inputs.push({ name, source, length, topology, location: origins[name] || null });
+        const warning = source === 'product' && prepWarning(name, report.products[name]);
+        if (warning) record.warnings.push(warning);
+      }
+
+      const { product, warnings, unsupported } = simulateStep(step, (key) => resolve(key).poly, options);
+      record.warnings.push(...warnings);
+      if (sequences[step.output]) {
+        record.warnings.push(`Product ${step.output} has the same name as a sequence and will be used in its place`);
+      }
+
+      if (product) {
+        Object.assign(record, { product }, summarize(dnaOf(product)));
+        report.products[step.output] = product;
+        origins[step.output] = step.location || null;
+      }
+      if (unsupported) {
+        unavailable.add(step.output);
+        report.success = false;
+      } else {
+        unavailable.delete(step.output);
+      }
+      record.status = unsupported ? 'unsupported' : 'success';
+    } catch (err) {
+      record.status = 'failed';
+      record.error = err.message;
+      report.success = false;
+      unavailable.add(step.output);
+      halted = !continueOnError;
+      diagnose(record, 'error', record.error, errorLocation(step, err));
+    }
+
+    record.warnings.forEach(warning => diagnose(record, 'warning', warning));
+  }
+
+  return report;
+}
 
 export {
+  registerOperation,
+  unregisterOperation,
+  getOperation,
+  listOperations,
   parseCF,
+  serializeCF,
+  validateCF,
   simCF,
+  simCFReport,
   PCR,
+  pcrReport,
+  findAnnealSites,
   goldengate,
+  goldengateReport,
   gibson,
+  gibsonReport,
+  analyzeGibson,
   cutOnce,
+  findCutSites,
+  digestAll,
+  partialDigest,
   digest,
+  digestReport,
+  transform,
+  transformReport,
   ligate
 };
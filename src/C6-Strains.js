@@ -0,0 +1,200 @@
+// C6-Strains.js - Bacterial Strain Registry
+//
+// Host strains for Transform steps, described by their genotype. The genotype is kept as written (e.g. the
+// supplier's "F– φ80lacZΔM15 ΔlacX74 recA1 endA1 ...") and the traits that matter to a construction are
+// read from it:
+//
+// - recA: homologous recombination, which scrambles plasmids with repeated sequences
+// - endA: endonuclease I, which degrades plasmid preps
+// - dam, dcm: DNA methylation, which blocks some restriction enzymes in later digests
+// - t7Polymerase: T7 RNA polymerase, from a (DE3) lysogen, needed to express T7 promoter constructs
+// - pir: the π protein, needed to replicate R6K-origin plasmids
+// - ccdBResistant: tolerance of the ccdB toxin (gyrA462 and similar), needed to propagate ccdB vectors
+//
+// Genotypes list what differs from wild type, so a gene named without a '+' (recA1, ΔrecA1398, dcm) is taken
+// to be mutant, and genes that are normally absent (pir, DE3) are present whenever they are named.
+//
+// More strains can be added with registerStrain, or loaded from a tab-separated text file with
+// loadStrainFile.
+
+import { loadTextFile } from './C6-Utils.js';
+
+// Strains commonly used for cloning and expression, with their published genotypes
+const commonStrains = {
+  'DH5alpha': "F– φ80lacZΔM15 Δ(lacZYA-argF)U169 recA1 endA1 hsdR17(rK–, mK+) phoA supE44 λ– thi-1 gyrA96 relA1",
+  'DH10B': "F– mcrA Δ(mrr-hsdRMS-mcrBC) φ80lacZΔM15 ΔlacX74 recA1 endA1 araD139 Δ(ara-leu)7697 galU galK λ– rpsL(StrR) nupG",
+  'Mach1': "F– φ80lacZΔM15 ΔlacX74 hsdR(rK–, mK+) ΔrecA1398 endA1 tonA",
+  'TOP10': "F– mcrA Δ(mrr-hsdRMS-mcrBC) φ80lacZΔM15 ΔlacX74 recA1 araD139 Δ(ara-leu)7697 galU galK rpsL(StrR) endA1 nupG",
+  'XL1-Blue': "recA1 endA1 gyrA96 thi-1 hsdR17 supE44 relA1 lac [F´ proAB lacIqZΔM15 Tn10 (TetR)]",
+  'JM109': "endA1 glnV44 thi-1 relA1 gyrA96 recA1 mcrB+ Δ(lac-proAB) e14– [F´ traD36 proAB+ lacIq lacZΔM15] hsdR17(rK–, mK+)",
+  'NEB Stable': "F´ proA+B+ lacIq ∆(lacZ)M15 zzf::Tn10 (TetR) ∆(ara-leu) 7697 araD139 fhuA ∆lacX74 galK16 galE15 e14– Φ80dlacZ∆M15 recA1 relA1 endA1 nupG rpsL (StrR) rph spoT1 ∆(mrr-hsdRMS-mcrBC)",
+  'Stbl3': "F– mcrB mrr hsdS20(rB–, mB–) recA13 supE44 ara-14 galK2 lacY1 proA2 rpsL20(StrR) xyl-5 λ– leu mtl-1",
+  'BL21': "F– ompT gal dcm lon hsdSB(rB–, mB–)",
+  'BL21(DE3)': "F– ompT gal dcm lon hsdSB(rB–, mB–) λ(DE3 [lacI lacUV5-T7p07 ind1 sam7 nin5]) [malB+]K-12(λS)",
+  'Rosetta(DE3)': "F– ompT hsdSB(rB– mB–) gal dcm (DE3) pRARE (CamR)",
+  'MG1655': "F– λ– ilvG– rfb-50 rph-1",
+  'JM110': "rpsL (StrR) thr leu thi-1 lacY galK galT ara tonA tsx dam dcm supE44 Δ(lac-proAB) [F´ traD36 proAB lacIqZΔM15]",
+  'GM2163': "F– ara-14 leuB6 thi-1 fhuA31 lacY1 tsx-78 galK2 galT22 supE44 hisG4 rpsL136 (StrR) xyl-5 mtl-1 dam13::Tn9 (CamR) dcm-6 mcrB1 hsdR2 (rK–, mK+) mcrA",
+  'ER2925': "ara-14 leuB6 fhuA31 lacY1 tsx78 glnV44 galK2 galT22 mcrA dcm-6 hisG4 rfbD1 R(zgb210::Tn10)TetS endA1 rpsL136 dam13::Tn9 xylA-5 mtl-1 thi-1 mcrB1 hsdR2",
+  'DB3.1': "F– gyrA462 endA1 glnV44 Δ(sr1-recA) mcrB mrr hsdS20(rB–, mB–) ara14 galK2 lacY1 proA2 rpsL20(SmR) xyl5 Δleu mtl1",
+  'ccdB Survival 2 T1R': "F– mcrA Δ(mrr-hsdRMS-mcrBC) Φ80lacZΔM15 ΔlacX74 recA1 araΔ139 Δ(ara-leu)7697 galU galK rpsL(StrR) endA1 nupG fhuA::IS2",
+  'EC100D pir+': "F– mcrA Δ(mrr-hsdRMS-mcrBC) φ80dlacZΔM15 ΔlacX74 recA1 endA1 araD139 Δ(ara, leu)7697 galU galK λ– rpsL(StrR) nupG pir+(DHFR)",
+  'EC100D pir-116': "F– mcrA Δ(mrr-hsdRMS-mcrBC) φ80dlacZΔM15 ΔlacX74 recA1 endA1 araD139 Δ(ara, leu)7697 galU galK λ– rpsL(StrR) nupG pir-116(DHFR)",
+  'BW25141': "F– Δ(araD-araB)567 ΔlacZ4787(::rrnB-3) Δ(phoB-phoR)580 λ– galU95 ΔuidA3::pir+ recA1 endA9(del-ins)::FRT rph-1 Δ(rhaD-rhaB)568 hsdR514"
+};
+
+// Traits that the genotype does not show, from the supplier's description
+const strainTraits = {
+  'ccdB Survival 2 T1R': { ccdBResistant: true }
+};
+
+// The strain registry, by normalized name
+const strainRegistry = {};
+
+// Strain names are matched ignoring case, spacing and punctuation, so "DH5α", "dh5-alpha" and "DH5alpha" agree
+function normalizeStrainName(name) {
+  return String(name).toLowerCase().replace(/α/g, 'alpha').replace(/[^a-z0-9]/g, '');
+}
+
+// Whether a genotype names a gene as mutant: present without a trailing '+'
+function isMutant(genotype, gene) {
+  const pattern = new RegExp(`(^|[^A-Za-z])${gene}(?![A-Za-z+])`);
+  return pattern.test(genotype);
+}
+
+/**
+ * Reads the traits that matter to cloning from a genotype.
+ *
+ * @param {string} genotype - The genotype, e.g. "F– mcrA Δ(mrr-hsdRMS-mcrBC) recA1 endA1 ...".
+ * @returns {{recA: boolean, endA: boolean, dam: boolean, dcm: boolean, t7Polymerase: boolean, pir: boolean,
+ *          ccdBResistant: boolean}} For recA, endA, dam and dcm, whether the gene is functional; for the rest,
+ *          whether the strain has it.
+ *
+ * @example
+ * parseGenotype("F– ompT gal dcm lon hsdSB(rB–, mB–) λ(DE3)"); // dcm: false, t7Polymerase: true, ...
+ */
+function parseGenotype(genotype) {
+  const text = String(genotype || '').replace(/[–—]/g, '-');
+  return {
+    recA: !isMutant(text, 'recA'),
+    endA: !isMutant(text, 'endA'),
+    dam: !isMutant(text, 'dam'),
+    dcm: !isMutant(text, 'dcm'),
+    t7Polymerase: /DE3|T7 RNA polymerase|T7 RNAP/i.test(text),
+    pir: /(^|[^A-Za-z])pir(?![A-Za-z])/.test(text),
+    ccdBResistant: /gyrA462|ccdB.?resistan/i.test(text)
+  };
+}
+
+/**
+ * Adds a strain to the registry, replacing any strain of the same name.
+ *
+ * @param {string} name - The strain's name, e.g. 'DH10B'.
+ * @param {string} genotype - The strain's genotype.
+ * @param {Object} [details] - Traits to set regardless of the genotype, e.g. `{ ccdBResistant: true }`.
+ * @returns {Object} The strain record, `{name, genotype, recA, endA, dam, dcm, t7Polymerase, pir, ccdBResistant}`.
+ * @throws {Error} If the name is empty.
+ */
+function registerStrain(name, genotype, details = {}) {
+  if (!normalizeStrainName(name || '')) {
+    throw new Error("A strain needs a name");
+  }
+  const record = { name, genotype: genotype || '', ...parseGenotype(genotype), ...details };
+  strainRegistry[normalizeStrainName(name)] = record;
+  return record;
+}
+
+/**
+ * Looks up a strain by name, ignoring case, spaces and punctuation.
+ *
+ * @param {string} name
+ * @returns {Object|null} The strain record (see registerStrain), or null if the strain is unknown.
+ */
+function getStrain(name) {
+  if (name === undefined || name === null) return null;
+  return strainRegistry[normalizeStrainName(name)] || null;
+}
+
+/**
+ * Lists the names of the strains in the registry.
+ *
+ * @returns {Array<string>}
+ */
+function listStrains() {
+  return Object.values(strainRegistry).map(strain => strain.name);
+}
+
+/**
+ * The methylation systems a strain applies to DNA it replicates.
+ *
+ * @param {string} name - The strain's name.
+ * @returns {Array<string>|null} e.g. ['dam', 'dcm'], or null if the strain is unknown.
+ */
+function strainMethylation(name) {
+  const strain = getStrain(name);
+  if (!strain) return null;
+  return ['dam', 'dcm'].filter(system => strain[system]);
+}
+
+/**
+ * Parses a strain list: one strain per line, its name and genotype separated by a tab. Blank lines and
+ * lines starting with '#' are ignored.
+ *
+ * @param {string} text - The contents of the file.
+ * @returns {{strains: Array<{name: string, genotype: string}>, skipped: Array<{line: number, text: string, reason: string}>}}
+ *
+ * @example
+ * parseStrainList("# name\tgenotype\nDH10B\tF– mcrA ... recA1 endA1 ...");
+ */
+function parseStrainList(text) {
+  const strains = [];
+  const skipped = [];
+  String(text).split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    const tab = line.indexOf('\t');
+    if (tab === -1) {
+      skipped.push({ line: i + 1, text: line, reason: 'expected a name and a genotype separated by a tab' });
+      return;
+    }
+    const name = line.slice(0, tab).trim();
+    const genotype = line.slice(tab + 1).trim();
+    if (!name) {
+      skipped.push({ line: i + 1, text: line, reason: 'the strain has no name' });
+      return;
+    }
+    strains.push({ name, genotype });
+  });
+  return { strains, skipped };
+}
+
+/**
+ * Reads a strain list (see parseStrainList) from disk and adds its strains to the registry. Only available
+ * under Node.js.
+ *
+ * @param {string} path - Path to the file.
+ * @param {Object} [options]
+ * @param {boolean} [options.register=true] - Add the strains to the registry (otherwise they are only returned).
+ * @returns {Promise<{strains: Array<Object>, skipped: Array<Object>}>} What was parsed.
+ */
+function loadStrainFile(path, options = {}) {
+  const register = ({ strains }) => {
+    for (const { name, genotype } of strains) {
+      registerStrain(name, genotype);
+    }
+  };
+  return loadTextFile(path, parseStrainList, register, options);
+}
+
+for (const name in commonStrains) {
+  registerStrain(name, commonStrains[name], strainTraits[name] || {});
+}
+
+export {
+  parseGenotype,
+  registerStrain,
+  getStrain,
+  listStrains,
+  strainMethylation,
+  parseStrainList,
+  loadStrainFile
+};
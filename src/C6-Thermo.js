@@ -0,0 +1,440 @@
+// C6-Thermo.js - Oligo Thermodynamics
+//
+// Melting temperatures of oligos by the nearest-neighbor method, with corrections for the salt, magnesium,
+// dNTP and oligo concentrations of a reaction, and buffer presets for common PCR polymerases. Also the
+// stability of the structures that spoil primers: hairpins, self- and hetero-dimers, and sticky 3' ends.
+//
+// The duplex parameters are SantaLucia's unified set (SantaLucia, PNAS 1998). Monovalent cations are
+// corrected for as in Owczarzy et al. (Biochemistry 2004), and Mg2+ as in Owczarzy et al. (Biochemistry
+// 2008), after subtracting the Mg2+ bound by dNTPs. Oligos are assumed to be in excess over their target,
+// as primers are in PCR.
+
+// Nearest-neighbor ΔH (kcal/mol) and ΔS (cal/K·mol) for each top-strand dinucleotide; the rest are
+// read through their reverse complement
+const nearestNeighbors = {
+  AA: [-7.9, -22.2], AT: [-7.2, -20.4], TA: [-7.2, -21.3], CA: [-8.5, -22.7], GT: [-8.4, -22.4],
+  CT: [-7.8, -21.0], GA: [-8.2, -22.2], CG: [-10.6, -27.2], GC: [-9.8, -24.4], GG: [-8.0, -19.9]
+};
+
+// Initiation at a terminal A·T or G·C pair, and the symmetry correction for self-complementary duplexes
+const terminalAT = [2.3, 4.1];
+const terminalGC = [0.1, -2.8];
+const symmetryEntropy = -1.4;
+
+const gasConstant = 1.987;
+
+const complements = { A: 'T', C: 'G', G: 'C', T: 'A' };
+
+// The bases each IUPAC code stands for; degenerate positions are averaged over them
+const degenerateBases = {
+  A: 'A', C: 'C', G: 'G', T: 'T', U: 'T', R: 'AG', Y: 'CT', S: 'CG', W: 'AT', K: 'GT', M: 'AC',
+  B: 'CGT', D: 'AGT', H: 'ACT', V: 'ACG', N: 'ACGT'
+};
+
+/**
+ * Reaction conditions for common PCR polymerases, approximating their suppliers' buffers. Concentrations
+ * are mM, except `oligo`, which is nM; `annealOffset` is the supplier's recommended annealing temperature
+ * relative to the primers' Tm.
+ */
+const polymerasePresets = {
+  Taq: { Na: 0, K: 50, Tris: 10, Mg: 1.5, dNTP: 0.2, oligo: 200, annealOffset: -5 },
+  Phusion: { Na: 0, K: 50, Tris: 0, Mg: 1.5, dNTP: 0.2, oligo: 500, annealOffset: 3 },
+  Q5: { Na: 0, K: 50, Tris: 0, Mg: 2, dNTP: 0.2, oligo: 500, annealOffset: 3 }
+};
+
+// Conditions used when none are given: 50 mM Na+ with no Mg2+, as in most published Tm tables
+const defaultConditions = { Na: 50, K: 0, Tris: 0, Mg: 0, dNTP: 0, oligo: 250 };
+
+/**
+ * Looks up a polymerase's preset reaction conditions, ignoring case.
+ *
+ * @param {string} name - e.g. 'Q5', 'Phusion' or 'Taq'.
+ * @returns {Object|null} The conditions (see polymerasePresets), or null if the polymerase is unknown.
+ */
+function getPolymerase(name) {
+  const key = Object.keys(polymerasePresets).find(preset => preset.toLowerCase() === String(name).toLowerCase());
+  return key ? { name: key, ...polymerasePresets[key] } : null;
+}
+
+/**
+ * Lists the polymerases with preset reaction conditions.
+ *
+ * @returns {Array<string>}
+ */
+function listPolymerases() {
+  return Object.keys(polymerasePresets);
+}
+
+// Resolves the conditions for a calculation: the defaults, then the polymerase's preset, then any values given
+function resolveConditions(conditions = {}) {
+  let preset = {};
+  if (conditions.polymerase) {
+    preset = getPolymerase(conditions.polymerase);
+    if (!preset) {
+      throw new Error(`Unknown polymerase ${conditions.polymerase}; choose one of ${listPolymerases().join(', ')}`);
+    }
+  }
+  const resolved = { ...defaultConditions, ...preset };
+  for (const key in defaultConditions) {
+    if (conditions[key] !== undefined && conditions[key] !== null) resolved[key] = conditions[key];
+  }
+  return resolved;
+}
+
+function cleanSequence(sequence) {
+  const seq = String(sequence).toUpperCase().replace(/\s/g, '');
+  for (let i = 0; i < seq.length; i++) {
+    if (!degenerateBases[seq[i]]) {
+      throw new Error(`Cannot compute the thermodynamics of ${sequence}: '${seq[i]}' at ${i} is not an IUPAC base`);
+    }
+  }
+  return seq;
+}
+
+// The parameters of one step, averaged over the bases its degenerate codes stand for
+function stepParameters(first, second) {
+  let dH = 0;
+  let dS = 0;
+  let count = 0;
+  for (const a of degenerateBases[first]) {
+    for (const b of degenerateBases[second]) {
+      const [h, s] = nearestNeighbors[a + b] || nearestNeighbors[complements[b] + complements[a]];
+      dH += h;
+      dS += s;
+      count++;
+    }
+  }
+  return [dH / count, dS / count];
+}
+
+function terminalParameters(base) {
+  const bases = degenerateBases[base];
+  const gc = [...bases].filter(b => b === 'G' || b === 'C').length / bases.length;
+  return [gc * terminalGC[0] + (1 - gc) * terminalAT[0], gc * terminalGC[1] + (1 - gc) * terminalAT[1]];
+}
+
+function isSelfComplementary(seq) {
+  return /^[ACGT]+$/.test(seq) && [...seq].reverse().map(b => complements[b]).join('') === seq;
+}
+
+/**
+ * Computes the enthalpy and entropy of forming a perfectly paired duplex of a sequence and its complement,
+ * at 1 M Na+. Degenerate bases are averaged over the bases they stand for.
+ *
+ * @param {string} sequence - At least two bases.
+ * @returns {{dH: number, dS: number, dG37: number}} ΔH in kcal/mol, ΔS in cal/K·mol and ΔG at 37 °C in kcal/mol.
+ *
+ * @example
+ * duplexThermo("CGTTGA"); // { dH: -41.2, dS: -115.4, dG37: -5.4 }
+ */
+function duplexThermo(sequence) {
+  const seq = cleanSequence(sequence);
+  if (seq.length < 2) {
+    throw new Error(`Cannot compute the thermodynamics of ${sequence}: it needs at least two bases`);
+  }
+  let [dH, dS] = terminalParameters(seq[0]);
+  const [endH, endS] = terminalParameters(seq[seq.length - 1]);
+  dH += endH;
+  dS += endS;
+  for (let i = 0; i < seq.length - 1; i++) {
+    const [h, s] = stepParameters(seq[i], seq[i + 1]);
+    dH += h;
+    dS += s;
+  }
+  if (isSelfComplementary(seq)) {
+    dS += symmetryEntropy;
+  }
+  return { dH, dS, dG37: dH - 310.15 * dS / 1000 };
+}
+
+// Corrects a Tm at 1 M Na+ (in K) of a duplex of `length` bp with a fraction fGC of G·C pairs for the
+// cations of the reaction
+function saltCorrection(tm1M, length, fGC, conditions) {
+  const monovalent = (conditions.Na + conditions.K + conditions.Tris / 2) / 1000;
+  const mg = Math.max(0, conditions.Mg - conditions.dNTP) / 1000;
+  if (monovalent <= 0 && mg <= 0) {
+    throw new Error("Cannot compute a Tm without cations: give a Na+, K+, Tris or Mg2+ concentration");
+  }
+
+  const sodium = (lnNa) => 1 / tm1M + (4.29 * fGC - 3.95) * 1e-5 * lnNa + 9.40e-6 * lnNa * lnNa;
+  if (mg <= 0) {
+    return 1 / sodium(Math.log(monovalent));
+  }
+  const ratio = monovalent > 0 ? Math.sqrt(mg) / monovalent : Infinity;
+  if (ratio < 0.22) {
+    return 1 / sodium(Math.log(monovalent));
+  }
+
+  let a = 3.92e-5;
+  let d = 1.42e-5;
+  let g = 8.31e-5;
+  if (ratio < 6) {
+    const lnNa = Math.log(monovalent);
+    a = 3.92e-5 * (0.843 - 0.352 * Math.sqrt(monovalent) * lnNa);
+    d = 1.42e-5 * (1.279 - 4.03e-3 * lnNa - 8.03e-3 * lnNa * lnNa);
+    g = 8.31e-5 * (0.486 - 0.258 * lnNa + 5.25e-3 * lnNa * lnNa * lnNa);
+  }
+  const lnMg = Math.log(mg);
+  const inverse = 1 / tm1M + a - 9.11e-6 * lnMg + fGC * (6.26e-5 + d * lnMg) +
+    (1 / (2 * (length - 1))) * (-4.82e-4 + 5.25e-4 * lnMg + g * lnMg * lnMg);
+  return 1 / inverse;
+}
+
+/**
+ * Computes the melting temperature of an oligo annealed to its perfect complement by the nearest-neighbor
+ * method, corrected for the reaction's cations.
+ *
+ * @param {string} sequence - The oligo, or the part of it that anneals. Degenerate bases are averaged over.
+ * @param {Object} [conditions]
+ * @param {string} [conditions.polymerase] - Start from a polymerase's preset buffer ('Taq', 'Phusion', 'Q5').
+ * @param {number} [conditions.Na=50] - Na+, mM.
+ * @param {number} [conditions.K=0] - K+, mM.
+ * @param {number} [conditions.Tris=0] - Tris buffer, mM (half of it counts as monovalent cation).
+ * @param {number} [conditions.Mg=0] - Mg2+, mM.
+ * @param {number} [conditions.dNTP=0] - dNTPs, mM, which bind Mg2+ one for one.
+ * @param {number} [conditions.oligo=250] - The oligo, nM.
+ * @returns {number} The Tm in °C.
+ * @throws {Error} If the sequence is shorter than two bases or holds a non-IUPAC character, or there are no cations.
+ *
+ * @example
+ * meltingTemperature("GTCCCTATCAGTGATAGAGA"); // about 50.3
+ * meltingTemperature("GTCCCTATCAGTGATAGAGA", { polymerase: 'Q5' }); // about 58.6
+ */
+function meltingTemperature(sequence, conditions = {}) {
+  const seq = cleanSequence(sequence);
+  const resolved = resolveConditions(conditions);
+  const { dH, dS } = duplexThermo(seq);
+  // Oligos in excess over their target: the Tm depends on the oligo concentration alone
+  const concentration = resolved.oligo * 1e-9;
+  const tm1M = (dH * 1000) / (dS + gasConstant * Math.log(concentration));
+  const fGC = [...seq].filter(b => b === 'G' || b === 'C' || b === 'S').length / seq.length;
+  return saltCorrection(tm1M, seq.length, fGC, resolved) - 273.15;
+}
+
+/**
+ * Prepares to compute the melting temperatures of many windows of one sequence, as when searching it for
+ * an annealing site. Each window's Tm is the same as meltingTemperature gives for it, but takes constant
+ * time rather than time in proportion to its length.
+ *
+ * @param {string} sequence - The sequence whose windows are measured.
+ * @param {Object} [conditions] - As for meltingTemperature.
+ * @returns {function(number, number): number} Gives the Tm in °C of the window from `start` up to, but not
+ *          including, `end`.
+ *
+ * @example
+ * const tmOf = windowedTm(template, { polymerase: 'Q5' });
+ * tmOf(100, 120); // the same as meltingTemperature(template.slice(100, 120), { polymerase: 'Q5' })
+ */
+function windowedTm(sequence, conditions = {}) {
+  const seq = cleanSequence(sequence);
+  const resolved = resolveConditions(conditions);
+  const concentrationTerm = gasConstant * Math.log(resolved.oligo * 1e-9);
+  // Running sums of the step parameters and of G/C bases, so any window's totals are a difference
+  const stepH = [0];
+  const stepS = [0];
+  const gcCount = [0];
+  const terminals = [...seq].map(terminalParameters);
+  for (let i = 0; i < seq.length; i++) {
+    if (i > 0) {
+      const [h, s] = stepParameters(seq[i - 1], seq[i]);
+      stepH.push(stepH[i - 1] + h);
+      stepS.push(stepS[i - 1] + s);
+    }
+    gcCount.push(gcCount[i] + (seq[i] === 'G' || seq[i] === 'C' || seq[i] === 'S' ? 1 : 0));
+  }
+
+  return (start, end) => {
+    if (end - start < 2) {
+      throw new Error(`Cannot compute the thermodynamics of a window of ${end - start} bases: it needs at least two`);
+    }
+    const dH = terminals[start][0] + terminals[end - 1][0] + stepH[end - 1] - stepH[start];
+    let dS = terminals[start][1] + terminals[end - 1][1] + stepS[end - 1] - stepS[start];
+    if (complements[seq[start]] === seq[end - 1] && isSelfComplementary(seq.slice(start, end))) {
+      dS += symmetryEntropy;
+    }
+    const tm1M = (dH * 1000) / (dS + concentrationTerm);
+    return saltCorrection(tm1M, end - start, (gcCount[end] - gcCount[start]) / (end - start), resolved) - 273.15;
+  };
+}
+
+/**
+ * Suggests an annealing temperature for a primer pair: the lower of their Tms plus the polymerase's offset,
+ * and no higher than 72 °C.
+ *
+ * @param {string} forward - The forward primer's annealing part.
+ * @param {string} reverse - The reverse primer's annealing part.
+ * @param {Object} [conditions] - As for meltingTemperature; the offset comes from `conditions.polymerase`.
+ * @returns {number} The annealing temperature in °C, to one decimal place.
+ */
+function annealingTemperature(forward, reverse, conditions = {}) {
+  const preset = conditions.polymerase ? getPolymerase(conditions.polymerase) : null;
+  const offset = preset ? preset.annealOffset : -5;
+  const tm = Math.min(meltingTemperature(forward, conditions), meltingTemperature(reverse, conditions));
+  return Math.round(Math.min(72, tm + offset) * 10) / 10;
+}
+
+// ΔG at 37 °C (kcal/mol) of closing a hairpin loop of 3 to 10 bases (SantaLucia and Hicks, 2004)
+const hairpinLoops = { 3: 3.5, 4: 3.5, 5: 3.3, 6: 4.0, 7: 4.2, 8: 4.3, 9: 4.5, 10: 4.6 };
+
+// Limits beyond which an oligo's secondary structure is a problem, as ΔG at 37 °C in kcal/mol
+const structureLimits = { hairpin: -3, dimer: -9, threePrimeDimer: -5, endStability: -9 };
+
+function freeEnergy([dH, dS]) {
+  return dH - 310.15 * dS / 1000;
+}
+
+function hairpinLoopEnergy(size) {
+  if (hairpinLoops[size] !== undefined) return hairpinLoops[size];
+  return hairpinLoops[10] + 2.44 * gasConstant * 310.15 / 1000 * Math.log(size / 10);
+}
+
+function pairs(a, b) {
+  return complements[a] === b;
+}
+
+/**
+ * Finds the most stable hairpin an oligo can fold into: a stem of consecutive Watson-Crick pairs closing
+ * a loop of at least three bases.
+ *
+ * @param {string} sequence - The oligo, 5' to 3'.
+ * @returns {{dG: number, stem: number, loop: number, start: number, end: number}|null} ΔG at 37 °C in kcal/mol,
+ *          the stem length in base pairs, the loop size, and the indices of the outermost paired bases; or null
+ *          if no hairpin is more stable than the unfolded oligo.
+ *
+ * @example
+ * hairpinThermo("GGGCGCAAAGCGCCC"); // { dG: -6.78..., stem: 6, loop: 3, start: 0, end: 14 }
+ */
+function hairpinThermo(sequence) {
+  const seq = cleanSequence(sequence);
+  let best = null;
+  for (let p = 0; p < seq.length; p++) {
+    for (let q = p + 4; q < seq.length; q++) {
+      // (p, q) is the innermost pair; extend the stem outward from it
+      if (!pairs(seq[p], seq[q])) continue;
+      const loop = q - p - 1;
+      let stacks = 0;
+      for (let k = 1; p - k >= 0 && q + k < seq.length && pairs(seq[p - k], seq[q + k]); k++) {
+        stacks += freeEnergy(nearestNeighbors[seq[p - k] + seq[p - k + 1]] ||
+          nearestNeighbors[complements[seq[p - k + 1]] + complements[seq[p - k]]]);
+        const outer = seq[p - k];
+        const terminal = outer === 'A' || outer === 'T' ? freeEnergy(terminalAT) - freeEnergy(terminalGC) : 0;
+        const dG = stacks + hairpinLoopEnergy(loop) + terminal;
+        if (dG < 0 && (!best || dG < best.dG)) {
+          best = { dG, stem: k + 1, loop, start: p - k, end: q + k };
+        }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Finds the most stable duplex two oligos can form with each other, as the longest-lasting stretch of
+ * consecutive Watson-Crick pairs between them in any antiparallel alignment. Pass the same oligo twice
+ * for its self-dimer.
+ *
+ * @param {string} first - One oligo, 5' to 3'.
+ * @param {string} second - The other oligo, 5' to 3'.
+ * @returns {{dG: number, length: number, start: number, partnerStart: number, threePrime: boolean}|null} ΔG at
+ *          37 °C in kcal/mol, the number of base pairs, where the stretch starts in each oligo, and whether it
+ *          pairs either oligo's 3'-terminal base (so the polymerase can extend it); or null if the oligos
+ *          cannot pair over two or more bases.
+ *
+ * @example
+ * dimerThermo("ACGTGAATTCACGT", "ACGTGAATTCACGT"); // a 14 bp self-dimer
+ */
+function dimerThermo(first, second) {
+  const a = cleanSequence(first);
+  const b = cleanSequence(second);
+  let best = null;
+  // a[i] faces b[j] when i + j = diagonal
+  for (let diagonal = 0; diagonal <= a.length + b.length - 2; diagonal++) {
+    let run = 0;
+    for (let i = Math.max(0, diagonal - b.length + 1); i <= Math.min(a.length - 1, diagonal) + 1; i++) {
+      const paired = i <= Math.min(a.length - 1, diagonal) && pairs(a[i], b[diagonal - i]);
+      if (paired) {
+        run++;
+        continue;
+      }
+      if (run >= 2) {
+        const start = i - run;
+        const { dG37 } = duplexThermo(a.slice(start, i));
+        if (!best || dG37 < best.dG) {
+          const partnerStart = diagonal - (i - 1);
+          best = {
+            dG: dG37, length: run, start, partnerStart,
+            threePrime: i === a.length || partnerStart + run === b.length
+          };
+        }
+      }
+      run = 0;
+    }
+  }
+  return best;
+}
+
+/**
+ * The stability of an oligo's 3' end: the ΔG at 37 °C of its last bases paired with their complement.
+ * Very stable 3' ends prime from partial matches.
+ *
+ * @param {string} sequence - The oligo, 5' to 3'.
+ * @param {number} [length=5] - How many 3'-terminal bases to consider.
+ * @returns {number} ΔG in kcal/mol.
+ */
+function endStability(sequence, length = 5) {
+  const seq = cleanSequence(sequence);
+  return duplexThermo(seq.slice(-Math.max(2, length))).dG37;
+}
+
+/**
+ * Checks an oligo for hairpins, self-dimers, dimers with a partner and an over-stable 3' end.
+ *
+ * @param {string} sequence - The oligo, 5' to 3'.
+ * @param {Object} [options]
+ * @param {string} [options.partner] - The other oligo of a pair, to check for dimers between them.
+ * @param {Object} [options.limits] - ΔG limits in kcal/mol; structures more stable than these are problems.
+ *        Defaults to `{ hairpin: -3, dimer: -9, threePrimeDimer: -5, endStability: -9 }`, where
+ *        threePrimeDimer applies to dimers that pair a 3' end.
+ * @returns {{hairpin: Object|null, selfDimer: Object|null, heteroDimer: Object|null, endStability: number,
+ *          problems: Array<string>}} The most stable structures (see hairpinThermo and dimerThermo), the
+ *          3'-end ΔG, and a description of each structure beyond its limit.
+ *
+ * @example
+ * primerStructure("GGGCGCAAAGCGCCCTTAC").problems; // ["hairpin with a 6 bp stem and a 3 base loop (ΔG -6.8 kcal/mol)"]
+ */
+function primerStructure(sequence, options = {}) {
+  const limits = { ...structureLimits, ...(options.limits || {}) };
+  const hairpin = hairpinThermo(sequence);
+  const selfDimer = dimerThermo(sequence, sequence);
+  const heteroDimer = options.partner ? dimerThermo(sequence, options.partner) : null;
+  const end = endStability(sequence);
+
+  const problems = [];
+  const kcal = (dG) => `ΔG ${dG.toFixed(1)} kcal/mol`;
+  if (hairpin && hairpin.dG < limits.hairpin) {
+    problems.push(`hairpin with a ${hairpin.stem} bp stem and a ${hairpin.loop} base loop (${kcal(hairpin.dG)})`);
+  }
+  const dimers = [['self-dimer', selfDimer], ['dimer with its partner', heteroDimer]];
+  for (const [kind, dimer] of dimers) {
+    if (dimer && dimer.dG < (dimer.threePrime ? Math.max(limits.dimer, limits.threePrimeDimer) : limits.dimer)) {
+      problems.push(`${kind} over ${dimer.length} bp${dimer.threePrime ? " that pairs a 3' end" : ''} (${kcal(dimer.dG)})`);
+    }
+  }
+  if (end < limits.endStability) {
+    problems.push(`very stable 3' end (${kcal(end)} for the last 5 bases)`);
+  }
+  return { hairpin, selfDimer, heteroDimer, endStability: end, problems };
+}
+
+export {
+  duplexThermo,
+  meltingTemperature,
+  annealingTemperature,
+  windowedTm,
+  hairpinThermo,
+  dimerThermo,
+  endStability,
+  primerStructure,
+  getPolymerase,
+  listPolymerases
+};
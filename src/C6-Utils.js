@@ -40,11 +40,52 @@ function makeJSON(inputArray) {
     return JSON.stringify(obj);
 }
 
+// Function to count the edits (insertions, deletions, substitutions or swaps of adjacent
+// characters) needed to turn one string into another, ignoring case
+function editDistance(a, b) {
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+    const d = [];
+    for (let i = 0; i <= a.length; i++) {
+        d.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+        d[0][j] = j;
+    }
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
 
+// Function to read a UTF-8 text file from disk. Only available under Node.js
+async function readTextFile(path) {
+    const { readFile } = await import('fs/promises');
+    return readFile(path, 'utf8');
+}
+
+// Function to load a data file: reads it, parses the text and, unless options.register is false,
+// hands what was parsed to `register`. Returns what was parsed. Only available under Node.js
+async function loadTextFile(path, parse, register, options = {}) {
+    const result = parse(await readTextFile(path));
+    if (options.register !== false) {
+        register(result);
+    }
+    return result;
+}
 
 
 export {
   merge,
   field,
-  makeJSON
+  makeJSON,
+  editDistance,
+  readTextFile,
+  loadTextFile
 };
\ No newline at end of file
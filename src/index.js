@@ -1,18 +1,28 @@
 // src/index.js
 
 import * as Annotator from './C6-Annotator.js';
+import * as Enzymes from './C6-Enzymes.js';
+import * as Fidelity from './C6-Fidelity.js';
+import * as Gel from './C6-Gel.js';
 import * as Gene from './C6-Gene.js';
 import * as Oligos from './C6-Oligos.js';
 import * as Seq from './C6-Seq.js';
 import * as Sim from './C6-Sim.js';
+import * as Strains from './C6-Strains.js';
+import * as Thermo from './C6-Thermo.js';
 import * as Utils from './C6-Utils.js';
 
 const C6 = {
   ...Annotator,
+  ...Enzymes,
+  ...Fidelity,
+  ...Gel,
   ...Gene,
   ...Oligos,
   ...Seq,
   ...Sim,
+  ...Strains,
+  ...Thermo,
   ...Utils
 };
 
@@ -78,4 +78,37 @@ describe('C6-Annotator synthetic TU and expression tests', () => {
     expect(nonExpressed.length).toBe(1);
     expect(nonExpressed[0].label).toBe('Gene2');
   });
-});
\ No newline at end of file
+
+  test('annotateSequence reports reverse-strand and degenerate features', () => {
+    const featureDb = [
+      { Name: 'T7 Promoter', Sequence: 'TAATACGACTCACTATAGGG', Type: 'promoter', Color: '#ff0000' },
+      { Name: 'lacO-like', Sequence: 'AATTGTGAGCNNNN', Type: 'operator', Color: '#00ff00' }
+    ];
+    // T7 promoter on the bottom strand, then an operator with any four bases after it
+    const sequence = 'GGCCCTATAGTGAGTCGTATTAGGAATTGTGAGCGGATAA';
+    const annotations = annotateSequence(sequence, featureDb);
+    // The reverse-strand promoter is placed by its position in the reverse complement
+    expect(annotations.map(a => [a.label, a.start, a.end, a.strand])).toEqual([
+      ['T7 Promoter', 18, 38, -1],
+      ['lacO-like', 24, 38, 1]
+    ]);
+  });
+
+  test('annotateSequence can place every feature in top-strand coordinates', () => {
+    const featureDb = [
+      { Name: 'T7 Promoter', Sequence: 'TAATACGACTCACTATAGGG', Type: 'promoter', Color: '#ff0000' },
+      { Name: 'Palindrome', Sequence: 'GAATTCGCGCGAATTC', Type: 'misc', Color: '#0000ff' }
+    ];
+    const sequence = 'GGCCCTATAGTGAGTCGTATTAGGAAGAATTCGCGCGAATTCAA';
+    expect(annotateSequence(sequence, featureDb).map(a => [a.label, a.start, a.strand])).toEqual([
+      ['Palindrome', 2, -1],
+      ['T7 Promoter', 22, -1],
+      ['Palindrome', 26, 1]
+    ]);
+    expect(annotateSequence(sequence, featureDb, { topStrand: true }).map(a => [a.label, a.start, a.strand])).toEqual([
+      ['T7 Promoter', 2, -1],
+      ['Palindrome', 26, 1]
+    ]);
+  });
+
+});
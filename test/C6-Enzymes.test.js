@@ -0,0 +1,183 @@
+import { describe, it, expect } from 'vitest';
+import { writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  parseSite, registerEnzyme, getEnzyme, listEnzymes, isoschizomers, findSites, siteMethylation,
+  parseWithrefm, parseBairoch, parseRebase, loadRebaseFile
+} from 'src/C6-Enzymes.js';
+import { plasmid } from 'src/C6-Seq.js';
+import { cutOnce, digestAll } from 'src/C6-Sim.js';
+
+const withrefm = `REBASE version 511                                              withrefm.511
+
+<1>EcoRI
+<2>EcoRI,FunII
+<3>G^AATTC
+<4>
+<5>Escherichia coli RY13
+<6>R.N. Yoshimori
+<7>BCJMNOQRSVWXY
+<8>
+<1>BsaI
+<2>Eco31I
+<3>GGTCTC(1/5)
+<4>
+<5>Bacillus stearothermophilus 6-55
+<6>
+<7>N
+<8>
+<1>AaaI
+<2>XmaIII
+<3>C^GGCCG
+<4>
+<5>Acetobacter aceti sub. liquefaciens
+<6>
+<7>
+<8>
+<1>AloI
+<2>AloI
+<3>(7/12)GAACNNNNNNTCC(12/7)
+<4>
+<5>Acinetobacter lwoffii Ks 4-8
+<6>
+<7>
+<8>
+`;
+
+const bairoch = `ID   EcoRI
+ET   R2
+OS   Escherichia coli RY13
+PT   EcoRI
+RS   GAATTC, 1;
+CR   BCJMNOQRSVWXY.
+//
+ID   BsaI
+ET   R2
+OS   Bacillus stearothermophilus 6-55
+PT   Eco31I
+RS   GGTCTC, 7; GAGACC, -5;
+CR   N.
+//
+ID   AbaBGI
+ET   R2
+PT   none
+RS   ?, ?;
+CR   .
+//
+`;
+
+describe('C6-Enzymes Tests', () => {
+
+  it('parses caret and external cut sites', () => {
+    expect(parseSite('G^AATTC')).toEqual({ recognitionSequence: 'GAATTC', cut5: -5, cut3: -1 });
+    expect(parseSite('CTGCA^G')).toEqual({ recognitionSequence: 'CTGCAG', cut5: -1, cut3: -5 });
+    expect(parseSite('GGTCTC(1/5)')).toEqual({ recognitionSequence: 'GGTCTC', cut5: 1, cut3: 5 });
+    expect(parseSite('CCGC(-3/-1)')).toEqual({ recognitionSequence: 'CCGC', cut5: -3, cut3: -1 });
+    expect(() => parseSite('GAATTC')).toThrow(/single cut/);
+    expect(() => parseSite('(7/12)GAACNNNNNNTCC(12/7)')).toThrow(/both sides/);
+    expect(() => parseSite('GA^XTTC')).toThrow(/IUPAC/);
+  });
+
+  it('holds hundreds of commercial enzymes', () => {
+    expect(listEnzymes({ commercial: true }).length).toBeGreaterThan(200);
+    const bsai = getEnzyme('BsaI');
+    expect(bsai).toMatchObject({ recognitionSequence: 'GGTCTC', recognitionRC: 'GAGACC', cut5: 1, cut3: 5, isFivePrime: true, overhang: 4 });
+    expect(getEnzyme('ecori').name).toBe('EcoRI');
+    expect(getEnzyme('PstI').isFivePrime).toBe(false);
+    expect(getEnzyme('EcoRV').isBlunt).toBe(true);
+    expect(getEnzyme('NotAnEnzyme')).toBe(null);
+  });
+
+  it('finds degenerate sites on both strands', () => {
+    // BsiHKAI is GWGCW^C, BstYI is R^GATCY
+    expect(findSites('TTGAGCACAAGTGCTCAA', 'BsiHKAI')).toEqual([{ index: 2, strand: 1 }, { index: 10, strand: 1 }]);
+    expect(findSites('AGATCCTTGGATCT', 'BstYI').map(s => s.index)).toEqual([0, 8]);
+    expect(findSites('AGATCG', 'BstYI')).toEqual([]);
+    // Overlapping and bottom-strand sites are all reported
+    expect(findSites('GGTCTCGAGACC', 'BsaI')).toEqual([{ index: 0, strand: 1 }, { index: 6, strand: -1 }]);
+    expect(() => findSites('ACGT', 'NotAnEnzyme')).toThrow(/not found/);
+  });
+
+  it('cuts at degenerate sites when digesting', () => {
+    const poly = plasmid('AGATCC' + 'TTTTTTTTTT' + 'GGATCT' + 'AAAAAAAAAA');
+    const frags = digestAll(poly, ['BstYI']);
+    expect(frags.map(f => f.polynucleotide.sequence).sort()).toEqual(['CTTTTTTTTTTG', 'TAAAAAAAAAAA']);
+    expect(frags.every(f => f.polynucleotide.ext5 === 'GATC')).toBe(true);
+    expect(cutOnce(poly, 'BstYI')[0].ext5).toBe('GATC');
+  });
+
+  it('looks up isoschizomers and neoschizomers', () => {
+    expect(isoschizomers('BsaI', { sameCut: true })).toContain('Eco31I');
+    expect(isoschizomers('BsmBI', { sameCut: true })).toContain('Esp3I');
+    expect(isoschizomers('SmaI')).toContain('XmaI');
+    expect(isoschizomers('SmaI', { sameCut: true })).not.toContain('XmaI');
+    expect(() => isoschizomers('NotAnEnzyme')).toThrow(/not found/);
+  });
+
+  it('registers custom enzymes', () => {
+    const record = registerEnzyme('TestI', 'GACNN^NNGTC');
+    expect(record).toMatchObject({ recognitionSequence: 'GACNNNNGTC', isDegenerate: true, isPalindromic: true, isBlunt: true });
+    expect(getEnzyme('TestI')).toBe(record);
+    expect(registerEnzyme('TestII', { recognitionSequence: 'GGTCTC', cut5: 1, cut3: 5 }).site).toBe('GGTCTC(1/5)');
+    expect(isoschizomers('TestII', { sameCut: true })).toContain('BsaI');
+  });
+
+  it('parses REBASE withrefm files', () => {
+    const { enzymes, skipped } = parseWithrefm(withrefm);
+    expect(enzymes.map(e => e.name)).toEqual(['EcoRI', 'BsaI', 'AaaI']);
+    expect(enzymes[1]).toMatchObject({ recognitionSequence: 'GGTCTC', cut5: 1, cut3: 5, prototype: 'Eco31I', commercial: true, suppliers: 'N' });
+    expect(enzymes[2].commercial).toBe(false);
+    expect(skipped.map(s => s.name)).toEqual(['AloI']);
+  });
+
+  it('parses REBASE bairoch files', () => {
+    const { enzymes, skipped } = parseBairoch(bairoch);
+    expect(enzymes.map(e => [e.name, e.site])).toEqual([['EcoRI', 'G^AATTC'], ['BsaI', 'GGTCTC(1/5)']]);
+    expect(enzymes[0]).toMatchObject({ cut5: -5, cut3: -1, commercial: true });
+    expect(skipped.map(s => s.name)).toEqual(['AbaBGI']);
+    expect(parseRebase(bairoch).format).toBe('bairoch');
+    expect(parseRebase(withrefm).format).toBe('withrefm');
+    expect(() => parseRebase('not a rebase file')).toThrow(/Unrecognized/);
+  });
+
+  it('loads a REBASE file from disk', async () => {
+    const path = join(tmpdir(), `c6-withrefm-${process.pid}.txt`);
+    await writeFile(path, withrefm.replace(/AaaI/, 'AaaTestI'));
+    try {
+      const loaded = await loadRebaseFile(path, { commercialOnly: true });
+      expect(loaded.enzymes.map(e => e.name)).toEqual(['EcoRI', 'BsaI']);
+      expect(getEnzyme('AaaTestI')).toBe(null);
+
+      await loadRebaseFile(path);
+      expect(getEnzyme('AaaTestI')).toMatchObject({ recognitionSequence: 'CGGCCG', prototype: 'XmaIII', commercial: false });
+    } finally {
+      await rm(path);
+    }
+  });
+
+  it('separates sites that are definitely cut from those that may be', () => {
+    // The N could be the C of a BamHI site, so BamHI may cut here, but BstYI (R^GATCY) cuts whatever it is
+    expect(findSites('AAGGATCNAA', 'BamHI')).toEqual([]);
+    expect(findSites('AAGGATCNAA', 'BamHI', { possible: true })).toEqual([{ index: 2, strand: 1, possible: true }]);
+    expect(findSites('AAGGATCYAA', 'BstYI')).toEqual([{ index: 2, strand: 1 }]);
+    expect(findSites('AAGGATGNAA', 'BamHI', { possible: true })).toEqual([]);
+  });
+
+  it('tells which sites methylation blocks', () => {
+    // XbaI is blocked by a GATC overlapping its site, but not by one nearby
+    expect(siteMethylation('AATCTAGATCAA', 'XbaI', 2, ['dam', 'dcm'])).toEqual([
+      { system: 'dam', sensitivity: 'blocked', methylated: true, motif: 'GATC', position: 6 }
+    ]);
+    expect(siteMethylation('AATCTAGAAGATCAA', 'XbaI', 2, ['dam'])[0].methylated).toBe(false);
+    expect(siteMethylation('AATCTAGATCAA', 'XbaI', 2, [])[0].methylated).toBe(false);
+    // On a circle the motif can run across the origin
+    expect(siteMethylation('TCAATCTAGA', 'XbaI', 4, ['dam'], { circular: true })[0]).toMatchObject({ methylated: true, position: 8 });
+    expect(siteMethylation('AAGATCAA', 'DpnI', 2, ['dam'])).toEqual([
+      { system: 'dam', sensitivity: 'required', methylated: true, motif: 'GATC', position: 2 }
+    ]);
+    expect(getEnzyme('EcoRI').methylation).toEqual({});
+    expect(() => siteMethylation('AAGATCAA', 'DpnI', 2, ['ecoK'])).toThrow(/Unknown methylation system/);
+  });
+
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseLigationMatrix, setLigationData, getLigationData, loadLigationFile, overhangFidelity } from 'src/C6-Fidelity.js';
+import { dsDNA } from 'src/C6-Seq.js';
+import { goldengateReport, parseCF, simCFReport } from 'src/C6-Sim.js';
+
+// A few rows of a ligation matrix: GGTA mis-ligates to TTCC, the complement of GGAA, a quarter as often as
+// to its own complement
+const matrix = `# T4 ligase, 4-nt overhangs
+Overhang,GCTT,AAGC,TACT,AGTA,GGTA,TACC,GGAA,TTCC
+GCTT,0,1000,0,0,0,0,0,0
+AAGC,1000,0,0,0,0,0,0,0
+TACT,0,0,0,990,0,0,0,10
+AGTA,0,0,990,0,0,0,0,0
+GGTA,0,0,0,0,0,800,0,200
+TACC,0,0,0,0,800,0,0,0
+GGAA,0,0,0,0,0,0,0,900
+TTCC,10,0,0,0,200,0,900,0
+`;
+
+describe('C6-Fidelity Tests', () => {
+
+  it('parses ligation frequency matrices', () => {
+    const data = parseLigationMatrix(matrix + 'ACGT,1,2\nNOPE,1,2,3,4,5,6,7,8\n');
+    expect(data.overhangs).toEqual(['GCTT', 'AAGC', 'TACT', 'AGTA', 'GGTA', 'TACC', 'GGAA', 'TTCC']);
+    expect(data.frequencies.GGTA).toMatchObject({ TACC: 800, TTCC: 200, GCTT: 0 });
+    expect(data.skipped.map(s => [s.line, s.reason])).toEqual([
+      [11, 'expected 8 values, found 2'],
+      [12, 'NOPE is not an overhang']
+    ]);
+    expect(parseLigationMatrix('\tAATT\tGGAG\nAATT\t5\t0\nGGAG\t0\t2').frequencies.AATT.AATT).toBe(5);
+    expect(() => parseLigationMatrix('Overhang,not,overhangs')).toThrow(/first line/);
+  });
+
+  it('scores a set of overhangs', () => {
+    const ligationData = parseLigationMatrix(matrix);
+    expect(overhangFidelity(['GCTT', 'TACT'], { ligationData })).toMatchObject({ fidelity: 1, lowFidelityPairs: [], warnings: [] });
+
+    const result = overhangFidelity(['GCTT', 'TACT', 'GGTA', 'GGAA'], { ligationData });
+    expect(result.fidelity).toBeCloseTo(0.99 * 0.8);
+    expect(result.overhangs.map(o => o.overhang)).toEqual(['GCTT', 'TACT', 'GGTA', 'GGAA']);
+    expect(result.lowFidelityPairs).toEqual([{ overhang: 'GGTA', partner: 'TTCC', ratio: 0.25 }]);
+    expect(result.warnings).toEqual([
+      "Overhang GGTA mis-ligates to TTCC 25% as often as to its complement TACC",
+      "The overhangs are expected to assemble correctly 79.2% of the time, below 90%"
+    ]);
+    expect(overhangFidelity(['GCTT', 'TACT', 'GGTA', 'GGAA'], { ligationData, maxMisligation: 0.01, minFidelity: 0.5 }).warnings).toEqual([
+      "Overhang TACT mis-ligates to TTCC 1% as often as to its complement AGTA",
+      "Overhang GGTA mis-ligates to TTCC 25% as often as to its complement TACC"
+    ]);
+  });
+
+  it('leaves out overhangs it has no data for', () => {
+    const result = overhangFidelity(['GCTT', 'AATG'], { ligationData: parseLigationMatrix(matrix) });
+    expect(result).toMatchObject({ fidelity: 1, missing: ['AATG'] });
+    expect(result.warnings).toEqual(["The ligation data has no correct ligations for AATG, so it was left out of the fidelity"]);
+  });
+
+  it('rejects sets that cannot assemble in one order', () => {
+    const ligationData = parseLigationMatrix(matrix);
+    expect(() => overhangFidelity(['GCTT', 'GATC'], { ligationData })).toThrow(/GATC is palindromic/);
+    expect(() => overhangFidelity(['GCTT', 'AAGC'], { ligationData })).toThrow(/AAGC is used more than once/);
+    setLigationData(null);
+    expect(() => overhangFidelity(['GCTT'])).toThrow(/No ligation data/);
+  });
+
+  it('loads a ligation matrix from disk', async () => {
+    const path = join(tmpdir(), `c6-ligation-${process.pid}.csv`);
+    await writeFile(path, matrix);
+    try {
+      const data = await loadLigationFile(path, { register: false });
+      expect(getLigationData()).toBe(null);
+      expect(data.frequencies.TTCC.GGAA).toBe(900);
+
+      await loadLigationFile(path);
+      expect(overhangFidelity(['GGTA', 'GGAA']).lowFidelityPairs).toEqual([{ overhang: 'GGTA', partner: 'TTCC', ratio: 0.25 }]);
+    } finally {
+      setLigationData(null);
+      await rm(path);
+    }
+  });
+
+  it('scores the overhangs of a Golden Gate assembly', () => {
+    const frag1 = dsDNA('ccaaaGGTCTCAGCTTTGATCGATTCAACCTACTTCCCCTTCATAATCGGTACTAGAGACCacgac');
+    const frag2 = dsDNA('GGTCTCATACTCAAAATTTACTGACTGGACATGGTCACCACTTAAGTAAGCTTTGAGACC');
+    expect(goldengateReport([frag1, frag2], 'BsaI')).toMatchObject({ overhangs: ['GCTT', 'TACT'], fidelity: null, warnings: [] });
+
+    const ligationData = parseLigationMatrix(matrix);
+    const report = goldengateReport([frag1, frag2], 'BsaI', { ligationData });
+    expect(report.product.isCircular).toBe(true);
+    expect(report.fidelity.fidelity).toBe(1);
+
+    const cf = parseCF(`GoldenGate\tf1\tf2\tBsaI\tgg\n\ndsdna\tf1\t${frag1.sequence}\ndsdna\tf2\t${frag2.sequence}`);
+    expect(simCFReport(cf, { ligationData, minFidelity: 1.01 }).steps[0].warnings).toEqual([
+      "The overhangs are expected to assemble correctly 100.0% of the time, below 101%"
+    ]);
+  });
+
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { gel, gelRange, renderGelSVG } from 'src/C6-Gel.js';
+import { dsDNA, plasmid, oligo } from 'src/C6-Seq.js';
+import { digest, digestAll } from 'src/C6-Sim.js';
+
+// Site-free filler of the requested length
+const filler = (n) => "ACGTTGCA".repeat(Math.ceil(n / 8)).slice(0, n);
+
+// A 3 kb plasmid with an EcoRI site at 0 and a BamHI site at 1000
+const pTest = plasmid("GAATTC" + filler(994) + "GGATCC" + filler(1994));
+
+describe('C6-Gel Tests', () => {
+
+  it('shifts the resolving range to smaller fragments as agarose increases', () => {
+    expect(gelRange(1)).toEqual({ min: 500, max: 10000 });
+    const low = gelRange(0.8);
+    expect(low.min).toBeGreaterThan(500);
+    expect(low.min).toBeLessThan(800);
+    expect(gelRange(2).max).toBeLessThan(gelRange(1).max);
+    expect(() => gelRange(0)).toThrow(/agarose/);
+  });
+
+  it('runs smaller fragments further, in semi-log proportion', () => {
+    const result = gel([[dsDNA(filler(1000)), dsDNA(filler(2000)), dsDNA(filler(4000))]], { ladder: null });
+    const [b4000, b2000, b1000] = result.lanes[0].bands;
+    expect(b4000.size).toBe(4000);
+    expect(b1000.position).toBeGreaterThan(b2000.position);
+    expect(b2000.position).toBeGreaterThan(b4000.position);
+    expect(b1000.position - b2000.position).toBeCloseTo(b2000.position - b4000.position, 5);
+  });
+
+  it('resolves small fragments only on high-percentage gels', () => {
+    const lane = [dsDNA(filler(150))];
+    expect(gel([lane], { agarose: 0.7, ladder: null }).lanes[0].bands[0].resolved).toBe(false);
+    expect(gel([lane], { agarose: 2, ladder: null }).lanes[0].bands[0].resolved).toBe(true);
+  });
+
+  it('shows uncut plasmid as supercoiled and open-circular bands', () => {
+    const bands = gel([pTest], { ladder: null }).lanes[0].bands;
+    expect(bands.map(b => b.form)).toEqual(['open-circular', 'supercoiled']);
+    expect(bands[1].size).toBe(2100);
+    expect(bands[1].intensity).toBe(1);
+    expect(bands[0].intensity).toBeCloseTo(0.25, 5);
+  });
+
+  it('weights band intensity by mass and merges co-migrating fragments', () => {
+    const frags = digest(pTest, ["EcoRI", "BamHI"], 'all');
+    expect(frags.length).toBe(2);
+    const bands = gel([frags], { ladder: null }).lanes[0].bands;
+    expect(bands.length).toBe(2);
+    expect(bands[0].intensity).toBe(1);
+    expect(bands[1].intensity).toBeCloseTo(0.5, 1);
+    expect(gel([digestAll(pTest, ["EcoRI", "BamHI"])], { ladder: null }).lanes[0].bands).toEqual(bands);
+
+    const doublet = gel([{ name: "doublet", dnas: [dsDNA(filler(1000)), dsDNA(filler(1010))], amounts: [1, 2] }], { ladder: null });
+    expect(doublet.lanes[0].name).toBe("doublet");
+    expect(doublet.lanes[0].bands.length).toBe(1);
+    expect(doublet.lanes[0].bands[0].fragments.map(f => f.length)).toEqual([1010, 1000]);
+  });
+
+  it('loads a ladder and renders the gel as SVG', () => {
+    const result = gel([pTest, oligo(filler(60))], { ladder: '100bp', agarose: 2 });
+    expect(result.lanes.map(l => l.name)).toEqual(['Ladder', 'Lane 1', 'Lane 2']);
+    expect(result.lanes[0].bands.length).toBe(12);
+    expect(result.lanes[2].bands[0].form).toBe('single-stranded');
+    expect(() => gel([pTest], { ladder: 'huge' })).toThrow(/Unknown ladder/);
+
+    const svg = renderGelSVG(result);
+    expect(svg.startsWith('<svg')).toBe(true);
+    expect(svg).toContain('>1517</text>');
+    expect((svg.match(/<title>/g) || []).length).toBe(12 + 2 + 1);
+  });
+
+});
@@ -30,4 +30,13 @@ describe('C6-Gene Utilities', () => {
     const translated = translate(cleaned);
     expect(translated).toBe('MDDASPRF');
   });
+
+  it('removes sites for any enzyme in the shared database', () => {
+    const orf = 'ATGGAATTCGGATCCAAATAA';
+    const cleaned = removeSites(orf, ['EcoRI', 'BamHI']);
+    expect(translate(cleaned)).toBe(translate(orf));
+    expect(cleaned).not.toContain('GAATTC');
+    expect(cleaned).not.toContain('GGATCC');
+    expect(() => removeSites(orf, ['NotAnEnzyme'])).toThrow(/not found/);
+  });
 });
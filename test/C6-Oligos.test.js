@@ -8,8 +8,14 @@ import {
   biobrick,
   moclo,
   genejoin,
-  rbslib
+  rbslib,
+  designPrimers,
+  designOverhangs
 } from 'src/C6-Oligos.js';
+import { meltingTemperature, primerStructure } from 'src/C6-Thermo.js';
+import { revcomp, oligo, dsDNA } from 'src/C6-Seq.js';
+import { parseLigationMatrix } from 'src/C6-Fidelity.js';
+import { PCR, goldengate } from 'src/C6-Sim.js';
 
 
 describe('C6-Oligos Utilities', () => {
@@ -25,6 +31,94 @@ describe('C6-Oligos Utilities', () => {
     expect(best.length).toBeLessThanOrEqual(25);
   });
 
+  it('searches plasmid-sized templates, agreeing with scoring every window', () => {
+    const template = 'ATGCATGTAAGTAATTTTACAGCTGGATTGCTATTACTTGTAATAGCATTTGGCGGAACATAA'.repeat(160);
+    const best = findanneal(template, false, false);
+    expect(best.length).toBeLessThanOrEqual(25);
+    // Same as scoring every window by hand
+    let bestScore = -1;
+    let expected = null;
+    const short = template.slice(0, 80);
+    for (let start = 0; start + 18 <= short.length; start++) {
+      for (let length = 18; length <= 25 && start + length <= short.length; length++) {
+        const score = scoreanneal(short.substr(start, length));
+        if (score > bestScore) {
+          bestScore = score;
+          expected = short.substr(start, length);
+        }
+      }
+    }
+    expect(findanneal(short, false, false)).toBe(expected);
+  });
+
+  it('targets a Tm window instead of a length', () => {
+    const template = 'ATGCATGTAAGTAATTTTACAGCTGGATTGCTATTACTTGTAATAGCATTTGGCGGAACATAA';
+    const anneal = findanneal(template, true, false, { minTm: 55, maxTm: 58 });
+    const tm = meltingTemperature(anneal);
+    expect(tm).toBeGreaterThanOrEqual(55);
+    expect(tm).toBeLessThanOrEqual(58);
+    expect(anneal.length).toBeGreaterThan(25);
+    expect(scoreanneal(anneal, { minTm: 55, maxTm: 58 })).toBeGreaterThan(scoreanneal(anneal.slice(0, 20), { minTm: 55, maxTm: 58 }));
+    expect(findanneal(template, true, false, { minTm: 55, maxTm: 58, conditions: { polymerase: 'Q5' } }).length)
+      .toBeLessThan(findanneal(template, true, false, { minTm: 55, maxTm: 58 }).length);
+  });
+
+  it('skips annealing sequences with secondary structure when asked', () => {
+    // The 3' end of the template folds back on itself
+    const template = 'ACGTTGCAAGTCGATGGCGCAAAGCGCC';
+    const plain = findanneal(template, false, true);
+    expect(primerStructure(plain).problems.length).toBeGreaterThan(0);
+    expect(findanneal(template, false, true, { structure: true })).toBe('N/A');
+    expect(findanneal(template, false, true, { structure: true, structureLimits: { hairpin: -10, threePrimeDimer: -10 } })).toBe(plain);
+  });
+
+  it('designs ranked primer pairs for a region', () => {
+    const template = 'AAAAGCTAGCATGACCGTTAGCAAGGTTACGGATCCAGTTGACCATGCAAGTCTAGGCATTCGACGTAGGCTTAAGCTCCATGGTGAGCAAGGTTGAGGAAAAA';
+    const pairs = designPrimers(template, { start: 4, end: 100 });
+    expect(pairs.length).toBe(10);
+    const [best] = pairs;
+    expect(best.forward).toMatchObject({ sequence: 'GCTAGCATGACCGTTAGCA', start: 4, length: 19, tm: 56, problems: [] });
+    expect(best.reverse).toMatchObject({ sequence: 'TCCTCAACCTTGCTCACC', start: 82, length: 18, tm: 55.8 });
+    expect(best).toMatchObject({ tmDifference: 0.2, productSize: 96, problems: [] });
+    expect(pairs.every(pair => pair.forward.start === 4 && pair.reverse.start + pair.reverse.length === 100)).toBe(true);
+    expect(pairs.every((pair, i) => i === 0 || pair.score <= pairs[i - 1].score)).toBe(true);
+    // Pairs that dimerize are ranked down and say why
+    expect(pairs.find(pair => pair.problems.length).problems[0]).toMatch(/^primers form a dimer over \d+ bp/);
+  });
+
+  it('adds tails and honours the Tm window, flank and buffer', () => {
+    const template = 'AAAAGCTAGCATGACCGTTAGCAAGGTTACGGATCCAGTTGACCATGCAAGTCTAGGCATTCGACGTAGGCTTAAGCTCCATGGTGAGCAAGGTTGAGGAAAAA';
+    const [best] = designPrimers(template, [20, 80], {
+      flank: 10, forwardTail: 'ccataGGTCTCa', reverseTail: 'catcaGGTCTCt', conditions: { polymerase: 'Q5' }, minTm: 60, maxTm: 64, count: 1
+    });
+    expect(best.forward.sequence).toBe('ccataGGTCTCa' + best.forward.anneal);
+    expect(template.slice(best.forward.start).startsWith(best.forward.anneal)).toBe(true);
+    expect(best.forward.start).toBeGreaterThanOrEqual(10);
+    expect(best.forward.start).toBeLessThanOrEqual(20);
+    expect(revcomp(best.reverse.anneal)).toBe(template.substr(best.reverse.start, best.reverse.length));
+    expect(meltingTemperature(best.reverse.anneal, { polymerase: 'Q5' })).toBeGreaterThanOrEqual(60);
+    expect(best.productSize).toBe(best.reverse.start + best.reverse.length - best.forward.start + 24);
+
+    // Options passed through as undefined keep their defaults
+    const unset = { forwardTail: undefined, count: undefined, minTm: undefined, maxTm: undefined, flank: null };
+    const defaults = designPrimers(template, [20, 80]);
+    expect(defaults.length).toBe(10);
+    expect(designPrimers(template, [20, 80], unset)).toEqual(defaults);
+
+    expect(() => designPrimers(template, [20, 80], { minTm: 75, maxTm: 80 })).toThrow(/No forward primer/);
+    expect(() => designPrimers(template, [80, 20])).toThrow(/not within/);
+  });
+
+  it('pairs every candidate primer before keeping the best', () => {
+    // GC-rich at the start and AT-rich at the end: most forward candidates melt well above any reverse one
+    const template = 'ATACCCGCCGGCTGCCTCTCTCGGGGCAGTGAGACGGGGCACGAGAGGGCGACGCCACCTTCTTACGGTTACGGTGTACTGCGTCGTATCTTGTAGCAC' +
+      'TGGACTTCATAGCGATCGATGCGATTTAATCTTATAAAATTAAAGGTGTGAGAACGTAAAACAACATTGAAATGATACAGG';
+    const pairs = designPrimers(template, [40, 140], { flank: 25, maxTmDifference: 0.3, minTm: 50, maxTm: 75, count: 3 });
+    expect(pairs.length).toBe(3);
+    expect(pairs.every(pair => pair.tmDifference <= 0.3)).toBe(true);
+    expect(pairs[0]).toMatchObject({ forward: { tm: 56.2 }, reverse: { tm: 56.1 } });
+  });
+
   it('finds partial complements with PCA', () => {
     const longSeq = 'ATGGCGTCTGGTCGACGTCGACGTCGACGTCGACGTCGACGTCGACGTCGAC'.repeat(2);
     const oligos = pca(longSeq);
@@ -57,4 +151,78 @@ describe('C6-Oligos Utilities', () => {
   it('designs rbslib oligos', () => {
     expect(rbslib('ATGAAA', 'AGGAGGTTTA', 'F')).toMatch(/GGTCTCaTACT[a-z]+ATG/);
   });
+
+  describe('designOverhangs', () => {
+    it('picks overhangs that are far from each other', () => {
+      const { overhangs, fidelity, estimated, primers } = designOverhangs(6);
+      expect(overhangs.length).toBe(6);
+      expect(estimated).toBe(true);
+      expect(fidelity).toBeGreaterThan(0.95);
+      expect(primers).toBe(null);
+      // The MoClo overhangs are preferred among equals
+      expect(overhangs[0]).toBe('TACT');
+      const ends = overhangs.flatMap(o => [o, revcomp(o)]);
+      expect(new Set(ends).size).toBe(12);
+      for (const overhang of overhangs) {
+        const mismatches = ends.filter(end => end !== revcomp(overhang))
+          .map(end => [...end].filter((base, i) => base !== revcomp(overhang)[i]).length);
+        expect(Math.min(...mismatches)).toBeGreaterThan(1);
+      }
+    });
+
+    it('keeps fixed overhangs and prefers those in the windows', () => {
+      const result = designOverhangs(4, { fixed: ['GGAG', null, null, 'CGCT'], windows: [null, 'CCATGG', 'TTCGAA'] });
+      expect(result.overhangs[0]).toBe('GGAG');
+      expect(result.overhangs[3]).toBe('CGCT');
+      expect(result.inWindow).toEqual([null, true, true, null]);
+      expect('CCATGG').toContain(result.overhangs[1]);
+      expect('TTCGAA').toContain(result.overhangs[2]);
+
+      // GAAT is taken, ATTC would ligate to it and AATT to itself
+      const blocked = designOverhangs(2, { fixed: ['GAAT'], windows: [null, 'GAATTC'] });
+      expect(blocked.inWindow).toEqual([null, false]);
+      expect(blocked.warnings).toEqual([`No overhang in the window for junction 2 fits the set, so ${blocked.overhangs[1]} was used`]);
+
+      expect(() => designOverhangs(2, { fixed: ['GATC'] })).toThrow(/non-palindromic/);
+      expect(() => designOverhangs(2, { fixed: ['GGAG', 'CTCC'] })).toThrow(/fixed for more than one junction/);
+      expect(() => designOverhangs(200)).toThrow(/too few/);
+    });
+
+    it('scores the set with ligation data when there is some', () => {
+      const ligationData = parseLigationMatrix(`Overhang,GCTT,AAGC,TACT,AGTA,GGTA,TACC,GGAA,TTCC
+GCTT,0,1000,0,0,0,0,0,0
+AAGC,1000,0,0,0,0,0,0,0
+TACT,0,0,0,990,0,0,0,10
+AGTA,0,0,990,0,0,0,0,0
+GGTA,0,0,0,0,0,800,0,200
+TACC,0,0,0,0,800,0,0,0
+GGAA,0,0,0,0,0,0,0,900
+TTCC,10,0,0,0,200,0,900,0`);
+      const result = designOverhangs(3, { ligationData, fixed: ['GGTA'] });
+      expect(result).toMatchObject({ overhangs: ['GGTA', 'TACT', 'GCTT'], fidelity: 1, estimated: false });
+      expect(designOverhangs(3, { ligationData, fixed: ['GGTA', 'GGAA'] }).warnings).toEqual([
+        "The overhangs are expected to assemble correctly 80.0% of the time, below 90%"
+      ]);
+    });
+
+    it('designs oligos that assemble the parts seamlessly', () => {
+      const partA = 'TATGGGCTGCGAATGTTAAAGTTTTTCGGGGCGAAGATTTGGTTGGATATTACCCCTCCA';
+      const partB = 'AAACATACGGACACATGGTTTTCGACCCCTGGCCCAGCGTACCTTGTCACCCCACGGTCG';
+      const windows = [partB.slice(-3) + partA.slice(0, 3), partA.slice(-3) + partB.slice(0, 3)];
+      const { overhangs, inWindow, primers } = designOverhangs([partA, partB], { windows });
+      expect(inWindow).toEqual([true, true]);
+      const pieces = [partA, partB].map((part, i) => PCR(oligo(primers[i].forward), oligo(primers[i].reverse), dsDNA(part)));
+      const product = goldengate(pieces, 'BsaI');
+      expect(product.isCircular).toBe(true);
+      expect(product.sequence.length).toBe(120);
+      expect((product.sequence + product.sequence).toUpperCase()).toContain(partA + partB);
+      expect(overhangs.every((overhang, i) => windows[i].includes(overhang))).toBe(true);
+
+      // Without windows the overhangs are added between the parts
+      const scarred = designOverhangs([partA, partB]);
+      expect(scarred.primers[0].forward).toContain('GGTCTCa' + scarred.overhangs[0] + 'TATGGG');
+      expect(goldengate([partA, partB].map((part, i) =>
+        PCR(oligo(scarred.primers[i].forward), oligo(scarred.primers[i].reverse), dsDNA(part))), 'BsaI').sequence.length).toBe(128);
+    });
+  });
 });
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { cleanup, resolveToSeq, revcomp, isPalindromic, gccontent, basebalance, maxrepeat, translate, Polynucleotide, polynucleotide, comparePolynucleotides, plasmid, oligo, dsDNA, resolveToPoly } from 'src/C6-Seq.js';
+import { cleanup, resolveToSeq, revcomp, isPalindromic, gccontent, basebalance, maxrepeat, translate, Polynucleotide, polynucleotide, comparePolynucleotides, plasmid, oligo, dsDNA, resolveToPoly, matchIUPAC, findIUPAC } from 'src/C6-Seq.js';
 
 describe('C6-Seq Utilities', () => {
   
@@ -109,4 +109,29 @@ describe('comparePolynucleotides', () => {
     expect(comparePolynucleotides(poly1, poly2)).toBe(true);
   });
 
-});
\ No newline at end of file
+  it('matches IUPAC patterns definitely, possibly or not at all', () => {
+    expect(matchIUPAC('GGNCC', 'GGACC')).toBe('definite');
+    expect(matchIUPAC('GRNCC', 'GRTCC')).toBe('definite');
+    expect(matchIUPAC('GGACC', 'GGNCC')).toBe('possible');
+    expect(matchIUPAC('GGRCC', 'GGKCC')).toBe('possible');
+    expect(matchIUPAC('GGACC', 'GGTCC')).toBe('none');
+    expect(matchIUPAC('GGACC', 'GG-CC')).toBe('none');
+    expect(() => matchIUPAC('GGA', 'GGAC')).toThrow(/length/);
+  });
+
+  it('finds IUPAC patterns on both strands', () => {
+    expect(findIUPAC('AAGGTCCAAGGACC', 'GGNCC')).toEqual([
+      { index: 2, strand: 1, match: 'definite' },
+      { index: 9, strand: 1, match: 'definite' }
+    ]);
+    expect(findIUPAC('TTGAGACCTT', 'GGTCTC')).toEqual([{ index: 2, strand: -1, match: 'definite' }]);
+    expect(findIUPAC('TTGAGACCTT', 'GGTCTC', { bothStrands: false })).toEqual([]);
+    expect(findIUPAC('TCTCAAAAGG', 'GGTCTC', { circular: true })).toEqual([{ index: 8, strand: 1, match: 'definite' }]);
+    expect(findIUPAC('AAGGNCCAA', 'GGACC')).toEqual([]);
+    expect(findIUPAC('AAGGNCCAA', 'GGACC', { possible: true })).toEqual([
+      { index: 2, strand: 1, match: 'possible' },
+      { index: 2, strand: -1, match: 'possible' }
+    ]);
+  });
+
+});
@@ -1,7 +1,10 @@
-import { dsDNA, plasmid, oligo } from 'src/C6-Seq.js';
+import { dsDNA, plasmid, oligo, revcomp } from 'src/C6-Seq.js';
 import { Polynucleotide, comparePolynucleotides } from 'src/C6-Seq.js';
 import { describe, it, expect } from 'vitest';
-import { PCR, gibson, goldengate, ligate, cutOnce, digest, parseCF, simCF } from 'src/C6-Sim.js';
+import { PCR, gibson, goldengate, ligate, cutOnce, digest, parseCF, serializeCF, validateCF, simCF, simCFReport } from 'src/C6-Sim.js';
+import { registerOperation, unregisterOperation, getOperation, listOperations } from 'src/C6-Sim.js';
+import { findCutSites, digestAll, partialDigest, digestReport, transform, transformReport } from 'src/C6-Sim.js';
+import { pcrReport, findAnnealSites, gibsonReport, analyzeGibson, goldengateReport } from 'src/C6-Sim.js';
 import { polynucleotide } from '../src/C6-Seq';
 
 describe('C6-Sim Tests', () => {
@@ -117,7 +120,7 @@ plasmid	pGhost3-A	ATTACCGCCTTTGAGTGAGCaGATACCGCTCGCCGCAGCCGAACGACCGAGCGCAGCTTTGA
     const parsedCF = parseCF(input);
     const result = simCF(parsedCF); // Simulate the CF based on parsed data
     console.log("result:\n" + result);
-    const plasmidResult = result[3][1];
+    const plasmidResult = result[3][1].plasmid;
   
     const expected = plasmid("ATTACCGCCTTTGAGTGAGCaGATACCGCTCGCCGCAGCCGAACGACCGAGCGCAGCTTTGATCGATTCAACCTCTGATCATCACATTCTGACCCTGCTCCGGCAGGGTTTTTTGTTATCGAGTACCTAGCCTACGACGAGTCGTGATTGACATCTGGCCGATCCCAGCCTATAATCTGTCCATGAGGTGAGACTTCCCCTTCATAATCGGTACTGAGGTTGTCGTTGGTAATGAACtctagatttaagaaggagatatacatatgagtaaaggagaagctgtgattaaagagttcatgcgcttcaaagttcacatggagggttctatgaacggtcacgagttcgagatcgaaggcgaaggcgagggccgtccgtatgaaggcacccagaccgccaaactgaaagtgactaaaggcggcccgctgcctttttcctgggacatcctgagcccgcaatttatgtacggttctagggcgttcatcaaacacccagcggatatcccggactattataagcagtcttttccggaaggtttcaagtgggaacgcgtaatgaattttgaagatggtggtgccgtgaccgtcactcaggacacctccctggaggatggcaccctgatctataaagttaaactgcgtggtactaattttccacctgatggcccggtgatgcagaaaaagacgatgggttgggaggcgtctaccgaacgcttgtatccggaagatggtgtgctgaaaggcgacattaaaatggccctgcgcctgaaagatggcggccgctatctggctgacttcaaaaccacgtacaaagccaagaaacctgtgcagatgcctggcgcgtacaatgtggaccgcaaactggacatcacctctcataatgaagattatacggtggtagagcaatatgagcgctccgagggtcgtcattctaccggtggcatggatgaactatacaaataaCTTCATGTATGACCTTAAGCGCGCTTGATTCTTAGTTTCTCGTTGGGCTGCTTTAAGCAGGATGGGGATTTCTCCCCATTCATTTTATTCCCAACATCACATGGACAAGTTCGACTCTGAATTTACAGGACCAGTCCTAAATGATATAATGAATCGACTTGGTGGGCTTCCTTTATTAGCACATGTACTTTGTCGTAGTATCCCGAGTACACGAATAACATTAGTCTCCTTCGGGAGACTTTTTTTCATTTTACCAGCCACGTATCGCCAGATGTTTACATTTAATGATAATGTATTGACTGTAACAGAAGGATCTAAAATAACTCTATCAATGATAGAGTGTCAACAAAAATTAGGAATTAATGATGAGTAGATTAGATAAAAGTAAAGTGATTAACAGCGCATTAGAGCTGCTTAATGAGGTCGGAATCGAAGGTTTAAAAACCCGTAAACTCGCCCAGAAACTTGGTGTAGAGCAGCCTACATTGTATTGGCATGTAAAAAATAAGCGGGCTTTGCTCGACGCCTTAGCCATTGAGATGTTAGATAGGCACCATACTCACTTTTGCCCTTTAGAAGGGGAAAGCTGGCAAGATTTTTTACGTAATAACGCTAAAAGTTTTAGATGTGCTTTACTAAGTCATCGCGATGGAGCAAAAGTACATTTAGGTACACGGCCTACAGAAAAACAGTATGAAACTCTCGAAAATCAATTAGCCTTTTTATGCCAACAAGGTTTTTCACTAGAGAATGCATTATATGCACTCAGCGCTGTGGGGCATTTTACTTTAGGTTGCGTATTGGAAGATCAAGAGCATCAAGTCGCTAAAGAAGAAAGGGAAACACCTACTACTGATAGTATGCCGGCATTATTACGACAAGCTATCGAATTATTTGAACACCAAGGTGCAGAGCCAGCCTTCTTATTCGGCCTTGAATTGATCATATGCGGATTAGAAAAACAACTTAAATGTGAAAGTGGGTCTTAACGACTGCTCCAAGCTATCGGCTTggacataagcctgttcggttcgtaagctgtaatgcaagtagcgtatgcgctcacgcaactggtccagaaccttgaccgaacgcagcggtggtaacggcgcagtggcggttttcatggcttgttatgactgtttttttggggtacagtctatgcctcgggcatccaagcagcaagcgcgttacgccgtgggtcgatgtttgatgttatggagcagcaacgatgttacgcagcagggcagtcgccctaaaacaaagttaaacatcatgagggaagcggtgatcgccgaagtatcgactcaactatcagaggtagttggcgtcatcgagcgccatctcgaaccgacgttgctggccgtacatttgtacggctccgcagtggatggcggcctgaagccacacagtgatattgatttgctggttacggtgaccgtaaggcttgatgaaacaacgcggcgagctttgatcaacgaccttttggaaacttcggcttcccctggagagagcgagattctccgcgctgtagaagtcaccattgttgtgcacgacgacatcattccgtggcgttatccagctaagcgcgaactgcaatttggagaatggcagcgcaatgacattcttgcaggtatcttcgagccagccacgatcgacattgatctggctatcttgctgacaaaagcaagagaacatagcgttgccttggtaggtccagcggcggaggaactctttgatccggttcctgaacaggatctatttgaggcgctaaatgaaaccttaacgctatggaactcgccgcccgactgggctggcgatgagcgaaatgtagtgcttacgttgtcccgcatttggtacagcgcagtaaccggcaaaatcgcgccgaaggatgtcgctgccgactgggcaatggagcgcctgccggcccagtatcagcccgtcatacttgaagctagacaggcttatcttggacaagaagaagatcgcttggcctcgcgcgcagatcagttggaagaatttgtccactacgtgaaaggcgagatcaccaaggtagtcggcaaataatgtctaacaattcgttcaagcGCTTCCGGCTTATCGGTCAGTTTCACCTGATTTACGTAAAAACCCGCTTCGGCGGGTTTTTGCTTTTGGAGGGGCAGAAAGATGAATGACTGTCCACGACGCTATACCCAAAAGAAATGTTCATGGTCATAGCTGTTTCCTGTGTGGTGGTAGATCCTCTACGCCGGACGCATCGTGGCCGGCATCACCGGCGCCACAGGTGCGGTTGCTGGCGCCTATATCGCCGACATCACCCAGAAATCATCCTTAGCGAAAGCTAAGGATTTTTTTTATCTGAAATTCTGCCTCGTGATACgttgatgataccgctgccttactgggtgcattagccagtctgaatgacctgtcacgggataatccgaagtggtcagactggaaaatcagagggcaggaactgctgaacagcaaaaagtcagatagcaccacatagcagacccgccataaaacgccctgagaagcccgtgacgggcttttcttgtattatgggtagtttccttgcatgaatccataaaaggcgcctgtagtgccatttacccccattcactgccagagccgtgagcgcagcgaactgaatgtcacgaaaaagacagcgactcaggtgcctgatggtcggagacaaaaggaatattcagcgatttgcccgattgcggccgcaaccgagcttgcgagggtgctacttaagcctttagggttttaaggtctgttttgtagaggagcaaacagcgtttgcgacatccttttgtaatactgcggaactgactaaagtagtgagttatCcacagggctgggatctattctttttatctttttttattctttctttattctataaattataaccacttgaatataaacaaaaaaaacacacaaaggtctagcggaatttacagagggtctagcagaatttacaagttttccagcaaaggtctagcagaatttacagatacccacaactcaaaggaaaaggactagtaattatcattgactagcccatctcaattggtatagtgattaaaatcacctagaccaattgagatgtatgtctgaattagttgttttcaaagcaaatgaactagcgattagtcgctatgacttaacggagcatgaaaccaagctaattttatgctgtgtggcactactcaaccccacgattgaaaaccctacaaggaaagaacggacggtatcgttcacttataaccaatacgctcagatgatgaacatcagtagggaaaatgcttatggtgtattagctaaagcaaccagagagctgatgacgagaactgtggaaatcaggaatcctttggttaaaggctttgagattttccagtggacaaactatgccaagttctcaagcgaaaaattagaattagtttttagtgaagagatattgccttatcttttccagttaaaaaaattcataaaatataatctggaacatgttaagtcttttgaaaacaaatactctatgaggatttatgagtggttattaaaagaactaacacaaaagaaaactcacaaggcaaatatagagattagccttgatgaatttaagttcatgttaatgcttgaaaataactaccatgagtttaaaaggcttaaccaatgggttttgaaaccaataagtaaagatttaaacacttacagcaatatgaaattggtggttgataagcgaggccgcccgactgatacgttgattttccaagttgaactagatagacaaatggatctcgtaaccgaacttgagaacaaccagataaaaatgaatggtgacaaaataccaacaaccattacatcagattcctacctacgtaacggactaagaaaaacactacacgatgctttaactgcaaaaattcagctcaccagttttgaggcaaaatttttgagtgacatgcaaagtaagcatgatctcaatggttcgttctcatggctcacgcaaaaacaacgaaccacactagagaacatactggctaaatacggaaggatctgaggttcttatggctcttgtatC");
     const passed = comparePolynucleotides(plasmidResult, expected);
@@ -139,7 +142,7 @@ plasmid	pGhost3-A	ATTACCGCCTTTGAGTGAGCaGATACCGCTCGCCGCAGCCGAACGACCGAGCGCAGCTTTGA
     const parsedCF = parseCF(input);
     const result = simCF(parsedCF); // Simulate the CF based on parsed data
     console.log("result:\n" + result);
-    const plasmidResult = result[3][1];
+    const plasmidResult = result[3][1].plasmid;
   
     const expected = plasmid("ATTACCGCCTTTGAGTGAGCaGATACCGCTCGCCGCAGCCGAACGACCGAGCGCAGCTTTGATCGATTCAACCTCTGATCATCACATTCTGACCCTGCTCCGGCAGGGTTTTTTGTTATCGAGTACCTAGCCTACGACGAGTCGTGATTGACATCTGGCCGATCCCAGCCTATAATCTGTCCATGAGGTGAGACTTCCCCTTCATAATCGGTACTGAGGTTGTCGTTGGTAATGAACtctagatttaagaaggagatatacatatgagtaaaggagaagctgtgattaaagagttcatgcgcttcaaagttcacatggagggttctatgaacggtcacgagttcgagatcgaaggcgaaggcgagggccgtccgtatgaaggcacccagaccgccaaactgaaagtgactaaaggcggcccgctgcctttttcctgggacatcctgagcccgcaatttatgtacggttctagggcgttcatcaaacacccagcggatatcccggactattataagcagtcttttccggaaggtttcaagtgggaacgcgtaatgaattttgaagatggtggtgccgtgaccgtcactcaggacacctccctggaggatggcaccctgatctataaagttaaactgcgtggtactaattttccacctgatggcccggtgatgcagaaaaagacgatgggttgggaggcgtctaccgaacgcttgtatccggaagatggtgtgctgaaaggcgacattaaaatggccctgcgcctgaaagatggcggccgctatctggctgacttcaaaaccacgtacaaagccaagaaacctgtgcagatgcctggcgcgtacaatgtggaccgcaaactggacatcacctctcataatgaagattatacggtggtagagcaatatgagcgctccgagggtcgtcattctaccggtggcatggatgaactatacaaataaCTTCATGTATGACCTTAAGCGCGCTTGATTCTTAGTTTCTCGTTGGGCTGCTTTAAGCAGGATGGGGATTTCTCCCCATTCATTTTATTCCCAACATCACATGGACAAGTTCGACTCTGAATTTACAGGACCAGTCCTAAATGATATAATGAATCGACTTGGTGGGCTTCCTTTATTAGCACATGTACTTTGTCGTAGTATCCCGAGTACACGAATAACATTAGTCTCCTTCGGGAGACTTTTTTTCATTTTACCAGCCACGTATCGCCAGATGTTTACATTTAATGATAATGTATTGACTGTAACAGAAGGATCTAAAATAACTCTATCAATGATAGAGTGTCAACAAAAATTAGGAATTAATGATGAGTAGATTAGATAAAAGTAAAGTGATTAACAGCGCATTAGAGCTGCTTAATGAGGTCGGAATCGAAGGTTTAAAAACCCGTAAACTCGCCCAGAAACTTGGTGTAGAGCAGCCTACATTGTATTGGCATGTAAAAAATAAGCGGGCTTTGCTCGACGCCTTAGCCATTGAGATGTTAGATAGGCACCATACTCACTTTTGCCCTTTAGAAGGGGAAAGCTGGCAAGATTTTTTACGTAATAACGCTAAAAGTTTTAGATGTGCTTTACTAAGTCATCGCGATGGAGCAAAAGTACATTTAGGTACACGGCCTACAGAAAAACAGTATGAAACTCTCGAAAATCAATTAGCCTTTTTATGCCAACAAGGTTTTTCACTAGAGAATGCATTATATGCACTCAGCGCTGTGGGGCATTTTACTTTAGGTTGCGTATTGGAAGATCAAGAGCATCAAGTCGCTAAAGAAGAAAGGGAAACACCTACTACTGATAGTATGCCGGCATTATTACGACAAGCTATCGAATTATTTGAACACCAAGGTGCAGAGCCAGCCTTCTTATTCGGCCTTGAATTGATCATATGCGGATTAGAAAAACAACTTAAATGTGAAAGTGGGTCTTAACGACTGCTCCAAGCTATCGGCTTggacataagcctgttcggttcgtaagctgtaatgcaagtagcgtatgcgctcacgcaactggtccagaaccttgaccgaacgcagcggtggtaacggcgcagtggcggttttcatggcttgttatgactgtttttttggggtacagtctatgcctcgggcatccaagcagcaagcgcgttacgccgtgggtcgatgtttgatgttatggagcagcaacgatgttacgcagcagggcagtcgccctaaaacaaagttaaacatcatgagggaagcggtgatcgccgaagtatcgactcaactatcagaggtagttggcgtcatcgagcgccatctcgaaccgacgttgctggccgtacatttgtacggctccgcagtggatggcggcctgaagccacacagtgatattgatttgctggttacggtgaccgtaaggcttgatgaaacaacgcggcgagctttgatcaacgaccttttggaaacttcggcttcccctggagagagcgagattctccgcgctgtagaagtcaccattgttgtgcacgacgacatcattccgtggcgttatccagctaagcgcgaactgcaatttggagaatggcagcgcaatgacattcttgcaggtatcttcgagccagccacgatcgacattgatctggctatcttgctgacaaaagcaagagaacatagcgttgccttggtaggtccagcggcggaggaactctttgatccggttcctgaacaggatctatttgaggcgctaaatgaaaccttaacgctatggaactcgccgcccgactgggctggcgatgagcgaaatgtagtgcttacgttgtcccgcatttggtacagcgcagtaaccggcaaaatcgcgccgaaggatgtcgctgccgactgggcaatggagcgcctgccggcccagtatcagcccgtcatacttgaagctagacaggcttatcttggacaagaagaagatcgcttggcctcgcgcgcagatcagttggaagaatttgtccactacgtgaaaggcgagatcaccaaggtagtcggcaaataatgtctaacaattcgttcaagcGCTTCCGGCTTATCGGTCAGTTTCACCTGATTTACGTAAAAACCCGCTTCGGCGGGTTTTTGCTTTTGGAGGGGCAGAAAGATGAATGACTGTCCACGACGCTATACCCAAAAGAAATGTTCATGGTCATAGCTGTTTCCTGTGTGGTGGTAGATCCTCTACGCCGGACGCATCGTGGCCGGCATCACCGGCGCCACAGGTGCGGTTGCTGGCGCCTATATCGCCGACATCACCCAGAAATCATCCTTAGCGAAAGCTAAGGATTTTTTTTATCTGAAATTCTGCCTCGTGATACgttgatgataccgctgccttactgggtgcattagccagtctgaatgacctgtcacgggataatccgaagtggtcagactggaaaatcagagggcaggaactgctgaacagcaaaaagtcagatagcaccacatagcagacccgccataaaacgccctgagaagcccgtgacgggcttttcttgtattatgggtagtttccttgcatgaatccataaaaggcgcctgtagtgccatttacccccattcactgccagagccgtgagcgcagcgaactgaatgtcacgaaaaagacagcgactcaggtgcctgatggtcggagacaaaaggaatattcagcgatttgcccgattgcggccgcaaccgagcttgcgagggtgctacttaagcctttagggttttaaggtctgttttgtagaggagcaaacagcgtttgcgacatccttttgtaatactgcggaactgactaaagtagtgagttatCcacagggctgggatctattctttttatctttttttattctttctttattctataaattataaccacttgaatataaacaaaaaaaacacacaaaggtctagcggaatttacagagggtctagcagaatttacaagttttccagcaaaggtctagcagaatttacagatacccacaactcaaaggaaaaggactagtaattatcattgactagcccatctcaattggtatagtgattaaaatcacctagaccaattgagatgtatgtctgaattagttgttttcaaagcaaatgaactagcgattagtcgctatgacttaacggagcatgaaaccaagctaattttatgctgtgtggcactactcaaccccacgattgaaaaccctacaaggaaagaacggacggtatcgttcacttataaccaatacgctcagatgatgaacatcagtagggaaaatgcttatggtgtattagctaaagcaaccagagagctgatgacgagaactgtggaaatcaggaatcctttggttaaaggctttgagattttccagtggacaaactatgccaagttctcaagcgaaaaattagaattagtttttagtgaagagatattgccttatcttttccagttaaaaaaattcataaaatataatctggaacatgttaagtcttttgaaaacaaatactctatgaggatttatgagtggttattaaaagaactaacacaaaagaaaactcacaaggcaaatatagagattagccttgatgaatttaagttcatgttaatgcttgaaaataactaccatgagtttaaaaggcttaaccaatgggttttgaaaccaataagtaaagatttaaacacttacagcaatatgaaattggtggttgataagcgaggccgcccgactgatacgttgattttccaagttgaactagatagacaaatggatctcgtaaccgaacttgagaacaaccagataaaaatgaatggtgacaaaataccaacaaccattacatcagattcctacctacgtaacggactaagaaaaacactacacgatgctttaactgcaaaaattcagctcaccagttttgaggcaaaatttttgagtgacatgcaaagtaagcatgatctcaatggttcgttctcatggctcacgcaaaaacaacgaaccacactagagaacatactggctaaatacggaaggatctgaggttcttatggctcttgtatC");
     const passed = comparePolynucleotides(plasmidResult, expected);
@@ -168,5 +171,718 @@ plasmid	pGhost3-A	ATTACCGCCTTTGAGTGAGCaGATACCGCTCGCCGCAGCCGAACGACCGAGCGCAGCTTTGA
     expect(passed);
   });
 
-});
+  it('simCFReport describes each step and keeps successes before a failure', () => {
+    const input = {
+      steps: [
+        { operation: "PCR", forward_oligo: "fwd", reverse_oligo: "rev", template: "tmpl", output: "pcrProduct" },
+        { operation: "PCR", forward_oligo: "fwd", reverse_oligo: "missing", template: "tmpl", output: "broken" },
+        { operation: "Transform", dna: "pcrProduct", output: "clone" }
+      ],
+      sequences: {
+        fwd: oligo("gacttGAATTCgcggccgctTCTAGAgTCCCTATCAGTGATAGAG"),
+        rev: oligo("catcaACTAGTaGTGCTCAGTATCTCTATCAC"),
+        tmpl: dsDNA("tccctatcagtgatagagattgacatccctatcagtgatagagatactgagcac")
+      }
+    };
+    const report = simCFReport(input);
+    expect(report.success).toBe(false);
+    expect(report.steps.map(s => s.status)).toEqual(['success', 'failed', 'skipped']);
+
+    const pcrStep = report.steps[0];
+    expect(pcrStep.inputs.map(i => i.name)).toEqual(['fwd', 'rev', 'tmpl']);
+    expect(pcrStep.inputs[2]).toMatchObject({ source: 'sequence', length: 54, topology: 'linear' });
+    expect(pcrStep.length).toBe(93);
+    expect(pcrStep.topology).toBe('linear');
+    expect(report.products.pcrProduct.sequence).toBe(pcrStep.product.sequence);
+
+    expect(report.steps[1].error).toMatch(/Missing sequence for key: missing/);
+  });
+
+  it('simCFReport reports missing sequence data instead of returning a string', () => {
+    const report = simCFReport({ steps: [], sequences: {} });
+    expect(report.success).toBe(false);
+    expect(report.errors.length).toBe(1);
+  });
+
+  it('simCFReport continues past failures and blocks dependent steps', () => {
+    const input = `
+PCR	fwd	rev	tmpl	pcrProduct
+PCR	fwd	nosuch	tmpl	broken
+Gibson	broken	joined
+Transform	joined	kan	final
+PCR	fwd	rev	tmpl	again
+oligo	fwd	gacttGAATTCgcggccgctTCTAGAgTCCCTATCAGTGATAGAG
+oligo	rev	catcaACTAGTaGTGCTCAGTATCTCTATCAC
+dsdna	tmpl	tccctatcagtgatagagattgacatccctatcagtgatagagatactgagcac
+`;
+    const report = simCFReport(parseCF(input), { continueOnError: true });
+    expect(report.success).toBe(false);
+    expect(report.steps.map(s => s.status)).toEqual(['success', 'failed', 'blocked', 'blocked', 'success']);
+    expect(report.steps[2].blockedBy).toEqual(['broken']);
+    expect(report.steps[3].blockedBy).toEqual(['joined']);
+
+    const errors = report.diagnostics.filter(d => d.severity === 'error');
+    expect(errors.map(d => d.line)).toEqual([3, 4, 5]);
+    expect(errors[0].message).toMatch(/nosuch/);
+  });
+
+  it('parseCF records where each step and sequence came from', () => {
+    const steps = "PCR  fwd rev on tmpl  pcrProduct\n\nDigest pcrProduct EcoRI 0 cut";
+    const seqs = [
+      ["oligo", "fwd", "gacttGAATTCgcggccgctTCTAGAgTCCCTATCAGTGATAGAG"],
+      ["oligo", "rev", "catcaACTAGTaGTGCTCAGTATCTCTATCAC"],
+      ["dsdna", "tmpl", "tccctatcagtgatagagattgacatccctatcagtgatagagatactgagcac"]
+    ];
+    const cf = parseCF(steps, seqs);
+
+    expect(cf.steps[1].location).toMatchObject({ blob: 0, line: 3, blobLine: 3, column: 1 });
+    expect(cf.steps[0].location.tokens.map(t => t.text)).toEqual(['PCR', 'fwd', 'rev', 'tmpl', 'pcrProduct']);
+    expect(cf.steps[0].location.tokens[3]).toMatchObject({ column: 17, endColumn: 21 });
+    expect(cf.sequenceLocations.rev).toMatchObject({ blob: 1, line: 5, blobLine: 2 });
+
+    let parseError;
+    try { parseCF("PCR a b c d\nPCR a b"); } catch (err) { parseError = err; }
+    expect(parseError.message).toMatch(/line 2/);
+    expect(parseError.location.line).toBe(2);
+  });
+
+  it('simulation errors cite the source location of the failing step', () => {
+    const cf = parseCF(`oligo fwd gacttGAATTCgcggccgctTCTAGAgTCCCTATCAGTGATAGAG
+oligo rev catcaACTAGTaGTGCTCAGTATCTCTATCAC
+dsdna tmpl tccctatcagtgatagagattgacatccctatcagtgatagagatactgagcac
+PCR fwd rev tmpl ok
+PCR fwd nosuch tmpl bad`);
+
+    expect(() => simCF(cf)).toThrow(/Error simulating line 5/);
+
+    const report = simCFReport(cf);
+    expect(report.steps[0].inputs[0].location.line).toBe(1);
+    const error = report.diagnostics.find(d => d.severity === 'error');
+    expect(error).toMatchObject({ line: 5, column: 9, endColumn: 15 });
+  });
+
+  it('simulation errors point at the input they were raised for, not any name in the message', () => {
+    const cf = parseCF(`oligo sequence gacttGAATTCgcggccgctTCTAGAgTCCCTATCAGTGATAGAG
+oligo rev catcaACTAGTaGTGCTCAGTATCTCTATCAC
+PCR sequence rev nosuch bad`);
+
+    const error = simCFReport(cf).diagnostics.find(d => d.severity === 'error');
+    expect(error.message).toMatch(/Missing sequence for key: nosuch/);
+    expect(error).toMatchObject({ line: 3, column: 18, endColumn: 24 });
+
+    let simError;
+    try { simCF(cf); } catch (err) { simError = err; }
+    expect(simError.input).toBe('nosuch');
+    expect(simError.location).toMatchObject({ column: 18, endColumn: 24 });
+  });
+
+  it('serializeCF writes text that parseCF reads back unchanged', () => {
+    const input = `
+pcr	oGho6	oGho7	pGhost3-A	gh_ipcr
+Digest	gh_ipcr	EcoRI,BamHI	1	gh_dig
+goldengate	gh_ipcr	gh_dig	BsaI	gg4
+Gibson	gh_ipcr	gh_dig	gib
+Transform	gg4	Mach1	kan	30	pGhost4
+oligo	oGho6	ccataGGTCTCaGCTTggacataagcctgttcggttc
+oligo	oGho7	cagttGGTCTCtAGTACATGTGCTAATAAAGGAAGCCC
+dsdna	frag	ATGCATGCATGCATGCATGCAAA
+plasmid	pGhost3-A	ATTACCGCCTTTGAGTGAGCaGATACCGCTCGCCGCAGCCGAACGACCGAGCGCAGCTTTGATCGATTC
+`;
+    const cf = parseCF(input);
+    const text = serializeCF(cf, { wrap: 10 });
+    expect(text.split('\n')[0]).toBe('PCR\toGho6\toGho7\tpGhost3-A\tgh_ipcr');
+    expect(text).toContain('plasmid\tpGhost3-A\tATTACCGCCT TTGAGTGAGC');
+
+    const roundTrip = parseCF(text);
+    const strip = ({ line, location, ...rest }) => rest;
+    expect(roundTrip.steps.map(strip)).toEqual(cf.steps.map(strip));
+    expect(roundTrip.sequences).toEqual(cf.sequences);
+  });
+
+  it('serializeCF refuses what the text format cannot express', () => {
+    const sticky = { steps: [], sequences: { cut: polynucleotide("AAAA", "AATT", "", true, false, false) } };
+    expect(() => serializeCF(sticky)).toThrow(/sticky ends/);
+    const unknown = { steps: [{ operation: "Assemble", dnas: ["a"], output: "b" }], sequences: {} };
+    expect(() => serializeCF(unknown)).toThrow(/unknown operation/);
+  });
+
+  it('validateCF reports dependency problems without simulating', () => {
+    const cf = parseCF(`PCR	fwd	rev	tmpl	amp
+Digest	amp	EcoRI,FakeI	0	cut
+Ligate	cut	later	lig
+Ligate	lig	ghost	later
+Gibson	loopB	loopA
+Gibson	loopA	loopB
+PCR	fwd	rev	tmpl	amp
+PCR	fwd	rev	tmpl	tmpl
+oligo	fwd	CAAGTGGGAACGCGTAATG
+oligo	rev	CGGTCACGGCACCACCATC
+plasmid	tmpl	TTCAAGTGGGAACGCGTAATGAATTTTGAAGATGGTGGTGCCGTGACCG
+oligo	spare	ACGT`);
+    const { valid, issues } = validateCF(cf);
+    expect(valid).toBe(false);
+
+    const codes = issues.map(i => i.code);
+    expect(codes).toContain('redefined-product');
+    expect(codes).toContain('shadows-sequence');
+    expect(codes).toContain('cycle');
+
+    expect(issues.find(i => i.code === 'unknown-enzyme')).toMatchObject({ name: 'FakeI', line: 2, column: 18, endColumn: 23 });
+    expect(issues.find(i => i.code === 'undefined-name').name).toBe('ghost');
+    expect(issues.find(i => i.code === 'used-before-defined')).toMatchObject({ name: 'later', step: 2 });
+    expect(issues.find(i => i.code === 'unused-sequence')).toMatchObject({ name: 'spare', line: 12, severity: 'warning' });
+  });
+
+  it('validateCF accepts a well-formed construction file', () => {
+    const cf = parseCF(`PCR fwd rev tmpl amp
+oligo fwd CAAGTGGGAACGCGTAATG
+oligo rev CGGTCACGGCACCACCATC
+plasmid tmpl TTCAAGTGGGAACGCGTAATGAATTTTGAAGATGGTGGTGCCGTGACCG`);
+    expect(validateCF(cf)).toEqual({ valid: true, issues: [] });
+  });
+
+  it('parseCF suggests the intended operation for a mistyped keyword', () => {
+    expect(() => parseCF("Gibsn frag1 frag2 product")).toThrow(/Unknown operation "Gibsn". Did you mean "Gibson"\?/);
+    expect(() => parseCF("pcr fwd rev tmpl out\nbadname x!x")).toThrow(/Invalid sequence format/);
+
+    // "a b c" happens to spell a degenerate sequence, so it parses with a warning
+    const cf = parseCF("Gibsn a b c\npcr1 ACGT");
+    expect(Object.keys(cf.sequences)).toEqual(['Gibsn', 'pcr1']);
+    expect(cf.warnings.length).toBe(1);
+    expect(cf.warnings[0]).toMatchObject({ line: 1, column: 1, endColumn: 6 });
+    expect(cf.warnings[0].message).toMatch(/Did you mean the operation "Gibson"/);
+  });
+
+  it('unsupported operations follow an explicit error or warning policy', () => {
+    const cf = {
+      steps: [
+        { operation: "Assembel", dnas: ["a"], output: "b" },
+        { operation: "Ligate", dnas: ["b"], output: "c" }
+      ],
+      sequences: { a: dsDNA("ACGTACGT") }
+    };
+    expect(() => simCF(cf)).toThrow(/Unknown operation "Assembel"/);
+
+    const report = simCFReport(cf, { unknownOperations: 'warn', continueOnError: true });
+    expect(report.steps.map(s => s.status)).toEqual(['unsupported', 'blocked']);
+    const last = simCFReport({ ...cf, steps: cf.steps.slice(0, 1) }, { unknownOperations: 'warn' });
+    expect(last.steps.map(s => s.status)).toEqual(['unsupported']);
+    expect(last.success).toBe(false);
+    expect(report.steps[0].warnings[0]).toMatch(/not simulated/);
+
+    const warned = [];
+    const onWarning = (warning, step) => warned.push([step.output, warning]);
+    expect(simCF({ ...cf, steps: cf.steps.slice(0, 1) }, { unknownOperations: 'warn', onWarning })).toEqual([]);
+    expect(warned).toEqual([['b', expect.stringMatching(/Unknown operation "Assembel".*not simulated/)]]);
+
+    const issue = validateCF(cf).issues.find(i => i.code === 'unknown-operation');
+    expect(issue).toMatchObject({ step: 0, severity: 'error' });
+  });
+
+  it('registered operations are parsed, validated, simulated and serialized', () => {
+    registerOperation({
+      name: "Phosphorylate",
+      aliases: ["PNK"],
+      parse(tokens) {
+        if (tokens.length !== 2) throw new Error("Phosphorylate step requires 3 fields: Phosphorylate DNA Output");
+        return { dna: tokens[0], output: tokens[1] };
+      },
+      inputs: (step) => [step.dna],
+      simulate: (step, lookup) => ({ product: lookup(step.dna), warnings: ["5' phosphates are not modelled"] }),
+      validate: (step) => [{ severity: 'warning', code: 'not-modelled', message: 'Phosphates are not tracked', name: step.dna }],
+      serialize: (step) => [step.dna, step.output]
+    });
+    try {
+      expect(listOperations()).toContain("Phosphorylate");
+      expect(getOperation("pnk").name).toBe("Phosphorylate");
+
+      const cf = parseCF("pnk frag pfrag\ndsdna frag ACGTACGTAC");
+      expect(cf.steps[0]).toMatchObject({ operation: "Phosphorylate", dna: "frag", output: "pfrag", line: 1 });
+      const { valid, issues } = validateCF(cf);
+      expect(valid).toBe(true);
+      expect(issues).toEqual([expect.objectContaining({ code: 'not-modelled', severity: 'warning', line: 1, column: 5, endColumn: 9 })]);
+
+      const report = simCFReport(cf);
+      expect(report.steps[0].status).toBe('success');
+      expect(report.steps[0].warnings[0]).toMatch(/phosphates/);
+      expect(simCF(cf)[0][1].sequence).toBe("ACGTACGTAC");
+
+      expect(serializeCF(cf)).toMatch(/^Phosphorylate\tfrag\tpfrag\n/);
+      expect(() => parseCF("Phosphorylate frag")).toThrow(/requires 3 fields/);
+      expect(() => registerOperation({ name: "PCR", parse() {}, inputs() {}, simulate() {} })).toThrow(/already registered/);
+    } finally {
+      unregisterOperation("Phosphorylate");
+    }
+    expect(getOperation("pnk")).toBeNull();
+    expect(() => parseCF("Phosphorylate frag pfrag")).toThrow(/Invalid sequence format/);
+  });
+
+  it('built-in operations are registered', () => {
+    expect(listOperations()).toEqual(['PCR', 'Gibson', 'GoldenGate', 'Ligate', 'Digest', 'Transform']);
+    expect(() => registerOperation({ name: "Oligo", parse() {}, inputs() {}, simulate() {} })).toThrow(/reserved word/);
+    expect(() => registerOperation({ name: "Kinase", parse() {} })).toThrow(/requires a inputs function/);
+  });
+
+  it('digest returns every fragment, in fragselect order, for "all"', () => {
+    const target = plasmid("AAAAAGAATTCTTTTTTTTTTTTTTTTTTTTTTTTTTTTGGATCCGGGGG");
+    const frags = digest(target, ["EcoRI", "BamHI"], 'all');
+    expect(frags.length).toBe(2);
+    frags.forEach((frag, i) => {
+      expect(frag.sequence).toBe(digest(target, ["EcoRI", "BamHI"], i).sequence);
+    });
+  });
+
+  it('digestAll returns every fragment with its coordinates, even when fragments repeat', () => {
+    const unit = "GAATTC" + "ACGTTGCA".repeat(5);
+    const frags = digestAll(plasmid(unit + unit), ["EcoRI"]);
+    expect(frags.map(f => [f.start, f.end, f.length, f.wraps])).toEqual([[51, 1, 42, true], [5, 47, 42, false]]);
+    expect(frags[1]).toMatchObject({ leftEnzyme: "EcoRI", rightEnzyme: "EcoRI", stickyEnd5: "AATT", stickyEnd3: "AATT" });
+    expect(digest(plasmid(unit + unit), ["EcoRI"], 1).sequence).toBe(frags[1].polynucleotide.sequence);
+
+    const linear = digestAll(dsDNA("CCCCC" + unit + "GGATCC" + "TTTTT"), ["EcoRI", "BamHI"]);
+    expect(linear.map(f => [f.leftEnzyme, f.rightEnzyme, f.start, f.end])).toEqual([
+      [null, "EcoRI", 0, 6], ["EcoRI", "BamHI", 10, 52], ["BamHI", null, 56, 62]
+    ]);
+    expect(linear[0].stickyEnd5).toBe("");
+    expect(digestAll(dsDNA("ACGTACGT"), ["EcoRI"]).length).toBe(1);
+  });
+
+  it('digestAll cuts sites that span the origin of a circle and sites on the bottom strand', () => {
+    const wrapped = digestAll(plasmid("ATTC" + "ACGTTGCA".repeat(4) + "GA"), ["EcoRI"]);
+    expect(wrapped.length).toBe(1);
+    expect(wrapped[0]).toMatchObject({ start: 3, end: 37, length: 34, wraps: true, stickyEnd5: "AATT" });
+
+    // BsaI site on the bottom strand cuts upstream of GAGACC
+    const cuts = findCutSites(dsDNA("ACGTTGCA" + "ACGTAGAGACC" + "ACGTTGCA"), ["BsaI"]);
+    expect(cuts).toEqual([{ enzyme: "BsaI", site: 13, strand: -1, start: 8, end: 12, stickyEnd: "ACGT" }]);
+  });
+
+  it('partialDigest lists every product of cutting any subset of sites with its expected frequency', () => {
+    const filler = "ACGTTGCA".repeat(3);
+    const linear = dsDNA(filler + "GAATTC" + filler + "GAATTC" + filler);
+    const products = partialDigest(linear, ["EcoRI"], { probability: 0.5 });
+    expect(products.length).toBe(6);
+    const byCoords = Object.fromEntries(products.map(p => [`${p.start}-${p.end}`, p]));
+    expect(byCoords["0-25"].frequency).toBeCloseTo(0.5);
+    expect(byCoords["0-55"]).toMatchObject({ uncutSites: 1, complete: false, leftEnzyme: null, rightEnzyme: "EcoRI" });
+    expect(byCoords["0-55"].frequency).toBeCloseTo(0.25);
+    expect(byCoords["0-84"]).toMatchObject({ uncutSites: 2, leftEnzyme: null, rightEnzyme: null });
+    expect(products.filter(p => p.complete).length).toBe(3);
+    expect(products.reduce((sum, p) => sum + p.massFraction, 0)).toBeCloseTo(1);
+
+    // Cutting every site reduces to a complete digest
+    const complete = partialDigest(linear, ["EcoRI"], { probability: { BamHI: 0.2 } });
+    expect(complete.map(p => p.polynucleotide.sequence).sort())
+      .toEqual(digestAll(linear, ["EcoRI"]).map(f => f.polynucleotide.sequence).sort());
+    expect(() => partialDigest(linear, ["EcoRI"], { probability: 2 })).toThrow(/between 0 and 1/);
+  });
+
+  it('partialDigest of a plasmid includes the uncut and singly-opened molecules', () => {
+    const filler = "ACGTTGCA".repeat(3);
+    const circle = plasmid("GAATTC" + filler + "GAATTC" + filler + filler);
+    const products = partialDigest(circle, ["EcoRI"], { probability: 0.5 });
+    expect(products.length).toBe(5);
+    expect(products.every(p => Math.abs(p.frequency - 0.25) < 1e-9)).toBe(true);
+    const uncut = products.find(p => p.uncutSites === 2);
+    expect(uncut.polynucleotide).toBe(circle);
+    expect(products.filter(p => p.uncutSites === 1).map(p => p.length)).toEqual([80, 80]);
+  });
+
+  it('cutOnce can cut a chosen occurrence of a repeated site', () => {
+    const poly = dsDNA('AAAAGGATCCTTTTTTTTGGATCCCCCC');
+    expect(cutOnce(poly, "BamHI")[0].sequence).toBe('AAAAG');
+    const second = cutOnce(poly, "BamHI", 1);
+    expect(second.map(p => p.sequence)).toEqual(['AAAAGGATCCTTTTTTTTG', 'CCCCC']);
+    expect(second[0].ext3).toBe('GATC');
+    expect(cutOnce(poly, "BamHI", 2)).toBeNull();
+  });
+
+  it('only digests sites that are cut whatever the degenerate bases are', () => {
+    const poly = dsDNA('AAAAGGATCCTTTTTTTTGGATCNCCCCC');
+    expect(digestAll(poly, ["BamHI"]).length).toBe(2);
+    expect(findCutSites(poly, ["BamHI"], { possible: true }).map(c => [c.start, !!c.possible])).toEqual([[5, false], [19, true]]);
+
+    const report = simCFReport(parseCF("Digest\tfrag\tBamHI\t1\tcut\n\ndsdna\tfrag\tAAAAGGATCCTTTTTTTTGGATCNCCCCC"));
+    expect(report.success).toBe(true);
+    expect(report.steps[0].warnings).toEqual(["BamHI may also cut at 19, where the sequence is degenerate; the site was left uncut"]);
+  });
+
+  it('anneals degenerate primers but not to degenerate template', () => {
+    const template = dsDNA('tccctatcagtgatagagattgacatccctatcagtgatagagatactgagcac');
+    const forward = oligo('TCCCTATCAGTGATAGNGATT');
+    const reverse = oligo('GTGCTCAGTATCTCTATCAC');
+    expect(PCR(forward, reverse, template).sequence).toBe('TCCCTATCAGTGATAGNGATTGACATCCCTATCAGTGATAGAGATACTGAGCAC');
+
+    const ambiguous = dsDNA('tccctatcagtgatagNgattgacatccctatcagtgatagagatactgagcac');
+    expect(() => PCR(oligo('TCCCTATCAGTGATAGAGATT'), reverse, ambiguous)).toThrow(/may anneal at 3/);
+  });
+
+  describe('PCR annealing', () => {
+    const left = 'GCTAGCATGACCGTTAGCAAGG';
+    const middle = 'TTACGGATCCAGTTGACCATGCAAGTCTAGGCATTCGACGTAGGCTTAAGCT';
+    const right = 'CCATGGTGAGCAAGGGCGAGGA';
+    const template = dsDNA('AAAA' + left + middle + right + 'AAAA');
+    const forward = oligo('TTT' + left);
+    const reverse = oligo('GGG' + revcomp(right));
+    const expected = 'TTT' + left + middle + right + 'CCC';
+
+    it('reports the binding sites of each oligo', () => {
+      const report = pcrReport(forward, reverse, template);
+      expect(report.product.sequence).toBe(expected);
+      expect(report.warnings).toEqual([]);
+      expect(report.sites.forward).toEqual([{ strand: 1, start: 4, length: 22, mismatches: 0, tm: 59.6 }]);
+      expect(findAnnealSites(reverse, template)).toEqual([{ strand: -1, start: 78, length: 22, mismatches: 0, tm: 66.1 }]);
+      // Swapping the oligos gives the same product, read from the other strand
+      expect(PCR(reverse, forward, template).sequence).toBe(revcomp(expected));
+    });
+
+    it('allows 5\' mismatches and shorter anneals when asked', () => {
+      const mismatched = oligo('TTT' + 'GCTAGCATGTCCGTTAGCAAGG');
+      expect(() => PCR(mismatched, reverse, template)).toThrow(/Forward oligo does not anneal/);
+      const report = pcrReport(mismatched, reverse, template, { maxMismatches: 1 });
+      expect(report.product.sequence).toBe('TTTGCTAGCATGTCCGTTAGCAAGG' + middle + right + 'CCC');
+      expect(report.warnings).toEqual(["Forward oligo anneals at 4 with 1 mismatch 5' of its 3'-terminal 10 bases"]);
+      expect(() => PCR(mismatched, reverse, template, { maxMismatches: 1, exact3: 15 })).toThrow(/does not anneal/);
 
+      const short = oligo(left.slice(-15));
+      expect(PCR(short, reverse, template, { minAnnealLength: 15 }).sequence.length).toBe(92);
+      expect(() => PCR(short, reverse, template, { minAnnealLength: 15, minTm: 50 }))
+        .toThrow("Forward oligo does not anneal to the template at 50 °C or above: its best site melts at 49 °C");
+    });
+
+    it('warns about off-target sites and extra products', () => {
+      const offTarget = dsDNA('AAAA' + left + middle + right + 'CCCC' + revcomp(left) + 'AAAA');
+      const report = pcrReport(forward, reverse, offTarget);
+      expect(report.product.sequence).toBe(expected);
+      expect(report.products.map(p => [p.size, p.oligos])).toEqual([[128, ['forward', 'forward']], [102, ['forward', 'reverse']]]);
+      expect(report.warnings).toEqual([
+        "Forward oligo anneals at 2 places on the template: 4 (top strand), 104 (bottom strand)",
+        "The oligos give 2 products (128, 102 bp); the 102 bp product of the forward and reverse oligos is reported"
+      ]);
+    });
+
+    it('computes Tms in the polymerase buffer and checks the pair', () => {
+      const q5 = pcrReport(forward, reverse, template, { polymerase: 'Q5' });
+      expect(q5.sites.forward[0].tm).toBeGreaterThan(65);
+      expect(q5.warnings).toEqual([]);
+      expect(pcrReport(forward, reverse, template, { polymerase: 'Q5', maxTm: 68 }).warnings).toEqual([
+        "Reverse oligo anneals at 73.3 °C, above the 68 °C maximum"
+      ]);
+      expect(pcrReport(forward, reverse, template, { maxTmDifference: 5 }).warnings).toEqual([
+        "The forward and reverse oligos anneal at 59.6 °C and 66.1 °C, more than 5 °C apart; the lower Tm limits the annealing temperature"
+      ]);
+    });
+
+    it('checks the oligos for secondary structure when asked', () => {
+      expect(pcrReport(forward, reverse, template).warnings).toEqual([]);
+      const warnings = [
+        "Forward oligo has a dimer with its partner over 7 bp that pairs a 3' end (ΔG -7.1 kcal/mol)",
+        "Reverse oligo has a self-dimer over 6 bp that pairs a 3' end (ΔG -5.1 kcal/mol)"
+      ];
+      expect(pcrReport(forward, reverse, template, { structure: 'warn' }).warnings).toEqual(warnings);
+      expect(() => PCR(forward, reverse, template, { structure: 'error' })).toThrow(warnings.join('; '));
+      expect(pcrReport(forward, reverse, template, { structure: 'error', structureLimits: { threePrimeDimer: -8 } }).warnings).toEqual([]);
+    });
+
+    it('amplifies across the origin of a circular template', () => {
+      const circular = plasmid(middle.slice(20) + right + 'CCCCGGGG' + left + middle.slice(0, 20));
+      expect(PCR(forward, reverse, circular).sequence).toBe(expected);
+      expect(() => PCR(forward, reverse, dsDNA(circular.sequence))).toThrow(/not facing each other/);
+      expect(() => PCR(forward, oligo(right), template)).toThrow(/not facing each other/);
+    });
+  });
+
+  it('leaves sites blocked by methylation uncut and says why', () => {
+    const seq = 'AAAATCTAGATCAAAAAAAAATCTAGACCCC';
+    const methylated = new Polynucleotide(seq, '', '', true, false, false, '', '', ['dam', 'dcm']);
+    expect(digestAll(dsDNA(seq), ["XbaI"]).length).toBe(3);
+    expect(digestAll(methylated, ["XbaI"]).length).toBe(2);
+    expect(digestAll(methylated, ["XbaI"])[0].polynucleotide.methylation).toEqual(['dam', 'dcm']);
+
+    const report = digestReport(methylated, ["XbaI"], 'all');
+    expect(report.product.length).toBe(2);
+    expect(report.blocked.map(cut => [cut.site, cut.blocked.system])).toEqual([[4, 'dam']]);
+    expect(report.warnings).toEqual(["XbaI site at 4 is blocked by dam methylation (GATC at 8)"]);
+
+    // DpnI only cuts methylated GATC
+    expect(digestAll(methylated, ["DpnI"]).length).toBe(2);
+    expect(digestReport(dsDNA(seq), ["DpnI"], 'all').warnings).toEqual([
+      "DpnI site at 8 is not cut: DpnI requires dam methylation, which the DNA lacks there"
+    ]);
+  });
+
+  it('gives DNA that passes through a strain the strain\'s methylation', () => {
+    const cf = (strain) => parseCF(`Transform\tpX\t${strain}\tamp\t37\tclone
+Digest\tclone\tXbaI\t0\tcut
+
+plasmid\tpX\tAAAATCTAGATCAAAAAAAAATCTAGACCCC`);
+    const dh10b = simCFReport(cf('DH10B'));
+    expect(dh10b.products.clone.plasmid.methylation).toEqual(['dam', 'dcm']);
+    expect(dh10b.steps[1].warnings).toEqual(["XbaI site at 4 is blocked by dam methylation (GATC at 8)"]);
+    expect(dh10b.products.cut.isCircular).toBe(false);
+
+    const jm110 = simCFReport(cf('JM110'));
+    expect(jm110.steps[1].warnings).toEqual(["clone is prepped from JM110, which is endA+, so the plasmid may be degraded by endonuclease I"]);
+    expect(jm110.products.cut.sequence.length).toBeLessThan(31);
+  });
+
+  describe('Golden Gate', () => {
+    const backbone = 'TACGTAGAGTAACGCGTAAGTGCCTAATACACACTTTTTTATGCATTTAT';
+    const part1 = 'CTGACAACCCCCGCCTGGGTTTTTTTGAGTGACACGAGAA';
+    const part2 = 'CAGCGAATCGCGAACCAAAGCCGAAAGATGGGGGACGTAG';
+    const dropout = 'AGACGTACTTGAGTGGCGTACAACTACCAG';
+    const donorBackbone = 'GAAGAAAATAAACATCTGCTGAAAGCCATA';
+    // Sites that leave the overhang on the piece beside them: GGTCTC before it, or GAGACC after it
+    const donor = (left, part, right) => plasmid('GGTCTCA' + left + part + right + 'AGAGACC' + donorBackbone);
+    const destination = plasmid(backbone + 'GGAGAGAGACC' + dropout + 'GGTCTCACGCT');
+
+    it('digests circular part plasmids and a destination vector with a dropout', () => {
+      const report = goldengateReport([destination, donor('GGAG', part1, 'TACT'), donor('TACT', part2, 'CGCT')], 'BsaI');
+      expect(comparePolynucleotides(report.product, plasmid(backbone + 'GGAG' + part1 + 'TACT' + part2 + 'CGCT'))).toBe(true);
+      expect(report.overhangs).toEqual(['CGCT', 'GGAG', 'TACT']);
+      expect(report.parts.map(p => [p.input, p.length, p.orientation])).toEqual([[0, 50, 'forward'], [1, 40, 'forward'], [2, 40, 'forward']]);
+      expect(report.discarded.map(d => [d.input, d.reason])).toEqual([[0, 'site'], [1, 'site'], [2, 'site']]);
+      expect(report.warnings).toEqual([]);
+    });
+
+    it('uses pieces either way round and leaves out those that do not fit', () => {
+      const flipped = plasmid(revcomp(donor('TACT', part2, 'CGCT').sequence));
+      const stray = donor('AATG', part2, 'GCTT');
+      const report = goldengateReport([destination, donor('GGAG', part1, 'TACT'), flipped, stray], 'BsaI');
+      expect(comparePolynucleotides(report.product, plasmid(backbone + 'GGAG' + part1 + 'TACT' + part2 + 'CGCT'))).toBe(true);
+      expect(report.parts.map(p => p.orientation)).toEqual(['forward', 'forward', 'reverse']);
+      expect(report.warnings).toEqual(["The 40 bp piece of input 3 (sticky ends AATG/GCTT) does not fit the assembly and was left out"]);
+      expect(report.discarded.filter(d => d.reason === 'unused')).toEqual([expect.objectContaining({ input: 3, length: 40 })]);
+    });
+
+    it('rejects assemblies that cannot be made', () => {
+      expect(() => goldengate([destination, donor('GGAG', part1, 'TACT')], 'BsaI')).toThrow(/cannot be joined into a circle/);
+      expect(() => goldengate([destination, donor('GGAG', part1, 'CGCT'), donor('GGAG', part2, 'CGCT')], 'BsaI'))
+        .toThrow(/same sticky ends/);
+      expect(() => goldengate([destination, plasmid(part1)], 'BsaI')).toThrow(/does not cut the sequence at index 1/);
+      // The junction of G + GTCT + C makes a new GGTCTC
+      expect(() => goldengate([destination, donor('GGAG', part1 + 'G', 'GTCT'), donor('GTCT', 'C' + part2, 'CGCT')], 'BsaI'))
+        .toThrow(/still has a BsaI site/);
+    });
+  });
+
+  describe('Gibson junctions', () => {
+    const a = 'CTTGTCTCCAAGTACCCATTTAGTAGACAAATCGTTCCAT';
+    const b = 'CACCAATTCGCTGGTTGTTGAACTATACGACCGGGGCACA';
+    const strong = 'GCGTTTGCGCATCAGGCTGTCCCAT';
+    const weak = 'AAATAAATATTTTAAATTAT';
+    const frag1 = dsDNA(weak + a + strong);
+    const frag2 = dsDNA(strong + b + weak);
+
+    it('reports each junction of the assembly', () => {
+      const { product, junctions, warnings } = gibsonReport([frag1, frag2]);
+      expect(comparePolynucleotides(product, plasmid(a + strong + b + weak))).toBe(true);
+      expect(junctions.map(j => [j.fragments, j.overlap, j.length, j.orientation, j.belowThreshold])).toEqual([
+        [[0, 1], strong, 25, 'forward', false],
+        [[1, 0], weak, 20, 'forward', false]
+      ]);
+      expect(junctions[0].gc).toBeCloseTo(15 / 25);
+      expect(junctions[1].gc).toBe(0);
+      expect(junctions[0].tm).toBeGreaterThan(junctions[1].tm);
+      expect(warnings).toEqual([]);
+    });
+
+    it('flags overlaps below the minimum Tm', () => {
+      const { product, junctions, warnings } = gibsonReport([frag1, frag2], { minOverlapTm: 50, names: ['ins', 'vec'] });
+      expect(product.isCircular).toBe(true);
+      expect(junctions.map(j => j.belowThreshold)).toEqual([false, true]);
+      expect(warnings).toEqual([expect.stringMatching(/^The overlap joining vec to ins \(20 bp\) melts at [\d.]+ °C, below the 50 °C minimum$/)]);
+    });
+
+    it('takes the minimum overlap length as an option', () => {
+      // The weak overlap is too short to close the circle when 21 bases are needed
+      expect(() => gibson([frag1, frag2], { minOverlap: 21 })).toThrow(/re-circularized/);
+      expect(gibsonReport([frag1, frag2], { minOverlap: 21, circular: false }).junctions.map(j => j.length)).toEqual([25]);
+      expect(gibson([frag1, frag2], false).isCircular).toBe(true);
+      const short = dsDNA(strong.slice(-15) + b + weak);
+      expect(() => gibson([frag1, short])).toThrow(/the end of fragment 1 overlaps no other fragment by 20 bp/);
+      expect(gibsonReport([frag1, short], { minOverlap: 15 }).junctions[0].length).toBe(15);
+    });
+
+    it('reports fragments joined in reverse', () => {
+      const { product, junctions } = gibsonReport([frag1, dsDNA(revcomp(frag2.sequence))]);
+      expect(comparePolynucleotides(product, plasmid(a + strong + b + weak))).toBe(true);
+      expect(junctions.map(j => [j.fragments, j.orientation])).toEqual([[[0, 1], 'reverse'], [[1, 0], 'reverse']]);
+    });
+
+    it('reports junctions for Gibson steps in a Construction File', () => {
+      const cf = parseCF(`Gibson\tins\tvec\tpGib\n\ndsdna\tins\t${frag1.sequence}\ndsdna\tvec\t${frag2.sequence}`);
+      const report = simCFReport(cf, { minOverlapTm: 50 });
+      expect(report.steps[0].warnings).toEqual([expect.stringMatching(/joining vec to ins/)]);
+      expect(report.products.pGib.isCircular).toBe(true);
+    });
+
+    it('finds fragments that can assemble in more than one order', () => {
+      const linker = 'CCATCAGACGAGCTAAGGTCCAAG';
+      const vector = dsDNA(linker + 'GGCTGCGGCTAGATGGTTCGGTAGTTAATG' + linker);
+      const geneX = dsDNA(linker + 'ATTACCTAATCCATGCGGCTAACCAACTAC' + linker);
+      const geneY = dsDNA(linker + 'TAATCGTTAGAGAACGAGACTGCAACGACG' + linker);
+      const analysis = analyzeGibson([vector, geneX, geneY], { names: ['vec', 'X', 'Y'] });
+      expect(analysis.products.map(p => p.order.map(item => item.fragment))).toEqual([[0, 1, 2], [0, 2, 1]]);
+      expect(analysis.products.every(p => p.product.isCircular && p.product.sequence.length === 162)).toBe(true);
+      expect(analysis.ambiguous.map(a => [a.end.fragment, a.end.orientation, a.overlaps.length])).toEqual([
+        [0, 'forward', 2], [0, 'reverse', 2], [1, 'forward', 2], [1, 'reverse', 2], [2, 'forward', 2], [2, 'reverse', 2]
+      ]);
+      expect(analysis.warnings).toContain("The end of vec can join X (24 bp), Y (24 bp)");
+      expect(analysis.warnings).toContain("The fragments can assemble into 2 different products: vec + X + Y; vec + Y + X");
+
+      // gibson still assembles one of them, but says so
+      const report = gibsonReport([vector, geneX, geneY], { minOverlap: 20, names: ['vec', 'X', 'Y'] });
+      expect(report.products.length).toBe(2);
+      expect(report.warnings).toContain("The fragments can assemble into 2 different products: vec + X + Y; vec + Y + X");
+      expect(analyzeGibson([vector, geneX, geneY], { maxProducts: 1 })).toMatchObject({ truncated: true, products: [expect.anything()] });
+    });
+
+    it('lists the junctions of an unambiguous design once each', () => {
+      const analysis = analyzeGibson([frag1, dsDNA(revcomp(frag2.sequence))]);
+      expect(analysis.overlaps.map(o => [o.from, o.to, o.length])).toEqual([
+        [{ fragment: 0, orientation: 'forward' }, { fragment: 1, orientation: 'reverse' }, 25],
+        [{ fragment: 0, orientation: 'reverse' }, { fragment: 1, orientation: 'forward' }, 20]
+      ]);
+      expect(analysis.ambiguous).toEqual([]);
+      expect(analysis.products.length).toBe(1);
+      expect(comparePolynucleotides(analysis.products[0].product, plasmid(a + strong + b + weak))).toBe(true);
+      expect(analysis.warnings).toEqual([]);
+
+      const linear = analyzeGibson([frag1, frag2], { circular: false });
+      expect(linear.products.map(p => p.order.map(item => item.fragment))).toEqual([[0, 1], [1, 0]]);
+      expect(linear.products[0].product.sequence).toBe(weak + a + strong + b + weak);
+    });
+  });
+
+  describe('Transform', () => {
+    const kanR = 'ATGATTGAACAAGATGGATTGCACGCAGG';
+    const ampR = 'ATGAGTATTCAACATTTCCGTGTCGCCCTT';
+    const pUC = 'TTGAGATCCTTTTTTTCTGCGCGTAATCTG';
+    const r6k = 'TGAGCGCTATTTCCGGCGGCTTTTTCTACT';
+    const ts = 'CAGTCACCAGGCGGTAAAGCCCTCTTAATA';
+    const features = [
+      { Name: 'KanR', Sequence: kanR, Type: 'cds' },
+      { Name: 'AmpR', Sequence: ampR, Type: 'cds' },
+      { Name: 'pUC_ori', Sequence: pUC, Type: 'rep_origin' },
+      { Name: 'R6K_ori', Sequence: r6k, Type: 'rep_origin' },
+      { Name: 'pSC101ts_ori', Sequence: ts, Type: 'rep_origin' }
+    ];
+    const spacer = 'CCCCCCCCCCCCCCCCCCCC';
+
+    it('only maintains circular double-stranded DNA', () => {
+      expect(() => transform(dsDNA(kanR + pUC), { antibiotics: 'kan' }, { features })).toThrow(/linear/);
+      const ss = new Polynucleotide(kanR + pUC, null, null, false, false, true);
+      expect(() => transform(ss, { antibiotics: 'kan' }, { features })).toThrow(/single-stranded/);
+    });
+
+    it('checks the marker against the selecting antibiotic', () => {
+      const clone = transform(plasmid(kanR + spacer + pUC), { strain: 'Mach1', antibiotics: 'kan', temperature: 37 }, { features });
+      expect(clone.constructor.name).toBe('Clone');
+      expect(clone).toMatchObject({ strain: 'Mach1', antibiotics: 'kan', temperature: 37, markers: ['KanR'], origins: ['ColE1'] });
+      expect(clone.plasmid.methylation).toEqual(['dam', 'dcm']);
+
+      expect(() => transform(plasmid(kanR + spacer + pUC), { antibiotics: 'amp' }, { features }))
+        .toThrow(/no amp resistance marker.*resistance to kan/);
+      expect(() => transform(plasmid(kanR + spacer), { antibiotics: 'kan' }, { features })).toThrow(/origin of replication/);
+      expect(transformReport(plasmid(kanR + spacer + pUC), {}, { features }).warnings).toEqual([
+        "No antibiotic was given, so cells that did not take up the plasmid are not selected against"
+      ]);
+    });
+
+    it('only counts resistance genes as markers, not their promoters', () => {
+      const promoter = 'CGCGGAACCCCTATTTGTTTATTTTTCTAA';
+      const withPromoter = [...features, { Name: 'AmpR promoter', Sequence: promoter, Type: 'promoter' }];
+      const kanPlasmid = plasmid(promoter + kanR + spacer + pUC);
+      expect(() => transform(kanPlasmid, { antibiotics: 'amp' }, { features: withPromoter }))
+        .toThrow(/no amp resistance marker.*resistance to kan\)$/);
+      expect(transform(kanPlasmid, { antibiotics: 'kan' }, { features: withPromoter }).markers).toEqual(['KanR']);
+    });
+
+    it('finds markers that run across the origin of the plasmid', () => {
+      const clone = transform(plasmid(kanR.slice(10) + spacer + pUC + spacer + kanR.slice(0, 10)), { antibiotics: 'kan' }, { features });
+      expect(clone.markers).toEqual(['KanR']);
+    });
+
+    it('checks the origin works in the strain and at the temperature', () => {
+      const pirPlasmid = plasmid(ampR + spacer + r6k);
+      expect(() => transform(pirPlasmid, { strain: 'Mach1', antibiotics: 'amp' }, { features })).toThrow(/pir gene, which Mach1 lacks/);
+      expect(transform(pirPlasmid, { strain: 'EC100D-pir', antibiotics: 'amp' }, { features }).origins).toEqual(['R6K']);
+
+      const tsPlasmid = plasmid(ampR + spacer + ts);
+      expect(transformReport(tsPlasmid, { antibiotics: 'amp', temperature: 37 }, { features }).warnings).toEqual([
+        "The pSC101ts origin is temperature-sensitive and does not replicate above 30 °C; at 37 °C the plasmid is lost unless it integrates"
+      ]);
+      expect(transformReport(tsPlasmid, { antibiotics: 'amp', temperature: 30 }, { features }).warnings).toEqual([]);
+    });
+
+    it('gives later steps the plasmid of a transformed clone', () => {
+      const cf = parseCF(`Transform\tpX\tMach1\tkan\t30\tclone
+Digest\tclone\tEcoRI\t0\tcut
+
+plasmid\tpX\t${kanR}GAATTC${spacer}${pUC}`);
+      expect(cf.steps[0]).toMatchObject({ strain: 'Mach1', antibiotics: 'kan', temperature: 30 });
+
+      const report = simCFReport(cf, { features });
+      expect(report.success).toBe(true);
+      expect(report.steps[0]).toMatchObject({ topology: 'circular', warnings: [] });
+      expect(report.products.clone.origins).toEqual(['ColE1']);
+      expect(report.products.cut.isCircular).toBe(false);
+
+      const failed = simCFReport(parseCF(`Transform\tpX\tamp\tclone\n\nplasmid\tpX\t${kanR}${pUC}`), { features });
+      expect(failed.steps[0].error).toMatch(/no amp resistance marker/);
+    });
+
+    it('checks the plasmid against the genotype of the strain', () => {
+      const t7 = 'TAATACGACTCACTATAGGG';
+      const t7Plasmid = plasmid(kanR + spacer + t7 + spacer + pUC);
+      expect(transformReport(t7Plasmid, { strain: 'Mach1', antibiotics: 'kan' }, { features }).warnings).toEqual([
+        "The plasmid has a T7 promoter, but Mach1 has no T7 RNA polymerase, so T7-driven genes are not expressed; use a (DE3) strain to express them"
+      ]);
+      const bl21 = transformReport(t7Plasmid, { strain: 'BL21(DE3)', antibiotics: 'kan' }, { features });
+      expect(bl21.warnings).toEqual([]);
+      expect(bl21.product.plasmid.methylation).toEqual(['dam']);
+
+      const repeat = 'GATTACACCGGTTAGCATGCAAGCTTCCATGGAGCTCAAGTTAACCTCGAGTACGTATGCGCATGTCGACAGATCTGACGTCTAGACCTAGGATCATTAATTAAGGCGCGCCATTTAAAT';
+      const warnings = transformReport(plasmid(kanR + repeat + spacer + pUC + spacer + repeat), { strain: 'MG1655', antibiotics: 'kan' }, { features }).warnings;
+      expect(warnings).toContain("MG1655 is recA+, and the plasmid repeats the sequence at 29 at 219; the repeats can recombine and delete the DNA between them");
+
+      const ccdB = 'ATGCAGTTTAAGGTTTACACCTATAAAAGA';
+      const ccdBFeatures = [...features, { Name: 'ccdB', Sequence: ccdB, Type: 'cds' }];
+      const ccdBPlasmid = plasmid(kanR + spacer + ccdB + spacer + pUC);
+      expect(transformReport(ccdBPlasmid, { strain: 'DH10B', antibiotics: 'kan' }, { features: ccdBFeatures }).warnings).toEqual([
+        "The plasmid carries ccdB, which kills DH10B; propagate ccdB plasmids in a resistant strain such as DB3.1"
+      ]);
+      expect(transformReport(ccdBPlasmid, { strain: 'ccdB Survival 2 T1R', antibiotics: 'kan' }, { features: ccdBFeatures }).warnings).toEqual([]);
+    });
+
+    it('warns about endA+ strains only when the clone is prepped for a later step', () => {
+      const cf = parseCF(`Transform\tpX\tBL21\tkan\tclone
+Digest\tclone\tEcoRI\t0\tcut
+
+plasmid\tpX\t${kanR}GAATTC${spacer}${pUC}`);
+      const report = simCFReport(cf, { features });
+      expect(report.steps.map(s => s.warnings)).toEqual([
+        [],
+        ["clone is prepped from BL21, which is endA+, so the plasmid may be degraded by endonuclease I"]
+      ]);
+
+      const warned = [];
+      simCF(cf, { features, onWarning: (warning, step) => warned.push([step.output, warning]) });
+      expect(warned).toEqual([['cut', report.steps[1].warnings[0]]]);
+      expect(simCFReport(parseCF(`Transform\tpX\tBL21\tkan\tclone\n\nplasmid\tpX\t${kanR}${pUC}`), { features }).steps[0].warnings).toEqual([]);
+    });
+
+    it('warns about strains it does not know', () => {
+      const report = transformReport(plasmid(kanR + spacer + pUC), { strain: 'XYZ123', antibiotics: 'kan' }, { features });
+      expect(report.warnings).toEqual([
+        "Strain XYZ123 is not in the strain registry, so its genotype was not checked; it is assumed to be dam+ dcm+"
+      ]);
+      expect(report.product.plasmid.methylation).toEqual(['dam', 'dcm']);
+
+      const { issues } = validateCF(parseCF(`Transform\tpX\tXYZ123\tkan\tclone\n\nplasmid\tpX\t${kanR}${pUC}`));
+      expect(issues).toEqual([expect.objectContaining({ severity: 'warning', code: 'unknown-strain' })]);
+    });
+  });
+
+});
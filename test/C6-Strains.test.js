@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  parseGenotype, registerStrain, getStrain, listStrains, strainMethylation, parseStrainList, loadStrainFile
+} from 'src/C6-Strains.js';
+
+describe('C6-Strains Tests', () => {
+
+  it('reads cloning traits from a genotype', () => {
+    expect(getStrain('DH10B')).toMatchObject({ recA: false, endA: false, dam: true, dcm: true, t7Polymerase: false, pir: false });
+    expect(getStrain('BL21(DE3)')).toMatchObject({ recA: true, endA: true, dcm: false, t7Polymerase: true });
+    expect(getStrain('EC100D pir+').pir).toBe(true);
+    expect(getStrain('DB3.1')).toMatchObject({ recA: false, ccdBResistant: true });
+    expect(getStrain('ccdB Survival 2 T1R').ccdBResistant).toBe(true);
+    expect(parseGenotype('F– mcrB+ recA+ endA1')).toMatchObject({ recA: true, endA: false });
+    expect(parseGenotype('')).toMatchObject({ recA: true, endA: true, dam: true, dcm: true, pir: false });
+  });
+
+  it('matches strain names loosely', () => {
+    expect(getStrain('DH5α').name).toBe('DH5alpha');
+    expect(getStrain('dh5-alpha').name).toBe('DH5alpha');
+    expect(getStrain('mach1').name).toBe('Mach1');
+    expect(getStrain('NoSuchStrain')).toBe(null);
+    expect(listStrains()).toContain('TOP10');
+  });
+
+  it('gives the methylation a strain applies', () => {
+    expect(strainMethylation('Mach1')).toEqual(['dam', 'dcm']);
+    expect(strainMethylation('BL21')).toEqual(['dam']);
+    expect(strainMethylation('JM110')).toEqual([]);
+    expect(strainMethylation('NoSuchStrain')).toBe(null);
+  });
+
+  it('registers custom strains', () => {
+    const record = registerStrain('Test Strain 1', 'F– recA1 dam-3', { t7Polymerase: true });
+    expect(record).toMatchObject({ name: 'Test Strain 1', recA: false, dam: false, t7Polymerase: true });
+    expect(getStrain('teststrain1')).toBe(record);
+    expect(() => registerStrain('', 'recA1')).toThrow(/name/);
+  });
+
+  it('parses tab-separated strain lists', () => {
+    const { strains, skipped } = parseStrainList('# name\tgenotype\n\nStrainA\tF– recA1 endA1\nno genotype here\n\tdam\n');
+    expect(strains).toEqual([{ name: 'StrainA', genotype: 'F– recA1 endA1' }]);
+    expect(skipped.map(s => s.line)).toEqual([4, 5]);
+  });
+
+  it('loads a strain list from disk', async () => {
+    const path = join(tmpdir(), `c6-strains-${process.pid}.txt`);
+    await writeFile(path, 'LoadedStrainI\tF– recA1 endA1 dcm\n');
+    try {
+      const loaded = await loadStrainFile(path, { register: false });
+      expect(loaded.strains.map(s => s.name)).toEqual(['LoadedStrainI']);
+      expect(getStrain('LoadedStrainI')).toBe(null);
+
+      await loadStrainFile(path);
+      expect(strainMethylation('LoadedStrainI')).toEqual(['dam']);
+    } finally {
+      await rm(path);
+    }
+  });
+
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { duplexThermo, meltingTemperature, annealingTemperature, windowedTm, getPolymerase, listPolymerases } from 'src/C6-Thermo.js';
+import { hairpinThermo, dimerThermo, endStability, primerStructure } from 'src/C6-Thermo.js';
+
+describe('C6-Thermo Tests', () => {
+
+  it('sums nearest-neighbor parameters', () => {
+    // SantaLucia (1998): CG/GC, GT/CA, TT/AA, TG/AC and GA/CT, with G·C and A·T initiation
+    const { dH, dS, dG37 } = duplexThermo('CGTTGA');
+    expect(dH).toBeCloseTo(-41.2, 5);
+    expect(dS).toBeCloseTo(-115.4, 5);
+    expect(dG37).toBeCloseTo(-5.41, 2);
+    // Self-complementary duplexes pay a symmetry penalty
+    expect(duplexThermo('GAATTC').dS - duplexThermo('GAATTG').dS).not.toBe(0);
+    expect(() => duplexThermo('A')).toThrow(/two bases/);
+    expect(() => duplexThermo('ACGXT')).toThrow(/not an IUPAC base/);
+  });
+
+  it('raises the Tm with salt, magnesium and oligo concentration', () => {
+    const primer = 'GTCCCTATCAGTGATAGAGA';
+    const base = meltingTemperature(primer);
+    expect(base).toBeCloseTo(50.3, 1);
+    expect(meltingTemperature(primer, { Na: 100 })).toBeGreaterThan(base);
+    expect(meltingTemperature(primer, { oligo: 1000 })).toBeGreaterThan(base);
+    expect(meltingTemperature(primer, { Mg: 1.5 })).toBeGreaterThan(base);
+    // dNTPs take up Mg2+, so they lower the Tm back toward the Mg-free value
+    expect(meltingTemperature(primer, { Mg: 1.5, dNTP: 0.8 })).toBeLessThan(meltingTemperature(primer, { Mg: 1.5 }));
+    expect(meltingTemperature(primer, { Na: 0, Mg: 2 })).toBeGreaterThan(base);
+    expect(() => meltingTemperature(primer, { Na: 0 })).toThrow(/without cations/);
+    expect(meltingTemperature('GCGCGCATATGCGCGCTTAA')).toBeGreaterThan(meltingTemperature('ATATATGCATATATATTTAA'));
+  });
+
+  it('computes window Tms like meltingTemperature', () => {
+    const template = 'ACGTTGCAGAATTCGCGGCCGCTTCTAGAGNNAGCTTAAA';
+    for (const conditions of [{}, { polymerase: 'Q5' }]) {
+      const tmOf = windowedTm(template, conditions);
+      for (const [start, end] of [[0, 20], [4, 10], [8, 14], [8, 30], [20, 40]]) {
+        expect(tmOf(start, end)).toBeCloseTo(meltingTemperature(template.slice(start, end), conditions), 8);
+      }
+    }
+    expect(() => windowedTm(template)(3, 4)).toThrow(/at least two/);
+  });
+
+  it('averages over degenerate bases', () => {
+    const tm = meltingTemperature('GTCCCTATCNGTGATAGAGA');
+    const expanded = ['A', 'C', 'G', 'T'].map(b => meltingTemperature(`GTCCCTATC${b}GTGATAGAGA`));
+    expect(tm).toBeGreaterThan(Math.min(...expanded));
+    expect(tm).toBeLessThan(Math.max(...expanded));
+  });
+
+  it('uses polymerase buffers', () => {
+    expect(listPolymerases()).toEqual(['Taq', 'Phusion', 'Q5']);
+    expect(getPolymerase('q5')).toMatchObject({ name: 'Q5', Mg: 2, annealOffset: 3 });
+    expect(getPolymerase('Pfu')).toBe(null);
+    const primer = 'GTCCCTATCAGTGATAGAGA';
+    expect(meltingTemperature(primer, { polymerase: 'Q5' })).toBeCloseTo(58.6, 1);
+    expect(meltingTemperature(primer, { polymerase: 'Q5', oligo: 250 })).toBeLessThan(meltingTemperature(primer, { polymerase: 'Q5' }));
+    expect(() => meltingTemperature(primer, { polymerase: 'Pfu' })).toThrow(/Unknown polymerase Pfu/);
+
+    const reverse = 'AGCGGATAACAATTTCACACAGGA';
+    const tm = meltingTemperature(primer, { polymerase: 'Taq' });
+    expect(annealingTemperature(primer, reverse, { polymerase: 'Taq' })).toBeCloseTo(tm - 5, 1);
+    expect(annealingTemperature(primer, reverse, { polymerase: 'Q5' })).toBeCloseTo(meltingTemperature(primer, { polymerase: 'Q5' }) + 3, 1);
+  });
+
+  it('finds the most stable hairpin', () => {
+    // GG, GG, GC, CG and GC stacks with a 3 base loop
+    const hairpin = hairpinThermo('GGGCGCAAAGCGCCC');
+    expect(hairpin).toMatchObject({ stem: 6, loop: 3, start: 0, end: 14 });
+    expect(hairpin.dG).toBeCloseTo(-6.78, 2);
+    expect(hairpinThermo('ATATATATAT')).toBe(null);
+  });
+
+  it('finds dimers and whether they pair a 3\' end', () => {
+    const self = dimerThermo('ACGTGAATTCACGT', 'ACGTGAATTCACGT');
+    expect(self).toMatchObject({ length: 14, start: 0, partnerStart: 0, threePrime: true });
+    expect(self.dG).toBeCloseTo(duplexThermo('ACGTGAATTCACGT').dG37, 5);
+
+    const internal = dimerThermo('TTTTGAATTCTTTT', 'CCCCGAATTCCCCC');
+    expect(internal).toMatchObject({ length: 6, start: 4, partnerStart: 4, threePrime: false });
+    expect(dimerThermo('GCTAGCATGACC', 'AAAAAAGGTCA')).toMatchObject({ length: 5, start: 7, threePrime: true });
+    expect(dimerThermo('AAAA', 'AAAA')).toBe(null);
+  });
+
+  it('flags structures beyond their limits', () => {
+    expect(endStability('AAAAGCGCG')).toBeLessThan(endStability('GCGCGAAAA'));
+
+    const bad = primerStructure('GGGCGCAAAGCGCCCTTAC');
+    expect(bad.problems).toEqual(['hairpin with a 6 bp stem and a 3 base loop (ΔG -6.8 kcal/mol)']);
+    expect(primerStructure('GGGCGCAAAGCGCCCTTAC', { limits: { hairpin: -8 } }).problems).toEqual([]);
+
+    const pair = primerStructure('GCTAGCATGACCGTTAGCAAGG', { partner: 'TCCTCAACCTTGCTCACCATGG' });
+    expect(pair.heteroDimer).toMatchObject({ length: 7, threePrime: true });
+    expect(pair.problems).toEqual(["dimer with its partner over 7 bp that pairs a 3' end (ΔG -7.1 kcal/mol)"]);
+    expect(primerStructure('GTCCCTATCAGTGATAGAGA').problems).toEqual([]);
+  });
+
+});
@@ -1,7 +1,10 @@
 
 
 import { describe, it, expect } from 'vitest';
-import { merge, field, makeJSON } from 'src/C6-Utils.js';
+import { writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { merge, field, makeJSON, editDistance, readTextFile, loadTextFile } from 'src/C6-Utils.js';
 
 describe('C6-Utils Utilities', () => {
   
@@ -29,4 +32,26 @@ describe('C6-Utils Utilities', () => {
     expect(() => field("invalid-json", "name")).toThrow();
   });
 
-});
\ No newline at end of file
+  it('counts edits between strings, including swapped letters', () => {
+    expect(editDistance("Gibsn", "gibson")).toBe(1);
+    expect(editDistance("Digets", "Digest")).toBe(1);
+    expect(editDistance("PCR", "Ligate")).toBe(6);
+    expect(editDistance("", "abc")).toBe(3);
+  });
+
+  it('loads data files, registering what was parsed unless told not to', async () => {
+    const path = join(tmpdir(), `c6-utils-${process.pid}.txt`);
+    await writeFile(path, "a\nb\n");
+    try {
+      expect(await readTextFile(path)).toBe("a\nb\n");
+      const registered = [];
+      const parse = (text) => text.trim().split('\n');
+      expect(await loadTextFile(path, parse, lines => registered.push(lines))).toEqual(['a', 'b']);
+      await loadTextFile(path, parse, lines => registered.push(lines), { register: false });
+      expect(registered).toEqual([['a', 'b']]);
+    } finally {
+      await rm(path);
+    }
+  });
+
+});